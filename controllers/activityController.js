@@ -6,9 +6,40 @@ const mongoose = require("mongoose");
 const Activity = require("../models/Activity");
 const Subject = require("../models/Subject");
 const Grade = require("../models/Grade");
+const Extension = require("../models/Extension");
+const SubmissionVersion = require("../models/SubmissionVersion");
 const asyncHandler = require("../utils/asyncHandler");
 const { ErrorResponse } = require("../utils/errorResponse");
 const { bucket } = require("../config/firebaseService");
+const { getStorage, getFirebasePath } = require("../utils/storage");
+const archiver = require("archiver");
+const {
+  checkSubmissionWindow,
+  getLateStatus,
+  parseLatePolicyInput,
+} = require("../utils/latePolicy");
+
+// Helper function to read the late policy from the request body.
+// Returns { error } when it can't be used with the given deadline.
+const readLatePolicy = (input, deadline) => {
+  let latePolicy;
+  try {
+    latePolicy = parseLatePolicyInput(input);
+  } catch (error) {
+    return { error: "Late policy must be valid JSON" };
+  }
+
+  if (
+    latePolicy &&
+    latePolicy.cutoffDate &&
+    deadline &&
+    latePolicy.cutoffDate < new Date(deadline)
+  ) {
+    return { error: "Late policy cutoff date must be after the deadline" };
+  }
+
+  return { latePolicy };
+};
 
 // Helper function to upload file to Firebase Storage
 const uploadFileToFirebase = async (
@@ -60,17 +91,8 @@ const uploadFileToFirebase = async (
 // Helper function to delete file from Firebase Storage
 const deleteFileFromFirebase = async (fileUrl) => {
   try {
-    if (!fileUrl || !fileUrl.includes("storage.googleapis.com")) {
-      return; // Not a Firebase URL, skip deletion
-    }
-
-    // Extract Firebase path from URL
-    const urlParts = fileUrl.split("/");
-    const pathIndex = urlParts.findIndex((part) => part === bucket.name);
-    if (pathIndex !== -1 && urlParts[pathIndex + 1]) {
-      const firebasePath = decodeURIComponent(
-        urlParts.slice(pathIndex + 1).join("/"),
-      );
+    const firebasePath = getFirebasePath(fileUrl, bucket.name);
+    if (firebasePath) {
       const file = bucket.file(firebasePath);
       await file.delete();
       console.log(`🗑️ Deleted file from Firebase: ${firebasePath}`);
@@ -81,6 +103,23 @@ const deleteFileFromFirebase = async (fileUrl) => {
   }
 };
 
+// Helper function to keep a submission turned in before version history
+// existed as its first version. Resolves to the version created, if any.
+const recordLegacyVersion = async (activity, submission) => {
+  if (!submission || submission.version) return null;
+
+  const version = await SubmissionVersion.createNextVersion({
+    activity: activity._id,
+    student: submission.student,
+    attachmentPaths: submission.attachmentPaths,
+    submittedAt: submission.submissionDate,
+    isLate: submission.isLate,
+    daysLate: submission.daysLate,
+  });
+  submission.version = version.versionNumber;
+  return version;
+};
+
 // Create a new activity for a subject
 exports.createActivity = asyncHandler(async (req, res, next) => {
   const { subjectId } = req.params;
@@ -92,8 +131,17 @@ exports.createActivity = asyncHandler(async (req, res, next) => {
     quarter,
     points,
     allowLateSubmissions,
+    gradingComponent,
   } = req.body;
 
+  const { latePolicy, error: latePolicyError } = readLatePolicy(
+    req.body.latePolicy,
+    deadline,
+  );
+  if (latePolicyError) {
+    return next(new ErrorResponse(latePolicyError, 400));
+  }
+
   console.log("➡️ Create Activity Request:", {
     subjectId,
     title,
@@ -148,6 +196,8 @@ exports.createActivity = asyncHandler(async (req, res, next) => {
     points: points !== undefined && points !== "" ? Number(points) : null,
     allowLateSubmissions:
       allowLateSubmissions === "true" || allowLateSubmissions === true,
+    gradingComponent: gradingComponent || undefined,
+    latePolicy,
     subject: subjectId,
     createdBy: req.user.id,
   };
@@ -323,6 +373,7 @@ exports.updateActivity = asyncHandler(async (req, res, next) => {
     quarter,
     points,
     allowLateSubmissions,
+    gradingComponent,
     removeAttachment,
   } = req.body;
 
@@ -376,6 +427,20 @@ exports.updateActivity = asyncHandler(async (req, res, next) => {
     allowLateSubmissions:
       allowLateSubmissions === "true" || allowLateSubmissions === true,
   };
+  if (gradingComponent) {
+    updateFields.gradingComponent = gradingComponent;
+  }
+
+  const { latePolicy, error: latePolicyError } = readLatePolicy(
+    req.body.latePolicy,
+    deadline || activity.deadline,
+  );
+  if (latePolicyError) {
+    return next(new ErrorResponse(latePolicyError, 400));
+  }
+  if (latePolicy) {
+    updateFields.latePolicy = latePolicy;
+  }
 
   // Handle new file upload
   if (req.file) {
@@ -468,16 +533,17 @@ exports.deleteActivity = asyncHandler(async (req, res, next) => {
     await deleteFileFromFirebase(activity.attachmentPath);
   }
 
-  // Delete submission attachments from Firebase
-  if (activity.submissions && activity.submissions.length > 0) {
-    for (const submission of activity.submissions) {
-      if (submission.attachmentPaths && submission.attachmentPaths.length > 0) {
-        for (const attachPath of submission.attachmentPaths) {
-          await deleteFileFromFirebase(attachPath);
-        }
-      }
-    }
+  // Delete the files of every submission version from Firebase
+  const versions = await SubmissionVersion.find({ activity: activity._id });
+  const submissionFiles = new Set(
+    [...activity.submissions, ...versions].flatMap(
+      (submission) => submission.attachmentPaths || [],
+    ),
+  );
+  for (const attachPath of submissionFiles) {
+    await deleteFileFromFirebase(attachPath);
   }
+  await SubmissionVersion.deleteMany({ activity: activity._id });
 
   await Subject.findByIdAndUpdate(activity.subject, {
     $pull: { activities: activity._id },
@@ -514,15 +580,22 @@ exports.turnInActivity = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse("Student not enrolled in this subject", 403));
   }
 
-  // Check if deadline has passed and late submissions are not allowed
-  if (new Date() > activity.deadline && !activity.allowLateSubmissions) {
-    return next(
-      new ErrorResponse(
-        "Late submissions are not allowed for this activity",
-        400,
-      ),
-    );
+  // Check the deadline (or the student's extension), grace window and
+  // cutoff of the late policy
+  const extension = await Extension.findForStudent(studentId, {
+    activity: activity._id,
+  });
+  const deadline = extension ? extension.deadline : activity.deadline;
+  const submittedAt = new Date();
+  const submissionWindow = checkSubmissionWindow(
+    activity,
+    submittedAt,
+    deadline,
+  );
+  if (!submissionWindow.open) {
+    return next(new ErrorResponse(submissionWindow.message, 400));
   }
+  const { isLate, daysLate } = getLateStatus(activity, submittedAt, deadline);
 
   // Upload submission files to Firebase Storage
   const attachmentPaths = [];
@@ -555,28 +628,51 @@ exports.turnInActivity = asyncHandler(async (req, res, next) => {
     sub.student.equals(studentId),
   );
 
-  if (submission) {
-    // Delete old submission files from Firebase
-    if (submission.attachmentPaths && submission.attachmentPaths.length > 0) {
-      for (const oldPath of submission.attachmentPaths) {
-        await deleteFileFromFirebase(oldPath);
-      }
-    }
+  // Every turn-in is kept as a new version; older files stay in storage
+  const legacyVersion = await recordLegacyVersion(activity, submission);
+  const version = await SubmissionVersion.createNextVersion({
+    activity: activity._id,
+    student: studentId,
+    attachmentPaths:
+      attachmentPaths.length > 0 || !submission
+        ? attachmentPaths
+        : submission.attachmentPaths,
+    submittedAt,
+    isLate,
+    daysLate,
+  });
 
-    submission.submissionDate = new Date();
-    submission.attachmentPaths =
-      attachmentPaths.length > 0 ? attachmentPaths : submission.attachmentPaths;
+  if (submission) {
+    submission.submissionDate = submittedAt;
+    submission.attachmentPaths = version.attachmentPaths;
     submission.status = "submitted";
+    submission.isLate = isLate;
+    submission.daysLate = daysLate;
+    submission.version = version.versionNumber;
   } else {
     activity.submissions.push({
       student: studentId,
-      submissionDate: new Date(),
+      submissionDate: submittedAt,
       attachmentPaths: attachmentPaths,
       status: "submitted",
+      isLate,
+      daysLate,
+      version: version.versionNumber,
     });
   }
 
-  await activity.save();
+  // Drop the new versions again when the submission can't be saved, so no
+  // version is left that the activity doesn't point to
+  try {
+    await activity.save();
+  } catch (error) {
+    await SubmissionVersion.deleteMany({
+      _id: {
+        $in: [version, legacyVersion].filter(Boolean).map((v) => v._id),
+      },
+    });
+    throw error;
+  }
 
   res.status(200).json({
     success: true,
@@ -608,11 +704,20 @@ exports.undoTurnInActivity = asyncHandler(async (req, res, next) => {
     );
   }
 
-  // Check if deadline has passed and late submissions are not allowed
-  if (new Date() > activity.deadline && !activity.allowLateSubmissions) {
+  // Work can't be taken back once it can no longer be turned in again
+  const extension = await Extension.findForStudent(studentId, {
+    activity: activity._id,
+  });
+  if (
+    !checkSubmissionWindow(
+      activity,
+      new Date(),
+      extension ? extension.deadline : activity.deadline,
+    ).open
+  ) {
     return next(
       new ErrorResponse(
-        "Cannot undo turn-in when late submissions are not allowed",
+        "Cannot undo turn-in after the submission window has closed",
         400,
       ),
     );
@@ -626,17 +731,8 @@ exports.undoTurnInActivity = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse("No submission found for this student", 404));
   }
 
-  const submissionToRemove = activity.submissions[submissionIndex];
-
-  // Delete submission files from Firebase
-  if (
-    submissionToRemove.attachmentPaths &&
-    submissionToRemove.attachmentPaths.length > 0
-  ) {
-    for (const attachPath of submissionToRemove.attachmentPaths) {
-      await deleteFileFromFirebase(attachPath);
-    }
-  }
+  // The files stay in the submission's version history
+  await recordLegacyVersion(activity, activity.submissions[submissionIndex]);
 
   activity.submissions.splice(submissionIndex, 1);
   await activity.save();
@@ -697,13 +793,366 @@ exports.getAllSubmissionsForActivity = asyncHandler(async (req, res, next) => {
     );
   }
 
+  // Extensions explain late or missing work to the graders
+  const extensions = await Extension.find({ activity: activity._id })
+    .populate("student", "firstName middleName lastName email")
+    .populate("grantedBy", "firstName lastName");
+  const extensionByStudent = new Map(
+    extensions
+      .filter((extension) => extension.student)
+      .map((extension) => [extension.student._id.toString(), extension]),
+  );
+
+  // Earlier turn-ins are listed through getSubmissionVersions
+  const versionCounts = await SubmissionVersion.aggregate([
+    { $match: { activity: activity._id } },
+    { $group: { _id: "$student", count: { $sum: 1 } } },
+  ]);
+  const versionCountByStudent = new Map(
+    versionCounts.map((entry) => [entry._id.toString(), entry.count]),
+  );
+
+  const submissions = activity.submissions.map((submission) => {
+    const studentKey = submission.student
+      ? submission.student._id.toString()
+      : null;
+    return {
+      ...submission.toObject(),
+      versionCount: versionCountByStudent.get(studentKey) || 0,
+      extension: extensionByStudent.get(studentKey) || null,
+    };
+  });
+
   res.status(200).json({
     success: true,
-    count: activity.submissions.length,
-    data: activity.submissions,
+    count: submissions.length,
+    data: submissions,
+    extensions,
   });
 });
 
+// Helper function to load an activity and check if the user may see a
+// student's work on it (the student, an assigned teacher or an admin)
+const findActivityForStudentWork = async (activityId, studentId, user) => {
+  if (
+    !mongoose.Types.ObjectId.isValid(activityId) ||
+    !mongoose.Types.ObjectId.isValid(studentId)
+  ) {
+    return { error: new ErrorResponse("Invalid activity or student ID", 400) };
+  }
+
+  const activity = await Activity.findById(activityId).populate({
+    path: "subject",
+    select: "teachers",
+    populate: {
+      path: "teachers.teacher",
+      select: "_id email username",
+    },
+  });
+  if (!activity) {
+    return {
+      error: new ErrorResponse(`Activity not found: ${activityId}`, 404),
+    };
+  }
+
+  const subject = activity.subject;
+  const isStudentOwner = user.id === studentId.toString();
+  const isAssignedTeacher =
+    user.role === "Teacher" &&
+    subject.teachers &&
+    subject.teachers.some(
+      (ta) =>
+        ta.teacher &&
+        (ta.teacher._id.equals(user.id) ||
+          ta.teacher.email === user.email ||
+          ta.teacher.username === user.username),
+    );
+  const isAdmin = user.role === "Admin";
+
+  if (!isStudentOwner && !isAssignedTeacher && !isAdmin) {
+    return {
+      error: new ErrorResponse(
+        "Not authorized to view submissions for this activity",
+        403,
+      ),
+    };
+  }
+
+  return { activity };
+};
+
+// Get every turn-in (version) of a student for an activity, newest first
+exports.getSubmissionVersions = asyncHandler(async (req, res, next) => {
+  const { activityId, studentId } = req.params;
+
+  const { activity, error } = await findActivityForStudentWork(
+    activityId,
+    studentId,
+    req.user,
+  );
+  if (error) return next(error);
+
+  const versions = await SubmissionVersion.find({
+    activity: activity._id,
+    student: studentId,
+  }).sort({ versionNumber: -1 });
+
+  const submission = activity.submissions.find((sub) =>
+    sub.student.equals(studentId),
+  );
+
+  // Grades point at the version they were given for
+  const grade = await Grade.findOne({
+    activity: activity._id,
+    student: studentId,
+  }).select("submissionVersion versionNumber score");
+
+  res.status(200).json({
+    success: true,
+    count: versions.length,
+    currentVersion: submission ? submission.version : null,
+    gradedVersion: grade ? grade.versionNumber || null : null,
+    data: versions,
+  });
+});
+
+// Download one file of a submission version
+exports.downloadSubmissionVersionFile = asyncHandler(async (req, res, next) => {
+  const { activityId, studentId, versionNumber, fileIndex } = req.params;
+
+  const { activity, error } = await findActivityForStudentWork(
+    activityId,
+    studentId,
+    req.user,
+  );
+  if (error) return next(error);
+
+  const version = await SubmissionVersion.findOne({
+    activity: activity._id,
+    student: studentId,
+    versionNumber: Number(versionNumber),
+  });
+  if (!version) {
+    return next(
+      new ErrorResponse(`Submission version ${versionNumber} not found`, 404),
+    );
+  }
+
+  const fileUrl = version.attachmentPaths[Number(fileIndex)];
+  if (!fileUrl) {
+    return next(new ErrorResponse("File not found in this version", 404));
+  }
+
+  const file = await getStorage().openFile(fileUrl);
+  if (!file) {
+    return next(new ErrorResponse("File no longer exists in storage", 404));
+  }
+
+  res.setHeader("Content-Type", file.contentType);
+  res.setHeader(
+    "Content-Disposition",
+    `attachment; filename="${encodeURIComponent(file.name)}"`,
+  );
+
+  file
+    .createReadStream()
+    .on("error", (streamError) => {
+      console.error("Error streaming submission file:", streamError);
+      if (!res.headersSent) {
+        next(new ErrorResponse("Failed to download file", 500));
+      } else {
+        res.end();
+      }
+    })
+    .pipe(res);
+});
+
+// Helper function to make a name safe for a ZIP entry
+const toZipNamePart = (value) =>
+  String(value || "").replace(/[^A-Za-z0-9-]+/g, "") || "unknown";
+
+// Helper function to quote a row of values for the CSV index
+const toCsvRow = (values) =>
+  values
+    .map((value) => {
+      const text = value === undefined || value === null ? "" : String(value);
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    })
+    .join(",");
+
+// Helper function to avoid two files with the same name in one folder
+const getUniqueFileName = (fileName, usedNames) => {
+  const extension = path.extname(fileName);
+  const baseName = path.basename(fileName, extension);
+  let candidate = fileName;
+  for (let copy = 2; usedNames.has(candidate.toLowerCase()); copy++) {
+    candidate = `${baseName} (${copy})${extension}`;
+  }
+  usedNames.add(candidate.toLowerCase());
+  return candidate;
+};
+
+// Download every student's current submission files as a ZIP, one folder per
+// student (lastName_firstName_userId) plus an index.csv of all students
+exports.downloadAllSubmissions = asyncHandler(async (req, res, next) => {
+  const { activityId } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(activityId)) {
+    return next(new ErrorResponse(`Invalid activity ID: ${activityId}`, 400));
+  }
+
+  const activity = await Activity.findById(activityId)
+    .populate({
+      path: "submissions.student",
+      select: "userId firstName lastName",
+    })
+    .populate({
+      path: "subject",
+      select: "subjectName section teachers students",
+      populate: [
+        { path: "teachers.teacher", select: "_id email username" },
+        { path: "students", select: "userId firstName lastName" },
+      ],
+    });
+
+  if (!activity) {
+    return next(new ErrorResponse(`Activity not found: ${activityId}`, 404));
+  }
+
+  const subject = activity.subject;
+  const isAssignedTeacher =
+    req.user.role === "Teacher" &&
+    subject.teachers &&
+    subject.teachers.some(
+      (ta) =>
+        ta.teacher &&
+        (ta.teacher._id.equals(req.user.id) ||
+          ta.teacher.email === req.user.email ||
+          ta.teacher.username === req.user.username),
+    );
+  const isAdmin = req.user.role === "Admin";
+
+  if (!isAssignedTeacher && !isAdmin) {
+    return next(
+      new ErrorResponse(
+        "Not authorized to download submissions for this activity",
+        403,
+      ),
+    );
+  }
+
+  // Enrolled students, plus anyone who submitted and has left the subject
+  const studentsById = new Map();
+  [
+    ...subject.students,
+    ...activity.submissions.map((submission) => submission.student),
+  ]
+    .filter(Boolean)
+    .forEach((student) => studentsById.set(student._id.toString(), student));
+  const students = [...studentsById.values()].sort(
+    (a, b) =>
+      (a.lastName || "").localeCompare(b.lastName || "") ||
+      (a.firstName || "").localeCompare(b.firstName || ""),
+  );
+
+  const grades = await Grade.find({ activity: activity._id }).select(
+    "student score versionNumber",
+  );
+  const gradeByStudent = new Map(
+    grades.map((grade) => [grade.student.toString(), grade]),
+  );
+
+  res.setHeader("Content-Type", "application/zip");
+  res.setHeader(
+    "Content-Disposition",
+    `attachment; filename="Submissions_${toZipNamePart(activity.title)}.zip"`,
+  );
+
+  const archive = archiver("zip", { zlib: { level: 9 } });
+  archive.on("warning", (err) => {
+    console.error("Submission archive warning:", err);
+  });
+  archive.on("error", (err) => {
+    console.error("Submission archive error:", err);
+    res.destroy(err);
+  });
+  archive.pipe(res);
+
+  try {
+    const storage = getStorage();
+    const rows = [
+      [
+        "Last Name",
+        "First Name",
+        "User ID",
+        "Folder",
+        "Status",
+        "Submission Date",
+        "Late",
+        "Version",
+        "Score",
+        "Files",
+        "Missing Files",
+      ],
+    ];
+
+    for (const student of students) {
+      const studentKey = student._id.toString();
+      const submission = activity.submissions.find(
+        (sub) => sub.student && sub.student._id.toString() === studentKey,
+      );
+      const grade = gradeByStudent.get(studentKey);
+      const folder = [student.lastName, student.firstName, student.userId]
+        .map(toZipNamePart)
+        .join("_");
+
+      let fileCount = 0;
+      let missingCount = 0;
+      const usedNames = new Set();
+      for (const fileUrl of submission ? submission.attachmentPaths : []) {
+        const file = await storage.openFile(fileUrl).catch((error) => {
+          console.error(`Failed to open submission file ${fileUrl}:`, error);
+          return null;
+        });
+        if (!file) {
+          missingCount++;
+          continue;
+        }
+        archive.append(file.createReadStream(), {
+          name: `${folder}/${getUniqueFileName(file.name, usedNames)}`,
+        });
+        fileCount++;
+      }
+
+      let status = "unsubmitted";
+      if (grade) status = "graded";
+      else if (submission) status = submission.status;
+
+      rows.push([
+        student.lastName,
+        student.firstName,
+        student.userId,
+        fileCount > 0 ? folder : "",
+        status,
+        submission ? new Date(submission.submissionDate).toISOString() : "",
+        submission ? (submission.isLate ? "Yes" : "No") : "",
+        submission ? submission.version : "",
+        grade ? grade.score : "",
+        fileCount,
+        missingCount,
+      ]);
+    }
+
+    archive.append(rows.map(toCsvRow).join("\r\n"), { name: "index.csv" });
+    await archive.finalize();
+  } catch (error) {
+    // Headers are already sent, so the error handler can't respond anymore
+    console.error("Error building the submissions archive:", error);
+    archive.abort();
+    res.destroy(error);
+  }
+});
+
 exports.getStudentGradeForActivity = asyncHandler(async (req, res, next) => {
   const { activityId } = req.params;
   const studentId = req.user.id;
@@ -713,8 +1162,17 @@ exports.getStudentGradeForActivity = asyncHandler(async (req, res, next) => {
     student: studentId,
   }).populate("gradedBy", "firstName middleName lastName");
 
+  // Include the rubric so the breakdown can be shown against every level
+  let rubric = null;
+  if (grade && grade.rubricScores && grade.rubricScores.length > 0) {
+    const activity = await Activity.findById(activityId)
+      .select("rubric")
+      .populate("rubric", "title description criteria");
+    rubric = activity ? activity.rubric : null;
+  }
+
   res.status(200).json({
     success: true,
-    data: grade,
+    data: grade ? { ...grade.toJSON(), rubric } : null,
   });
 });
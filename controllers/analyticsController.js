@@ -6,6 +6,8 @@ const Grade = require("../models/Grade");
 const User = require("../models/User");
 const Announcement = require("../models/Announcement");
 const Event = require("../models/Event");
+const AuditLog = require("../models/AuditLog");
+const { listActiveLockouts } = require("../utils/loginThrottle");
 const asyncHandler = require("../utils/asyncHandler");
 const { ErrorResponse } = require("../utils/errorResponse");
 
@@ -45,6 +47,7 @@ exports.getTeacherAnalytics = asyncHandler(async (req, res, next) => {
     })
       .populate("student", "firstName lastName email")
       .populate("activity", "title points deadline")
+      .populate("quiz", "title quizPoints")
       .populate("subject", "subjectName");
 
     // Calculate analytics
@@ -122,23 +125,14 @@ exports.getTeacherAnalytics = asyncHandler(async (req, res, next) => {
 
         subjectQuizzes.forEach((quiz) => {
           if (quiz.quizPoints && quiz.quizPoints > 0) {
-            const submission = quiz.quizSubmissions?.find((sub) => {
-              const studentMatch =
-                typeof sub.student === "object"
-                  ? sub.student._id.toString() === studentId
-                  : sub.student.toString() === studentId;
-              const statusMatch =
-                sub.status === "graded" || sub.status === "submitted";
-              return studentMatch && statusMatch;
-            });
+            const grade = subjectGrades.find(
+              (g) => g.quiz && g.quiz._id.toString() === quiz._id.toString(),
+            );
 
-            if (
-              submission &&
-              submission.quizScore !== undefined &&
-              submission.quizScore !== null
-            ) {
+            if (grade) {
               subjectTotalPossiblePoints += quiz.quizPoints;
-              subjectTotalEarnedPoints += submission.quizScore;
+              subjectTotalEarnedPoints +=
+                grade.score + (grade.bonusPoints || 0);
               hasGradedItems = true;
             }
           }
@@ -220,7 +214,8 @@ exports.getTeacherAnalytics = asyncHandler(async (req, res, next) => {
 
       recentActivity.push({
         type: "grade",
-        title: grade.activity?.title || "Unknown Activity",
+        title:
+          grade.activity?.title || grade.quiz?.title || "Unknown Activity",
         student: `${grade.student?.firstName || ""} ${
           grade.student?.lastName || ""
         }`,
@@ -399,9 +394,10 @@ exports.getStudentAnalytics = asyncHandler(async (req, res, next) => {
     const processedQuizzes = [];
 
     for (const quiz of availableQuizzes) {
-      // Check if student has submitted
+      // Check if student has submitted (an attempt in progress is still pending)
       const submission = quiz.quizSubmissions.find(
-        (sub) => sub.student.toString() === studentId,
+        (sub) =>
+          sub.student.toString() === studentId && sub.status !== "in_progress",
       );
 
       let status = "pending";
@@ -458,7 +454,9 @@ exports.getStudentAnalytics = asyncHandler(async (req, res, next) => {
 
     const completedQuizzes = allQuizzes.filter((quiz) =>
       quiz.quizSubmissions.some(
-        (submission) => submission.student.toString() === studentId,
+        (submission) =>
+          submission.student.toString() === studentId &&
+          submission.status !== "in_progress",
       ),
     );
 
@@ -525,6 +523,7 @@ exports.getStudentAnalytics = asyncHandler(async (req, res, next) => {
       subject: { $in: subjectIds },
     })
       .populate("activity", "title")
+      .populate("quiz", "title")
       .populate("subject", "subjectName")
       .sort({ updatedAt: -1 })
       .limit(5);
@@ -614,7 +613,12 @@ exports.getStudentAnalytics = asyncHandler(async (req, res, next) => {
         score: grade.score,
         bonusPoints: grade.bonusPoints,
         totalScore: grade.totalScore,
-        activity: grade.activity ? grade.activity.title : "Unknown Activity",
+        sourceType: grade.sourceType,
+        activity: grade.activity
+          ? grade.activity.title
+          : grade.quiz
+            ? grade.quiz.title
+            : "Unknown Activity",
         subject: grade.subject.subjectName,
         gradedAt: grade.updatedAt,
       })),
@@ -809,23 +813,14 @@ exports.getAdminAnalytics = asyncHandler(async (req, res, next) => {
 
         subjectQuizzes.forEach((quiz) => {
           if (quiz.quizPoints && quiz.quizPoints > 0) {
-            const submission = quiz.quizSubmissions?.find((sub) => {
-              const studentMatch =
-                typeof sub.student === "object"
-                  ? sub.student._id.toString() === student._id.toString()
-                  : sub.student.toString() === student._id.toString();
-              const statusMatch =
-                sub.status === "graded" || sub.status === "submitted";
-              return studentMatch && statusMatch;
-            });
+            const grade = subjectGrades.find(
+              (g) => g.quiz && g.quiz.toString() === quiz._id.toString(),
+            );
 
-            if (
-              submission &&
-              submission.quizScore !== undefined &&
-              submission.quizScore !== null
-            ) {
+            if (grade) {
               subjectTotalPossiblePoints += quiz.quizPoints;
-              subjectTotalEarnedPoints += submission.quizScore;
+              subjectTotalEarnedPoints +=
+                grade.score + (grade.bonusPoints || 0);
               hasGradedItems = true;
             }
           }
@@ -884,23 +879,14 @@ exports.getAdminAnalytics = asyncHandler(async (req, res, next) => {
 
                 subjectQuizzes.forEach((quiz) => {
                   if (quiz.quizPoints && quiz.quizPoints > 0) {
-                    const submission = quiz.quizSubmissions?.find((sub) => {
-                      const studentMatch =
-                        typeof sub.student === "object"
-                          ? sub.student._id.toString() ===
-                            student._id.toString()
-                          : sub.student.toString() === student._id.toString();
-                      const statusMatch =
-                        sub.status === "graded" || sub.status === "submitted";
-                      return studentMatch && statusMatch;
-                    });
-                    if (
-                      submission &&
-                      submission.quizScore !== undefined &&
-                      submission.quizScore !== null
-                    ) {
+                    const grade = subjectGrades.find(
+                      (g) =>
+                        g.quiz && g.quiz.toString() === quiz._id.toString(),
+                    );
+                    if (grade) {
                       subjectTotalPossiblePoints += quiz.quizPoints;
-                      subjectTotalEarnedPoints += submission.quizScore;
+                      subjectTotalEarnedPoints +=
+                        grade.score + (grade.bonusPoints || 0);
                       hasGradedItems = true;
                     }
                   }
@@ -944,6 +930,21 @@ exports.getAdminAnalytics = asyncHandler(async (req, res, next) => {
       isArchived: false,
     });
 
+    // 5. Login lockouts (brute-force protection) of the last 7 days
+    const lockoutsSince = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
+    const activeLockouts = await listActiveLockouts();
+    const recentLockouts = await AuditLog.find({
+      action: "login_locked",
+      createdAt: { $gte: lockoutsSince },
+    })
+      .sort({ createdAt: -1 })
+      .limit(10)
+      .populate("targetUser", "userId username firstName lastName role");
+    const lockoutsLast7Days = await AuditLog.countDocuments({
+      action: "login_locked",
+      createdAt: { $gte: lockoutsSince },
+    });
+
     const analyticsData = {
       schoolYear: defaultSchoolYear,
       selectedGrade,
@@ -969,6 +970,24 @@ exports.getAdminAnalytics = asyncHandler(async (req, res, next) => {
         totalSubjects,
         availableSchoolYears: availableSchoolYears.sort().reverse(),
       },
+      security: {
+        activeLockouts: activeLockouts.map((lockout) => ({
+          scope: lockout.scope,
+          identifier: lockout.identifier,
+          user: lockout.user,
+          failures: lockout.failures,
+          lockedUntil: lockout.lockedUntil,
+        })),
+        activeLockoutCount: activeLockouts.length,
+        recentLockouts: recentLockouts.map((entry) => ({
+          _id: entry._id,
+          lockedAt: entry.createdAt,
+          ip: entry.ip,
+          user: entry.targetUser,
+          ...entry.details,
+        })),
+        lockoutsLast7Days,
+      },
     };
 
     res.status(200).json({
@@ -1018,6 +1037,7 @@ exports.getSubjectGrades = asyncHandler(async (req, res, next) => {
   const grades = await Grade.find({ subject: subjectId })
     .populate("student", "firstName lastName email userId")
     .populate("activity", "title points deadline quarter")
+    .populate("quiz", "title quizPoints quarter")
     .populate("gradedBy", "firstName lastName")
     .sort({ createdAt: -1 });
 
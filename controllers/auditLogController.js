@@ -0,0 +1,66 @@
+// controllers/auditLogController.js
+
+const mongoose = require("mongoose");
+const AuditLog = require("../models/AuditLog");
+const asyncHandler = require("../utils/asyncHandler");
+const { ErrorResponse } = require("../utils/errorResponse");
+
+const USER_FIELDS = "userId username firstName lastName role";
+
+// @desc    Get audit log entries (newest first)
+// @route   GET /api/v1/audit-logs?action=&user=&from=&to=&page=&limit=
+// @access  Private/Admin
+exports.getAuditLogs = asyncHandler(async (req, res, next) => {
+  const { action, user, from, to } = req.query;
+  const filter = {};
+
+  if (action) {
+    filter.action = { $in: action.split(",").map((value) => value.trim()) };
+  }
+
+  if (user) {
+    if (!mongoose.Types.ObjectId.isValid(user)) {
+      return next(new ErrorResponse("Invalid user ID format", 400));
+    }
+    filter.$or = [{ targetUser: user }, { actor: user }];
+  }
+
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = new Date(from);
+    if (to) filter.createdAt.$lte = new Date(to);
+    if (Object.values(filter.createdAt).some((date) => isNaN(date))) {
+      return next(new ErrorResponse("Invalid date in from/to", 400));
+    }
+  }
+
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+  const startIndex = (page - 1) * limit;
+
+  const [total, logs] = await Promise.all([
+    AuditLog.countDocuments(filter),
+    AuditLog.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(startIndex)
+      .limit(limit)
+      .populate("actor", USER_FIELDS)
+      .populate("targetUser", USER_FIELDS),
+  ]);
+
+  const pagination = {};
+  if (startIndex + limit < total) {
+    pagination.next = { page: page + 1, limit };
+  }
+  if (startIndex > 0) {
+    pagination.prev = { page: page - 1, limit };
+  }
+
+  res.status(200).json({
+    success: true,
+    count: logs.length,
+    total,
+    pagination,
+    data: logs,
+  });
+});
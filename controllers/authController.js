@@ -2,10 +2,49 @@ const User = require("../models/User");
 const Admin = require("../models/Admin");
 const Student = require("../models/Student");
 const Teacher = require("../models/Teacher");
-const jwt = require("jsonwebtoken");
-const jwtConfig = require("../config/jwt");
+const Session = require("../models/Session");
 const asyncHandler = require("../utils/asyncHandler");
 const { ErrorResponse } = require("../utils/errorResponse");
+const {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeUserSessions,
+  getClientIp,
+} = require("../utils/sessions");
+const {
+  getLoginKeys,
+  reserveLoginAttempt,
+  releaseLoginAttempt,
+  clearAccountFailures,
+} = require("../utils/loginThrottle");
+const {
+  RESET_TOKEN_EXPIRES_MINUTES,
+  isResetEmailLimitReached,
+  createEmailReset,
+  findEmailReset,
+  verifyResetCode,
+  completePasswordReset,
+} = require("../utils/passwordReset");
+const { getMailer } = require("../utils/mailer");
+const escapeHtml = require("../utils/escapeHtml");
+const { recordAudit } = require("../utils/auditLog");
+const {
+  generateSecret,
+  verifyCode,
+  getProvisioningUri,
+} = require("../utils/totp");
+const {
+  TWO_FACTOR_ROLES,
+  ISSUER,
+  encryptSecret,
+  decryptSecret,
+  generateRecoveryCodes,
+  isTwoFactorRequired,
+  signChallengeToken,
+  verifyChallengeToken,
+  checkSecondFactor,
+} = require("../utils/twoFactor");
 const multer = require("multer");
 const path = require("path");
 const { bucket } = require("../config/firebaseService"); // Add Firebase import
@@ -138,10 +177,75 @@ const uploadUserProfilePicture = asyncHandler(async (req, res, next) => {
   });
 });
 
-// Utility function to sign JWT token
-const signToken = (id) => {
-  return jwt.sign({ id }, jwtConfig.secret, {
-    expiresIn: jwtConfig.expiresIn,
+// Helper function to build the 429 error for a throttled login attempt
+const getThrottledLoginError = (res, blocked) => {
+  res.set("Retry-After", String(blocked.retryAfterSeconds));
+  return new ErrorResponse(
+    blocked.locked
+      ? `Too many failed login attempts. Please try again in ${Math.ceil(
+          blocked.retryAfterSeconds / 60,
+        )} minute(s).`
+      : `Too many failed login attempts. Please wait ${blocked.retryAfterSeconds} second(s) before trying again.`,
+    429,
+  );
+};
+
+// Helper function to audit the lockouts caused by a failed login step
+const auditLoginLockouts = async (req, lockedRecords) => {
+  for (const record of lockedRecords) {
+    await recordAudit(req, "login_locked", {
+      actor: null,
+      targetUser: record.user,
+      details: {
+        scope: record.scope,
+        identifier: record.identifier,
+        failures: record.failures,
+        lockedUntil: record.lockedUntil,
+      },
+    });
+  }
+};
+
+// Helper function to start a session for a fully authenticated user and send it
+const sendLoginResponse = async (user, req, res) => {
+  await clearAccountFailures(user._id);
+
+  user.lastLogin = Date.now();
+  await user.save({ validateBeforeSave: false });
+
+  // Admins without 2FA can only enroll until it is set up, if the school requires it
+  const twoFactorSetupRequired =
+    !user.twoFactor.enabled && (await isTwoFactorRequired(user));
+
+  // Short-lived access token plus a refresh token for this device
+  const tokens = await createSession(user, req, { twoFactorSetupRequired });
+
+  // Prepare user data for the response, excluding sensitive information
+  const userData = {
+    _id: user._id,
+    userId: user.userId,
+    username: user.username,
+    firstName: user.firstName,
+    middleName: user.middleName,
+    lastName: user.lastName,
+    email: user.email,
+    role: user.role,
+    status: user.status,
+    sex: user.sex,
+    phoneNumber: user.phoneNumber,
+    address: user.address,
+    profilePicture: user.profilePicture,
+    createdAt: user.createdAt,
+    updatedAt: user.updatedAt,
+    lastLogin: user.lastLogin,
+    mustChangePassword: user.mustChangePassword, // Client sends the user to set-password first
+    twoFactorEnabled: user.twoFactor.enabled,
+  };
+
+  res.status(200).json({
+    success: true,
+    ...tokens,
+    data: userData,
   });
 };
 
@@ -162,11 +266,22 @@ exports.login = asyncHandler(async (req, res, next) => {
     $or: [{ username: identifier }, { userId: identifier }],
   }).select("+password");
 
+  // Brute-force protection: failures are counted per account and per IP.
+  // The attempt is counted before the password is checked and given back
+  // when it is right, so parallel guesses can't skip the delay.
+  const loginKeys = getLoginKeys(user, identifier, getClientIp(req));
+  const attempt = await reserveLoginAttempt(loginKeys);
+  if (attempt.blocked) {
+    return next(getThrottledLoginError(res, attempt.blocked));
+  }
+
   if (!user || !(await user.comparePassword(password, user.password))) {
+    await auditLoginLockouts(req, attempt.locked);
     return next(
       new ErrorResponse("Incorrect username/userId or password", 401),
     );
   }
+  await releaseLoginAttempt(loginKeys);
 
   if (user.status !== "active") {
     return next(
@@ -177,35 +292,291 @@ exports.login = asyncHandler(async (req, res, next) => {
     );
   }
 
-  user.lastLogin = Date.now();
+  if (
+    user.mustChangePassword &&
+    user.activationExpiresAt &&
+    user.activationExpiresAt < new Date()
+  ) {
+    return next(
+      new ErrorResponse(
+        "Your activation code has expired. Please ask an administrator for a new one.",
+        403,
+      ),
+    );
+  }
+
+  // Second step: the session is only created once a 2FA code is verified
+  // (failed attempts keep counting until then)
+  if (user.twoFactor.enabled) {
+    return res.status(200).json({
+      success: true,
+      twoFactorRequired: true,
+      twoFactorToken: signChallengeToken(user),
+      message: "Enter the code from your authenticator app or a recovery code",
+    });
+  }
+
+  await sendLoginResponse(user, req, res);
+});
+
+// @desc    Second login step for users with two-factor authentication
+// @route   POST /api/v1/auth/2fa/verify
+// @access  Public (requires the twoFactorToken from login)
+exports.verifyTwoFactorLogin = asyncHandler(async (req, res, next) => {
+  const { twoFactorToken, code, recoveryCode } = req.body;
+
+  if (!twoFactorToken || (!code && !recoveryCode)) {
+    return next(
+      new ErrorResponse(
+        "Please provide the two-factor token and an authentication or recovery code",
+        400,
+      ),
+    );
+  }
+
+  const userId = verifyChallengeToken(twoFactorToken);
+  const user = userId
+    ? await User.findById(userId).select(
+        "+twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep",
+      )
+    : null;
+
+  if (!user || user.status !== "active" || !user.twoFactor.enabled) {
+    return next(
+      new ErrorResponse("Two-factor login expired, please log in again", 401),
+    );
+  }
+
+  const loginKeys = getLoginKeys(user, user.username, getClientIp(req));
+  const attempt = await reserveLoginAttempt(loginKeys);
+  if (attempt.blocked) {
+    return next(getThrottledLoginError(res, attempt.blocked));
+  }
+
+  const method = await checkSecondFactor(user, { code, recoveryCode });
+  if (!method) {
+    await auditLoginLockouts(req, attempt.locked);
+    return next(new ErrorResponse("Invalid authentication code", 401));
+  }
+  await releaseLoginAttempt(loginKeys);
+
+  if (method === "recovery") {
+    await recordAudit(req, "two_factor_recovery_code_used", {
+      actor: user._id,
+      targetUser: user._id,
+      details: { remaining: user.twoFactor.recoveryCodes.length },
+    });
+  }
+
+  await sendLoginResponse(user, req, res);
+});
+
+// @desc    Start 2FA enrollment: new secret and its QR provisioning URI
+// @route   POST /api/v1/auth/2fa/setup
+// @access  Private (Admin, Teacher)
+exports.setupTwoFactor = asyncHandler(async (req, res, next) => {
+  if (!TWO_FACTOR_ROLES.includes(req.user.role)) {
+    return next(
+      new ErrorResponse(
+        `Two-factor authentication is available for: ${TWO_FACTOR_ROLES.join(
+          ", ",
+        )}`,
+        403,
+      ),
+    );
+  }
+
+  const user = await User.findById(req.user.id);
+
+  if (user.twoFactor.enabled) {
+    return next(
+      new ErrorResponse(
+        "Two-factor authentication is already enabled. Disable it first to enroll a new device.",
+        400,
+      ),
+    );
+  }
+
+  const secret = generateSecret();
+  user.twoFactor.pendingSecret = encryptSecret(secret);
   await user.save({ validateBeforeSave: false });
 
-  const token = signToken(user._id);
+  res.status(200).json({
+    success: true,
+    data: {
+      secret, // For manual entry in the authenticator app
+      otpauthUrl: getProvisioningUri({
+        secret,
+        accountName: user.username,
+        issuer: ISSUER,
+      }), // Render as a QR code
+    },
+    message:
+      "Scan the QR code with your authenticator app, then confirm with a code to enable two-factor authentication.",
+  });
+});
 
-  // Prepare user data for the response, excluding sensitive information
-  const userData = {
-    _id: user._id,
-    userId: user.userId,
-    username: user.username,
-    firstName: user.firstName,
-    middleName: user.middleName,
-    lastName: user.lastName,
-    email: user.email,
-    role: user.role,
-    status: user.status,
-    sex: user.sex,
-    phoneNumber: user.phoneNumber,
-    address: user.address,
-    profilePicture: user.profilePicture,
-    createdAt: user.createdAt,
-    updatedAt: user.updatedAt,
-    lastLogin: user.lastLogin,
-  };
+// @desc    Finish 2FA enrollment with a code from the app; returns recovery codes
+// @route   POST /api/v1/auth/2fa/enable
+// @access  Private (Admin, Teacher)
+exports.enableTwoFactor = asyncHandler(async (req, res, next) => {
+  const { code } = req.body;
+
+  const user = await User.findById(req.user.id).select(
+    "+twoFactor.pendingSecret",
+  );
+
+  if (!user.twoFactor.pendingSecret) {
+    return next(new ErrorResponse("Please start two-factor setup first", 400));
+  }
+
+  const step = verifyCode(decryptSecret(user.twoFactor.pendingSecret), code);
+  if (step === null) {
+    return next(new ErrorResponse("Invalid authentication code", 400));
+  }
+
+  const { codes, hashes } = generateRecoveryCodes();
+  user.twoFactor.enabled = true;
+  user.twoFactor.secret = user.twoFactor.pendingSecret;
+  user.twoFactor.pendingSecret = undefined;
+  user.twoFactor.recoveryCodes = hashes;
+  user.twoFactor.lastUsedStep = step;
+  user.twoFactor.enabledAt = new Date();
+  await user.save({ validateBeforeSave: false });
+
+  // Sessions that logged in with the password only are ended
+  await revokeUserSessions(user._id, "two_factor_enabled", req.session._id);
+  if (req.session.twoFactorSetupRequired) {
+    req.session.twoFactorSetupRequired = false;
+    await req.session.save();
+  }
+
+  await recordAudit(req, "two_factor_enabled", { targetUser: user._id });
 
   res.status(200).json({
     success: true,
-    token,
-    data: userData,
+    data: {
+      recoveryCodes: codes, // Shown only once
+    },
+    message:
+      "Two-factor authentication enabled. Keep your recovery codes somewhere safe.",
+  });
+});
+
+// @desc    Turn off 2FA (requires the password and a code)
+// @route   POST /api/v1/auth/2fa/disable
+// @access  Private (Admin, Teacher)
+exports.disableTwoFactor = asyncHandler(async (req, res, next) => {
+  const { password, code, recoveryCode } = req.body;
+
+  if (!password || (!code && !recoveryCode)) {
+    return next(
+      new ErrorResponse(
+        "Please provide your password and an authentication or recovery code",
+        400,
+      ),
+    );
+  }
+
+  if (await isTwoFactorRequired(req.user)) {
+    return next(
+      new ErrorResponse(
+        "Two-factor authentication is required for your role and can't be disabled",
+        403,
+      ),
+    );
+  }
+
+  const user = await User.findById(req.user.id).select(
+    "+password +twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep",
+  );
+
+  if (!user.twoFactor.enabled) {
+    return next(
+      new ErrorResponse("Two-factor authentication is not enabled", 400),
+    );
+  }
+
+  if (
+    !(await user.comparePassword(password, user.password)) ||
+    !(await checkSecondFactor(user, { code, recoveryCode }))
+  ) {
+    return next(new ErrorResponse("Incorrect password or code", 401));
+  }
+
+  user.twoFactor.enabled = false;
+  user.twoFactor.secret = undefined;
+  user.twoFactor.recoveryCodes = [];
+  user.twoFactor.lastUsedStep = undefined;
+  user.twoFactor.enabledAt = null;
+  await user.save({ validateBeforeSave: false });
+
+  await recordAudit(req, "two_factor_disabled", { targetUser: user._id });
+
+  res.status(200).json({
+    success: true,
+    message: "Two-factor authentication disabled",
+  });
+});
+
+// @desc    Replace the recovery codes (requires a code from the app)
+// @route   POST /api/v1/auth/2fa/recovery-codes
+// @access  Private (Admin, Teacher)
+exports.regenerateRecoveryCodes = asyncHandler(async (req, res, next) => {
+  const { code } = req.body;
+
+  const user = await User.findById(req.user.id).select(
+    "+twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep",
+  );
+
+  if (!user.twoFactor.enabled) {
+    return next(
+      new ErrorResponse("Two-factor authentication is not enabled", 400),
+    );
+  }
+
+  if (!(await checkSecondFactor(user, { code }))) {
+    return next(new ErrorResponse("Invalid authentication code", 401));
+  }
+
+  const { codes, hashes } = generateRecoveryCodes();
+  user.twoFactor.recoveryCodes = hashes;
+  await user.save({ validateBeforeSave: false });
+
+  await recordAudit(req, "two_factor_recovery_codes_regenerated", {
+    targetUser: user._id,
+  });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      recoveryCodes: codes, // Shown only once; the old codes no longer work
+    },
+  });
+});
+
+// @desc    Get a new access token (and refresh token) for a session
+// @route   POST /api/v1/auth/refresh
+// @access  Public (requires a refresh token)
+exports.refreshToken = asyncHandler(async (req, res, next) => {
+  const { refreshToken } = req.body;
+
+  if (!refreshToken) {
+    return next(new ErrorResponse("Please provide a refresh token", 400));
+  }
+
+  // Throws 401 for unknown, expired, revoked or reused refresh tokens
+  const { session, tokens } = await rotateSession(refreshToken, req);
+
+  const user = await User.findById(session.user).select("status");
+  if (!user || user.status !== "active") {
+    await revokeSession(session, "account_inactive");
+    return next(new ErrorResponse("User account is not active.", 403));
+  }
+
+  res.status(200).json({
+    success: true,
+    ...tokens,
   });
 });
 
@@ -302,11 +673,11 @@ exports.register = asyncHandler(async (req, res, next) => {
   const responseUser = newUser.toObject();
   delete responseUser.password; // Ensure password is not sent back
 
-  const token = signToken(newUser._id); // Optionally sign in user immediately after registration
+  const tokens = await createSession(newUser, req); // Optionally sign in user immediately after registration
 
   res.status(201).json({
     success: true,
-    token, // Or remove if admin creates user and doesn't auto-login them
+    ...tokens, // Or remove if admin creates user and doesn't auto-login them
     data: responseUser,
     message: "User account created successfully with active status",
   });
@@ -410,16 +781,91 @@ exports.updateMe = asyncHandler(async (req, res, next) => {
   });
 });
 
-// @desc    Logout user (Client-side responsibility for clearing token)
+// @desc    Logout user (revokes the current session)
 // @route   POST /api/v1/auth/logout
 // @access  Private
 exports.logout = asyncHandler(async (req, res, next) => {
-  // For stateless JWT, logout is primarily client-side action.
-  // Server can't invalidate a JWT token unless it's blacklisted.
+  // Ends the access token and the refresh token of this session
+  await revokeSession(req.session, "logout");
+
   res.status(200).json({
     success: true,
-    message:
-      "Logged out successfully. Please clear your token on the client-side.",
+    message: "Logged out successfully.",
+  });
+});
+
+// @desc    Get the current user's active sessions (logged in devices)
+// @route   GET /api/v1/auth/sessions
+// @access  Private
+exports.getMySessions = asyncHandler(async (req, res, next) => {
+  const sessions = await Session.find({
+    user: req.user.id,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  }).sort({ lastSeenAt: -1 });
+
+  const data = sessions.map((session) => ({
+    _id: session._id,
+    device: session.device,
+    ip: session.ip,
+    userAgent: session.userAgent,
+    lastSeenAt: session.lastSeenAt,
+    createdAt: session.createdAt,
+    expiresAt: session.expiresAt,
+    current: session._id.equals(req.session._id),
+  }));
+
+  res.status(200).json({
+    success: true,
+    count: data.length,
+    data,
+  });
+});
+
+// @desc    Revoke one of the current user's sessions (log out a device)
+// @route   DELETE /api/v1/auth/sessions/:id
+// @access  Private
+exports.revokeMySession = asyncHandler(async (req, res, next) => {
+  const session = await Session.findOne({
+    _id: req.params.id,
+    user: req.user.id,
+    revokedAt: null,
+  });
+
+  if (!session) {
+    return next(
+      new ErrorResponse(`Session not found with id of ${req.params.id}`, 404),
+    );
+  }
+
+  await revokeSession(session, "revoked");
+
+  res.status(200).json({
+    success: true,
+    message: session._id.equals(req.session._id)
+      ? "Logged out successfully."
+      : "Session revoked successfully.",
+  });
+});
+
+// @desc    Revoke all of the current user's other sessions (?includeCurrent=true also ends this one)
+// @route   DELETE /api/v1/auth/sessions
+// @access  Private
+exports.revokeAllMySessions = asyncHandler(async (req, res, next) => {
+  const includeCurrent = req.query.includeCurrent === "true";
+
+  const revokedCount = await revokeUserSessions(
+    req.user.id,
+    "revoked_all",
+    includeCurrent ? null : req.session._id,
+  );
+
+  res.status(200).json({
+    success: true,
+    data: { revokedCount },
+    message: includeCurrent
+      ? "Logged out of all sessions."
+      : "Logged out of all other sessions.",
   });
 });
 
@@ -450,12 +896,11 @@ exports.updatePassword = asyncHandler(async (req, res, next) => {
   user.password = newPassword;
   await user.save(); // Pre-save hook in User model will hash it
 
-  // Send new token as password change might invalidate old sessions if tokens include password related claims (not typical for simple JWT)
-  // const token = signToken(user._id); // Re-signing token is optional here
+  // A password change logs out every other device
+  await revokeUserSessions(user._id, "password_changed", req.session._id);
 
   res.status(200).json({
     success: true,
-    // token,
     message: "Password updated successfully",
   });
 });
@@ -543,12 +988,296 @@ exports.resetMyPassword = asyncHandler(async (req, res, next) => {
   user.password = newPassword;
   await user.save(); // Pre-save hook in User model will hash it
 
+  // A password change logs out every other device
+  await revokeUserSessions(user._id, "password_changed", req.session._id);
+
   res.status(200).json({
     success: true,
     message: "Password updated successfully",
   });
 });
 
+// @desc    Replace the one-time activation code with the user's own password (first login)
+// @route   PUT /api/v1/auth/set-password
+// @access  Private (also allowed while the password still has to be changed)
+exports.setInitialPassword = asyncHandler(async (req, res, next) => {
+  const { newPassword } = req.body;
+
+  if (!req.user.mustChangePassword) {
+    return next(
+      new ErrorResponse(
+        "Your password is already set. Use the change password option instead.",
+        400,
+      ),
+    );
+  }
+
+  if (!newPassword || newPassword.length < 8) {
+    return next(
+      new ErrorResponse("Password must be at least 8 characters", 400),
+    );
+  }
+
+  const user = await User.findById(req.user.id).select("+password");
+
+  if (!user) {
+    return next(new ErrorResponse("User not found", 404));
+  }
+
+  if (await user.comparePassword(newPassword, user.password)) {
+    return next(
+      new ErrorResponse(
+        "Please choose a password different from your activation code",
+        400,
+      ),
+    );
+  }
+
+  user.password = newPassword;
+  user.mustChangePassword = false;
+  user.activationExpiresAt = null;
+  await user.save(); // Pre-save hook in User model will hash it
+
+  // Anyone else who used the activation code is logged out
+  await revokeUserSessions(user._id, "password_changed", req.session._id);
+
+  res.status(200).json({
+    success: true,
+    message: "Password set successfully",
+  });
+});
+
+// Helper function to find an account by username, userId or email
+const findUserByIdentifier = (identifier) => {
+  const value = String(identifier).trim();
+  return User.findOne({
+    $or: [
+      { username: value },
+      { userId: value },
+      { email: value },
+      { email: value.toLowerCase() },
+    ],
+  });
+};
+
+// @desc    Request a password reset link by email
+// @route   POST /api/v1/auth/forgot-password
+// @access  Public
+exports.forgotPassword = asyncHandler(async (req, res, next) => {
+  const { identifier } = req.body;
+
+  if (!identifier) {
+    return next(
+      new ErrorResponse("Please provide your username, user ID or email", 400),
+    );
+  }
+
+  // Same answer whether or not the account exists, so accounts can't be probed
+  const genericResponse = {
+    success: true,
+    message:
+      "If an account with an email address matches, a password reset link has been sent. Students without an email address can ask an administrator for a reset code.",
+  };
+
+  const user = await findUserByIdentifier(identifier);
+
+  if (!user || user.status !== "active" || !user.email) {
+    await recordAudit(req, "password_reset_requested", {
+      actor: null,
+      targetUser: user ? user._id : null,
+      details: {
+        identifier: String(identifier),
+        delivered: false,
+        reason: !user
+          ? "unknown_account"
+          : !user.email
+            ? "no_email"
+            : "inactive",
+      },
+    });
+    return res.status(200).json(genericResponse);
+  }
+
+  if (await isResetEmailLimitReached(user._id)) {
+    await recordAudit(req, "password_reset_rate_limited", {
+      actor: null,
+      targetUser: user._id,
+    });
+    return res.status(200).json(genericResponse);
+  }
+
+  const { token, reset } = await createEmailReset(user);
+  const resetUrl = `${
+    process.env.CLIENT_URL || "http://localhost:3000"
+  }/reset-password?token=${token}`;
+
+  try {
+    await getMailer().sendMail({
+      to: user.email,
+      subject: "Reset your GracEdLMS password",
+      text: `Hi ${user.firstName},\n\nWe received a request to reset your password. Open the link below to choose a new one:\n\n${resetUrl}\n\nThe link expires in ${RESET_TOKEN_EXPIRES_MINUTES} minutes and can only be used once. If you didn't ask for this, you can ignore this email.`,
+      html: `<p>Hi ${escapeHtml(
+        user.firstName,
+      )},</p><p>We received a request to reset your password. Open the link below to choose a new one:</p><p><a href="${escapeHtml(
+        resetUrl,
+      )}">Reset my password</a></p><p>The link expires in ${RESET_TOKEN_EXPIRES_MINUTES} minutes and can only be used once. If you didn't ask for this, you can ignore this email.</p>`,
+    });
+  } catch (error) {
+    // Still the generic answer, an error here would tell the account exists
+    console.error("Failed to send password reset email:", error);
+    reset.invalidatedAt = new Date();
+    await reset.save();
+    await recordAudit(req, "password_reset_email_failed", {
+      actor: null,
+      targetUser: user._id,
+      details: { identifier: String(identifier), error: error.message },
+    });
+    return res.status(200).json(genericResponse);
+  }
+
+  await recordAudit(req, "password_reset_requested", {
+    actor: null,
+    targetUser: user._id,
+    details: { identifier: String(identifier), delivered: true },
+  });
+
+  res.status(200).json(genericResponse);
+});
+
+// @desc    Reset password with the token from a reset email
+// @route   POST /api/v1/auth/reset-password
+// @access  Public
+exports.resetPassword = asyncHandler(async (req, res, next) => {
+  const { token, newPassword } = req.body;
+
+  if (!token || !newPassword) {
+    return next(
+      new ErrorResponse(
+        "Please provide the reset token and a new password",
+        400,
+      ),
+    );
+  }
+
+  if (newPassword.length < 8) {
+    return next(
+      new ErrorResponse("Password must be at least 8 characters", 400),
+    );
+  }
+
+  const reset = await findEmailReset(token);
+  const user = reset ? await User.findById(reset.user) : null;
+
+  if (!reset || !user || user.status !== "active") {
+    await recordAudit(req, "password_reset_failed", {
+      actor: null,
+      targetUser: user ? user._id : null,
+      details: { method: "email", reason: "invalid_token" },
+    });
+    return next(
+      new ErrorResponse("Password reset link is invalid or has expired", 400),
+    );
+  }
+
+  await completePasswordReset(user, reset, newPassword);
+  await recordAudit(req, "password_reset_completed", {
+    actor: user._id,
+    targetUser: user._id,
+    details: { method: "email" },
+  });
+
+  res.status(200).json({
+    success: true,
+    message:
+      "Password reset successfully. Please log in with your new password.",
+  });
+});
+
+// @desc    Reset password with a 6-digit code issued by an admin
+// @route   POST /api/v1/auth/reset-password/code
+// @access  Public
+exports.resetPasswordWithCode = asyncHandler(async (req, res, next) => {
+  const { identifier, code, newPassword } = req.body;
+
+  if (!identifier || !code || !newPassword) {
+    return next(
+      new ErrorResponse(
+        "Please provide your username or user ID, the reset code and a new password",
+        400,
+      ),
+    );
+  }
+
+  if (newPassword.length < 8) {
+    return next(
+      new ErrorResponse("Password must be at least 8 characters", 400),
+    );
+  }
+
+  const user = await findUserByIdentifier(identifier);
+
+  // Wrong codes count as failed logins of the account and the IP, so codes
+  // can't be guessed across accounts either
+  const loginKeys = getLoginKeys(user, identifier, getClientIp(req));
+  const attempt = await reserveLoginAttempt(loginKeys);
+  if (attempt.blocked) {
+    return next(getThrottledLoginError(res, attempt.blocked));
+  }
+
+  const result =
+    user && user.status === "active"
+      ? await verifyResetCode(user._id, code)
+      : { reset: null, attemptsLeft: 0, locked: false };
+
+  if (!result.reset) {
+    await auditLoginLockouts(req, attempt.locked);
+    await recordAudit(req, "password_reset_failed", {
+      actor: null,
+      targetUser: user ? user._id : null,
+      details: {
+        method: "code",
+        identifier: String(identifier),
+        attemptsLeft: result.attemptsLeft,
+      },
+    });
+    if (result.locked) {
+      await recordAudit(req, "password_reset_code_locked", {
+        actor: null,
+        targetUser: user._id,
+      });
+      return next(
+        new ErrorResponse(
+          "Too many wrong attempts. Please ask an administrator for a new reset code.",
+          429,
+        ),
+      );
+    }
+    return next(
+      new ErrorResponse(
+        result.attemptsLeft > 0
+          ? `Invalid reset code. ${result.attemptsLeft} attempt(s) left.`
+          : "Reset code is invalid or has expired",
+        400,
+      ),
+    );
+  }
+
+  await completePasswordReset(user, result.reset, newPassword);
+  await releaseLoginAttempt(loginKeys);
+  await clearAccountFailures(user._id);
+  await recordAudit(req, "password_reset_completed", {
+    actor: user._id,
+    targetUser: user._id,
+    details: { method: "code" },
+  });
+
+  res.status(200).json({
+    success: true,
+    message:
+      "Password reset successfully. Please log in with your new password.",
+  });
+});
+
 // @desc    Verify if provided password matches current user's password
 // @route   POST /api/v1/auth/verify-password
 // @access  Private
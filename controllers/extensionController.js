@@ -0,0 +1,275 @@
+// controllers/extensionController.js
+
+const mongoose = require("mongoose");
+const Extension = require("../models/Extension");
+const Activity = require("../models/Activity");
+const Quiz = require("../models/Quiz");
+const Subject = require("../models/Subject");
+const asyncHandler = require("../utils/asyncHandler");
+const { ErrorResponse } = require("../utils/errorResponse");
+const { getLateStatus } = require("../utils/latePolicy");
+const { getAttemptExpiresAt } = require("../utils/quizGrading");
+
+// Helper function to check if the user teaches the subject
+const isAssignedTeacher = (subject, user) =>
+  user.role === "Teacher" &&
+  subject.teachers &&
+  subject.teachers.some(
+    (ta) =>
+      ta.teacher &&
+      (ta.teacher._id.equals(user._id) ||
+        ta.teacher.email === user.email ||
+        ta.teacher.username === user.username),
+  );
+
+// Helper function to load the activity or quiz an extension is for
+const findTarget = async ({ activity, quiz }) => {
+  if (activity) {
+    if (!mongoose.Types.ObjectId.isValid(activity)) return null;
+    const doc = await Activity.findById(activity);
+    return doc && { kind: "activity", doc };
+  }
+  if (quiz) {
+    if (!mongoose.Types.ObjectId.isValid(quiz)) return null;
+    const doc = await Quiz.findById(quiz);
+    return doc && { kind: "quiz", doc };
+  }
+  return null;
+};
+
+// Helper function to bring the student's work in line with an extension
+// (or with the regular rules once it is revoked): the late flag of an
+// activity submission, the time left in a quiz attempt in progress
+const applyExtensionToWork = async (target, studentId, extension) => {
+  const isStudent = (entry) =>
+    entry.student.toString() === studentId.toString();
+
+  if (target.kind === "activity") {
+    const activity = target.doc;
+    const submission = activity.submissions.find(isStudent);
+    if (!submission) return;
+
+    const { isLate, daysLate } = getLateStatus(
+      activity,
+      submission.submissionDate,
+      extension ? extension.deadline : activity.deadline,
+    );
+    submission.isLate = isLate;
+    submission.daysLate = daysLate;
+    await activity.save();
+    return;
+  }
+
+  const quiz = target.doc;
+  const attempts = quiz.quizSubmissions.filter(
+    (submission) =>
+      isStudent(submission) &&
+      submission.status === "in_progress" &&
+      submission.startedAt,
+  );
+  if (attempts.length === 0) return;
+
+  attempts.forEach((attempt) => {
+    attempt.expiresAt = getAttemptExpiresAt(
+      quiz,
+      attempt.startedAt,
+      extension ? extension.extraMinutes : 0,
+    );
+  });
+  await quiz.save();
+};
+
+// @desc    Get extensions (filter by activity, quiz, student, subject)
+// @route   GET /api/v1/extensions
+// @access  Private/Teacher (own subjects),Admin
+exports.getExtensions = asyncHandler(async (req, res, next) => {
+  const query = {};
+  ["activity", "quiz", "student", "subject"].forEach((field) => {
+    if (req.query[field]) query[field] = req.query[field];
+  });
+
+  // Teachers only see extensions in the subjects they teach
+  if (req.user.role === "Teacher") {
+    const subjects = await Subject.find({
+      "teachers.teacher": req.user._id,
+    }).select("_id");
+    const subjectIds = subjects.map((subject) => subject._id.toString());
+
+    if (query.subject && !subjectIds.includes(query.subject.toString())) {
+      return next(
+        new ErrorResponse(
+          "Not authorized to view extensions for this subject",
+          403,
+        ),
+      );
+    }
+    if (!query.subject) query.subject = { $in: subjectIds };
+  }
+
+  const extensions = await Extension.find(query)
+    .populate("student", "firstName middleName lastName email userId")
+    .populate("activity", "title deadline")
+    .populate("quiz", "title timeLimit status")
+    .populate("subject", "subjectName section")
+    .populate("grantedBy", "firstName lastName")
+    .sort({ createdAt: -1 });
+
+  res.status(200).json({
+    success: true,
+    count: extensions.length,
+    data: extensions,
+  });
+});
+
+// @desc    Get the extensions granted to the logged in student
+// @route   GET /api/v1/extensions/me
+// @access  Private/Student
+exports.getMyExtensions = asyncHandler(async (req, res, next) => {
+  const extensions = await Extension.find({ student: req.user.id })
+    .populate("activity", "title deadline")
+    .populate("quiz", "title timeLimit status")
+    .populate("subject", "subjectName section")
+    .sort({ createdAt: -1 });
+
+  res.status(200).json({
+    success: true,
+    count: extensions.length,
+    data: extensions,
+  });
+});
+
+// @desc    Grant (or change) a student's extension on an activity or quiz
+// @route   POST /api/v1/extensions
+// @access  Private/Teacher (assigned to the subject),Admin
+exports.grantExtension = asyncHandler(async (req, res, next) => {
+  const { student, activity, quiz, deadline, extraMinutes, reason } = req.body;
+
+  if (!student || !mongoose.Types.ObjectId.isValid(student)) {
+    return next(new ErrorResponse("A valid student ID is required", 400));
+  }
+  if (!!activity === !!quiz) {
+    return next(new ErrorResponse("Provide either an activity or a quiz", 400));
+  }
+  if (deadline && isNaN(new Date(deadline).getTime())) {
+    return next(new ErrorResponse("Invalid deadline", 400));
+  }
+  if (
+    extraMinutes !== undefined &&
+    extraMinutes !== "" &&
+    !(Number(extraMinutes) >= 0)
+  ) {
+    return next(new ErrorResponse("Extra minutes must be zero or more", 400));
+  }
+
+  const target = await findTarget({ activity, quiz });
+  if (!target) {
+    return next(
+      new ErrorResponse(`${activity ? "Activity" : "Quiz"} not found`, 404),
+    );
+  }
+
+  // An extension only ever gives more time than the activity's deadline
+  if (
+    target.kind === "activity" &&
+    deadline &&
+    target.doc.deadline &&
+    new Date(deadline) < target.doc.deadline
+  ) {
+    return next(
+      new ErrorResponse(
+        "The extended deadline can't be earlier than the activity's deadline",
+        400,
+      ),
+    );
+  }
+
+  const subject = await Subject.findById(target.doc.subject).populate({
+    path: "teachers.teacher",
+    select: "_id email username",
+  });
+  if (!subject) {
+    return next(new ErrorResponse("Subject not found", 404));
+  }
+
+  if (req.user.role !== "Admin" && !isAssignedTeacher(subject, req.user)) {
+    return next(
+      new ErrorResponse(
+        "Not authorized to grant extensions for this subject",
+        403,
+      ),
+    );
+  }
+
+  if (!subject.students.some((s) => s.toString() === student.toString())) {
+    return next(
+      new ErrorResponse("Student is not enrolled in this subject", 400),
+    );
+  }
+
+  const targetFilter = { [target.kind]: target.doc._id };
+  let extension = await Extension.findForStudent(student, targetFilter);
+  const isNew = !extension;
+  if (isNew) {
+    extension = new Extension({
+      student,
+      ...targetFilter,
+      subject: subject._id,
+    });
+  }
+
+  extension.deadline = deadline ? new Date(deadline) : null;
+  extension.extraMinutes =
+    extraMinutes !== undefined && extraMinutes !== ""
+      ? Number(extraMinutes)
+      : 0;
+  extension.reason = reason;
+  extension.grantedBy = req.user.id;
+
+  await extension.save();
+  await applyExtensionToWork(target, student, extension);
+
+  res.status(isNew ? 201 : 200).json({
+    success: true,
+    data: extension,
+  });
+});
+
+// @desc    Revoke an extension
+// @route   DELETE /api/v1/extensions/:id
+// @access  Private/Teacher (assigned to the subject),Admin
+exports.revokeExtension = asyncHandler(async (req, res, next) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return next(new ErrorResponse("Invalid extension ID format", 400));
+  }
+
+  const extension = await Extension.findById(req.params.id);
+  if (!extension) {
+    return next(new ErrorResponse("Extension not found", 404));
+  }
+
+  const subject = await Subject.findById(extension.subject).populate({
+    path: "teachers.teacher",
+    select: "_id email username",
+  });
+
+  if (
+    req.user.role !== "Admin" &&
+    !(subject && isAssignedTeacher(subject, req.user))
+  ) {
+    return next(
+      new ErrorResponse("Not authorized to revoke this extension", 403),
+    );
+  }
+
+  await extension.deleteOne();
+
+  const target = await findTarget(extension);
+  if (target) {
+    await applyExtensionToWork(target, extension.student, null);
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {},
+  });
+});
@@ -3,15 +3,79 @@ const Grade = require("../models/Grade");
 const Activity = require("../models/Activity");
 const Subject = require("../models/Subject");
 const User = require("../models/User");
+const Extension = require("../models/Extension");
+const SubmissionVersion = require("../models/SubmissionVersion");
 const asyncHandler = require("../utils/asyncHandler");
 const { ErrorResponse } = require("../utils/errorResponse");
+const {
+  QUARTERS,
+  computeSubjectQuarterGrades,
+} = require("../utils/gradingEngine");
+const { computeLatePenalty, getLateStatus } = require("../utils/latePolicy");
+
+// Helper function to set the raw score, the late deduction and the final
+// score of a grade (or of the data used to create one)
+const applyLatePenalty = (target, activity, rawScore, daysLate, waived) => {
+  const penalty = computeLatePenalty(activity, daysLate, rawScore);
+  const points = waived ? 0 : penalty.points;
+
+  target.rawScore = rawScore;
+  target.latePenalty = { ...penalty, points, waived };
+  target.score = Math.round((rawScore - points) * 100) / 100;
+};
+
+// Helper function to turn the chosen level per criterion into a rubric
+// breakdown. Returns { error } when a criterion is missing or a level is unknown.
+const buildRubricBreakdown = (rubric, rubricScores) => {
+  const breakdown = [];
+
+  for (const criterion of rubric.criteria) {
+    const entry = rubricScores.find(
+      (s) => s && String(s.criterionId) === criterion._id.toString(),
+    );
+    if (!entry) {
+      return { error: `Select a level for criterion "${criterion.title}"` };
+    }
+
+    const level = criterion.levels.find(
+      (l) => l._id.toString() === String(entry.levelId),
+    );
+    if (!level) {
+      return { error: `Invalid level for criterion "${criterion.title}"` };
+    }
 
-// @desc    Grade an activity for a student
+    breakdown.push({
+      criterionId: criterion._id,
+      criterionTitle: criterion.title,
+      levelId: level._id,
+      levelLabel: level.label,
+      points: level.points,
+      maxPoints: Math.max(...criterion.levels.map((l) => l.points)),
+      comment: entry.comment || undefined,
+    });
+  }
+
+  return { breakdown };
+};
+
+// @desc    Grade an activity for a student (plain score, or rubricScores:
+//          [{ criterionId, levelId, comment }] when the activity has a rubric).
+//          Late submissions get the late policy deduction unless waiveLatePenalty.
+//          versionNumber picks the turn-in being graded (defaults to the latest).
 // @route   POST /api/v1/activities/:activityId/grades
 // @access  Private/Teacher (assigned to the subject of the activity) or Private/Admin
 exports.gradeActivity = asyncHandler(async (req, res, next) => {
   const { activityId } = req.params;
-  const { studentId, score, comments, bonusPoints } = req.body;
+  const {
+    studentId,
+    score,
+    comments,
+    bonusPoints,
+    rubricScores,
+    waiveLatePenalty,
+    versionNumber,
+  } = req.body;
+  const useRubric = Array.isArray(rubricScores) && rubricScores.length > 0;
 
   if (!mongoose.Types.ObjectId.isValid(activityId)) {
     return next(
@@ -24,12 +88,12 @@ exports.gradeActivity = asyncHandler(async (req, res, next) => {
     );
   }
 
-  if (score === undefined || score === null || score === "") {
+  if (!useRubric && (score === undefined || score === null || score === "")) {
     return next(new ErrorResponse("Score is required", 400));
   }
 
-  const numericScore = Number(score);
-  if (isNaN(numericScore) || numericScore < 0) {
+  let numericScore = Number(score);
+  if (!useRubric && (isNaN(numericScore) || numericScore < 0)) {
     return next(
       new ErrorResponse(
         "Score must be a valid number greater than or equal to 0",
@@ -51,12 +115,14 @@ exports.gradeActivity = asyncHandler(async (req, res, next) => {
     }
   }
 
-  const activity = await Activity.findById(activityId).populate({
-    path: "subject",
-    populate: {
-      path: "teachers.teacher",
-    },
-  });
+  const activity = await Activity.findById(activityId)
+    .populate({
+      path: "subject",
+      populate: {
+        path: "teachers.teacher",
+      },
+    })
+    .populate("rubric");
   if (!activity) {
     return next(
       new ErrorResponse(`Activity not found with ID ${activityId}`, 404),
@@ -104,6 +170,49 @@ exports.gradeActivity = asyncHandler(async (req, res, next) => {
     );
   }
 
+  // The grade is given for one turn-in: the version asked for, or the latest
+  const submission = activity.submissions.find(
+    (sub) => sub.student.toString() === studentId.toString(),
+  );
+  const gradedVersionNumber =
+    versionNumber !== undefined &&
+    versionNumber !== null &&
+    versionNumber !== ""
+      ? Number(versionNumber)
+      : submission && submission.version;
+  let version = null;
+  if (gradedVersionNumber) {
+    version = await SubmissionVersion.findOne({
+      activity: activity._id,
+      student: studentId,
+      versionNumber: gradedVersionNumber,
+    });
+    if (!version) {
+      return next(
+        new ErrorResponse(
+          `Submission version ${gradedVersionNumber} not found`,
+          404,
+        ),
+      );
+    }
+  }
+
+  // With a rubric the score is the total of the chosen levels
+  let breakdown = [];
+  if (useRubric) {
+    if (!activity.rubric) {
+      return next(new ErrorResponse("This activity has no rubric.", 400));
+    }
+
+    const result = buildRubricBreakdown(activity.rubric, rubricScores);
+    if (result.error) {
+      return next(new ErrorResponse(result.error, 400));
+    }
+
+    breakdown = result.breakdown;
+    numericScore = breakdown.reduce((total, item) => total + item.points, 0);
+  }
+
   if (activity.points && numericScore > activity.points) {
     return next(
       new ErrorResponse(`Score must be between 0 and ${activity.points}.`, 400),
@@ -115,12 +224,37 @@ exports.gradeActivity = asyncHandler(async (req, res, next) => {
     activity: activityId,
     subject: subject._id,
     quarter: activity.quarter,
-    score: numericScore,
     bonusPoints: numericBonusPoints,
     comments: comments || undefined,
+    rubricScores: breakdown,
+    submissionVersion: version ? version._id : undefined,
+    versionNumber: version ? version.versionNumber : undefined,
     gradedBy: req.user.id,
   };
 
+  // Late work loses the deduction of the activity's late policy, measured
+  // against the student's extension if there is one
+  const submittedAt = version
+    ? version.submittedAt
+    : submission && submission.submissionDate;
+  const extension = await Extension.findForStudent(studentId, {
+    activity: activity._id,
+  });
+  const { daysLate } = submittedAt
+    ? getLateStatus(
+        activity,
+        submittedAt,
+        extension ? extension.deadline : activity.deadline,
+      )
+    : { daysLate: 0 };
+  applyLatePenalty(
+    gradeData,
+    activity,
+    numericScore,
+    daysLate,
+    waiveLatePenalty === true || waiveLatePenalty === "true",
+  );
+
   const grade = await Grade.findOneAndUpdate(
     { student: studentId, activity: activityId },
     gradeData,
@@ -242,6 +376,7 @@ exports.getStudentGradesForSubject = asyncHandler(async (req, res, next) => {
 
   const grades = await Grade.find({ student: studentId, subject: subjectId })
     .populate({ path: "activity", select: "title points deadline" })
+    .populate({ path: "quiz", select: "title quizPoints quarter" })
     .populate({ path: "gradedBy", select: "firstName lastName" })
     .sort({ "activity.deadline": 1 });
 
@@ -252,18 +387,184 @@ exports.getStudentGradesForSubject = asyncHandler(async (req, res, next) => {
   });
 });
 
+// @desc    Get computed quarterly grades of a student in a subject
+// @route   GET /api/v1/subjects/:subjectId/students/:studentId/quarter-grades
+// @access  Private (Student themselves, Assigned Teacher, Admin)
+exports.getStudentQuarterGrades = asyncHandler(async (req, res, next) => {
+  const { subjectId, studentId } = req.params;
+  const { quarter } = req.query;
+
+  if (
+    !mongoose.Types.ObjectId.isValid(subjectId) ||
+    !mongoose.Types.ObjectId.isValid(studentId)
+  ) {
+    return next(new ErrorResponse("Invalid subject or student ID format", 400));
+  }
+
+  if (quarter && !QUARTERS.includes(quarter)) {
+    return next(
+      new ErrorResponse(
+        `Invalid quarter. Allowed values are: ${QUARTERS.join(", ")}`,
+        400,
+      ),
+    );
+  }
+
+  const subject = await Subject.findById(subjectId).populate({
+    path: "teachers.teacher",
+  });
+  if (!subject) return next(new ErrorResponse("Subject not found", 404));
+
+  const student = await User.findById(studentId);
+  if (!student || student.role !== "Student")
+    return next(new ErrorResponse("Student not found", 404));
+
+  const isStudentOwner = req.user._id.toString() === studentId.toString();
+  const isAssignedTeacher =
+    req.user.role === "Teacher" &&
+    subject.teachers &&
+    subject.teachers.some(
+      (ta) =>
+        ta.teacher &&
+        (ta.teacher._id.equals(req.user._id) ||
+          ta.teacher.email === req.user.email ||
+          ta.teacher.username === req.user.username),
+    );
+
+  const isAdmin = req.user.role === "Admin";
+
+  if (!isStudentOwner && !isAssignedTeacher && !isAdmin) {
+    return next(new ErrorResponse("Not authorized to view these grades.", 403));
+  }
+
+  if (!subject.students.some((s) => s.toString() === studentId.toString())) {
+    return next(
+      new ErrorResponse(
+        `Student ${student.firstName} ${student.lastName} is not enrolled in subject ${subject.subjectName}.`,
+        400,
+      ),
+    );
+  }
+
+  const { weights, results } = await computeSubjectQuarterGrades(
+    subject,
+    [student._id],
+    { quarter },
+  );
+
+  res.status(200).json({
+    success: true,
+    data: {
+      subject: {
+        _id: subject._id,
+        subjectName: subject.subjectName,
+        gradeLevel: subject.gradeLevel,
+        section: subject.section,
+        schoolYear: subject.schoolYear,
+      },
+      student: {
+        _id: student._id,
+        userId: student.userId,
+        firstName: student.firstName,
+        lastName: student.lastName,
+      },
+      weights,
+      ...results.get(student._id.toString()),
+    },
+  });
+});
+
+// @desc    Get computed quarterly grades of every student in a subject
+// @route   GET /api/v1/subjects/:subjectId/quarter-grades
+// @access  Private (Assigned Teacher, Admin)
+exports.getSubjectQuarterGrades = asyncHandler(async (req, res, next) => {
+  const { subjectId } = req.params;
+  const { quarter } = req.query;
+
+  if (!mongoose.Types.ObjectId.isValid(subjectId)) {
+    return next(new ErrorResponse("Invalid subject ID format", 400));
+  }
+
+  if (quarter && !QUARTERS.includes(quarter)) {
+    return next(
+      new ErrorResponse(
+        `Invalid quarter. Allowed values are: ${QUARTERS.join(", ")}`,
+        400,
+      ),
+    );
+  }
+
+  const subject = await Subject.findById(subjectId)
+    .populate({ path: "teachers.teacher" })
+    .populate({
+      path: "students",
+      select: "firstName middleName lastName userId",
+    });
+  if (!subject) return next(new ErrorResponse("Subject not found", 404));
+
+  const isAssignedTeacher =
+    req.user.role === "Teacher" &&
+    subject.teachers &&
+    subject.teachers.some(
+      (ta) =>
+        ta.teacher &&
+        (ta.teacher._id.equals(req.user._id) ||
+          ta.teacher.email === req.user.email ||
+          ta.teacher.username === req.user.username),
+    );
+
+  const isAdmin = req.user.role === "Admin";
+
+  if (!isAssignedTeacher && !isAdmin) {
+    return next(
+      new ErrorResponse("Not authorized to view grades for this subject.", 403),
+    );
+  }
+
+  const students = subject.students.filter(Boolean);
+  const { weights, results } = await computeSubjectQuarterGrades(
+    subject,
+    students.map((s) => s._id),
+    { quarter },
+  );
+
+  const data = students
+    .map((student) => ({
+      student: {
+        _id: student._id,
+        userId: student.userId,
+        firstName: student.firstName,
+        middleName: student.middleName,
+        lastName: student.lastName,
+      },
+      ...results.get(student._id.toString()),
+    }))
+    .sort((a, b) => a.student.lastName.localeCompare(b.student.lastName));
+
+  res.status(200).json({
+    success: true,
+    count: data.length,
+    weights,
+    data,
+  });
+});
+
 // @desc    Update a specific grade (e.g., change score or comments)
 // @route   PUT /api/v1/grades/:gradeId
 // @access  Private (Teacher who graded, or Admin)
 exports.updateGrade = asyncHandler(async (req, res, next) => {
   const { gradeId } = req.params;
-  const { score, comments, bonusPoints } = req.body;
+  const { score, comments, bonusPoints, rubricScores, waiveLatePenalty } =
+    req.body;
 
   if (!mongoose.Types.ObjectId.isValid(gradeId)) {
     return next(new ErrorResponse("Invalid grade ID format", 400));
   }
 
-  let grade = await Grade.findById(gradeId).populate("activity");
+  let grade = await Grade.findById(gradeId).populate({
+    path: "activity",
+    populate: { path: "rubric" },
+  });
   if (!grade) return next(new ErrorResponse("Grade not found", 404));
 
   // Authorization: Original grader or Admin
@@ -275,8 +576,42 @@ exports.updateGrade = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse("Not authorized to update this grade.", 403));
   }
 
-  // Update score if provided
-  if (score !== undefined && score !== null) {
+  // Quiz grades mirror the quiz submission and are changed through quiz grading
+  if (grade.sourceType === "Quiz") {
+    return next(
+      new ErrorResponse(
+        "Quiz grades are updated by grading the quiz submission.",
+        400,
+      ),
+    );
+  }
+
+  // Score before the late deduction, when it changes
+  let rawScore;
+
+  // Re-grade with the rubric if levels are provided
+  if (Array.isArray(rubricScores) && rubricScores.length > 0) {
+    if (!grade.activity.rubric) {
+      return next(new ErrorResponse("This activity has no rubric.", 400));
+    }
+
+    const result = buildRubricBreakdown(grade.activity.rubric, rubricScores);
+    if (result.error) {
+      return next(new ErrorResponse(result.error, 400));
+    }
+
+    const total = result.breakdown.reduce((sum, item) => sum + item.points, 0);
+    if (grade.activity.points && total > grade.activity.points) {
+      return next(
+        new ErrorResponse(
+          `Score must be between 0 and ${grade.activity.points}.`,
+          400,
+        ),
+      );
+    }
+    grade.rubricScores = result.breakdown;
+    rawScore = total;
+  } else if (score !== undefined && score !== null) {
     const numericScore = Number(score);
     if (isNaN(numericScore) || numericScore < 0) {
       return next(
@@ -294,7 +629,25 @@ exports.updateGrade = asyncHandler(async (req, res, next) => {
         ),
       );
     }
-    grade.score = numericScore;
+    rawScore = numericScore;
+    // A manual score replaces the rubric breakdown
+    grade.rubricScores = [];
+  }
+
+  // Recompute the late deduction for the new score or waiver
+  const latePenalty = grade.latePenalty || {};
+  const waived =
+    waiveLatePenalty !== undefined
+      ? waiveLatePenalty === true || waiveLatePenalty === "true"
+      : !!latePenalty.waived;
+  if (rawScore !== undefined || waived !== !!latePenalty.waived) {
+    applyLatePenalty(
+      grade,
+      grade.activity,
+      rawScore !== undefined ? rawScore : (grade.rawScore ?? grade.score),
+      latePenalty.daysLate || 0,
+      waived,
+    );
   }
 
   // Update bonus points if provided
@@ -363,6 +716,15 @@ exports.deleteGrade = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse("Not authorized to delete this grade.", 403));
   }
 
+  if (grade.sourceType === "Quiz") {
+    return next(
+      new ErrorResponse(
+        "Quiz grades are removed together with their quiz submission.",
+        400,
+      ),
+    );
+  }
+
   await Grade.findByIdAndDelete(gradeId);
 
   res.status(200).json({
@@ -446,6 +808,9 @@ exports.getStudentActivityGradesOverview = asyncHandler(
           submission: studentSubmission || null, // Will be null if no submission
           grade: existingGrade || null, // Will be null if no grade
           status: submissionStatus,
+          isLate: studentSubmission ? !!studentSubmission.isLate : false,
+          // Deduction from the late policy (also on the grade itself)
+          latePenalty: existingGrade ? existingGrade.latePenalty || null : null,
           subject: subject, // Add subject info directly for easier display
         });
       }
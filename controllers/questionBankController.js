@@ -0,0 +1,419 @@
+// controllers/questionBankController.js
+
+const mongoose = require("mongoose");
+const QuestionBank = require("../models/QuestionBank");
+const Quiz = require("../models/Quiz");
+const Subject = require("../models/Subject");
+const asyncHandler = require("../utils/asyncHandler");
+const { ErrorResponse } = require("../utils/errorResponse");
+
+const TAG_FIELDS = ["topic", "difficulty", "quarter"];
+
+// Helper function to check if the user may change a bank question
+const canManageQuestion = (question, user) =>
+  user.role === "Admin" || question.createdBy.toString() === user.id;
+
+// Helper function to search user text literally inside a $regex
+const escapeRegex = (value) =>
+  String(value).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Helper function to build a bank query from tag filters
+const buildTagFilter = (source) => {
+  const filter = {};
+  if (source.subject) filter.subject = source.subject;
+  if (source.gradeLevel) filter.gradeLevel = source.gradeLevel;
+  if (source.type) filter.type = source.type;
+  TAG_FIELDS.forEach((field) => {
+    if (source[field]) filter[field] = source[field];
+  });
+  return filter;
+};
+
+// Helper function to describe a draw in error messages
+const describeDraw = (draw) =>
+  ["topic", "difficulty", "quarter", "type"]
+    .filter((field) => draw[field])
+    .map((field) => `${field} "${draw[field]}"`)
+    .join(", ") || "any tag";
+
+// @desc    Get bank questions (filter by subject, gradeLevel, topic, difficulty, quarter, type, search)
+// @route   GET /api/v1/question-bank
+// @access  Private/Teacher,Admin
+exports.getBankQuestions = asyncHandler(async (req, res, next) => {
+  const query = buildTagFilter(req.query);
+
+  if (req.query.search) {
+    query.text = { $regex: escapeRegex(req.query.search), $options: "i" };
+  }
+
+  const questions = await QuestionBank.find(query)
+    .populate("createdBy", "firstName lastName")
+    .populate("subject", "subjectName gradeLevel section schoolYear")
+    .sort({ createdAt: -1 });
+
+  res.status(200).json({
+    success: true,
+    count: questions.length,
+    data: questions,
+  });
+});
+
+// @desc    Get a single bank question
+// @route   GET /api/v1/question-bank/:id
+// @access  Private/Teacher,Admin
+exports.getBankQuestion = asyncHandler(async (req, res, next) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return next(new ErrorResponse("Invalid question ID format", 400));
+  }
+
+  const question = await QuestionBank.findById(req.params.id)
+    .populate("createdBy", "firstName lastName")
+    .populate("subject", "subjectName gradeLevel section schoolYear");
+
+  if (!question) {
+    return next(new ErrorResponse("Question not found", 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: question,
+  });
+});
+
+// @desc    Add a question to the bank
+// @route   POST /api/v1/question-bank
+// @access  Private/Teacher,Admin
+exports.createBankQuestion = asyncHandler(async (req, res, next) => {
+  const { subject, gradeLevel } = req.body;
+
+  if (!gradeLevel) {
+    return next(new ErrorResponse("Grade level is required", 400));
+  }
+
+  if (subject && !(await Subject.exists({ _id: subject }))) {
+    return next(new ErrorResponse("Subject not found", 404));
+  }
+
+  const question = await QuestionBank.create({
+    ...QuestionBank.pickQuestionFields(req.body),
+    subject: subject || null,
+    gradeLevel,
+    topic: req.body.topic,
+    difficulty: req.body.difficulty,
+    quarter: req.body.quarter || null,
+    source: "manual",
+    createdBy: req.user.id,
+  });
+
+  res.status(201).json({
+    success: true,
+    data: question,
+  });
+});
+
+// @desc    Save several questions (e.g. AI-generated ones) to the bank
+// @route   POST /api/v1/question-bank/bulk
+// @access  Private/Teacher,Admin
+exports.saveQuestionsToBank = asyncHandler(async (req, res, next) => {
+  const { questions, subject, gradeLevel, source } = req.body;
+
+  if (!Array.isArray(questions) || questions.length === 0) {
+    return next(new ErrorResponse("Please provide questions to save", 400));
+  }
+
+  if (!gradeLevel) {
+    return next(new ErrorResponse("Grade level is required", 400));
+  }
+
+  if (subject && !(await Subject.exists({ _id: subject }))) {
+    return next(new ErrorResponse("Subject not found", 404));
+  }
+
+  // Per-question tags win over the ones shared by the whole batch
+  const saved = await QuestionBank.insertMany(
+    questions.map((question) => ({
+      ...QuestionBank.pickQuestionFields(question),
+      subject: subject || null,
+      gradeLevel,
+      topic: question.topic || req.body.topic,
+      difficulty: question.difficulty || req.body.difficulty,
+      quarter: question.quarter || req.body.quarter || null,
+      source: source === "ai" ? "ai" : "manual",
+      createdBy: req.user.id,
+    })),
+  );
+
+  res.status(201).json({
+    success: true,
+    count: saved.length,
+    data: saved,
+  });
+});
+
+// @desc    Update a bank question
+// @route   PUT /api/v1/question-bank/:id
+// @access  Private/Teacher (creator),Admin
+exports.updateBankQuestion = asyncHandler(async (req, res, next) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return next(new ErrorResponse("Invalid question ID format", 400));
+  }
+
+  let question = await QuestionBank.findById(req.params.id);
+
+  if (!question) {
+    return next(new ErrorResponse("Question not found", 404));
+  }
+
+  if (!canManageQuestion(question, req.user)) {
+    return next(
+      new ErrorResponse("Not authorized to update this question", 403),
+    );
+  }
+
+  const updates = QuestionBank.pickQuestionFields(req.body);
+  ["subject", "gradeLevel", ...TAG_FIELDS].forEach((field) => {
+    if (req.body[field] !== undefined) updates[field] = req.body[field];
+  });
+
+  question = await QuestionBank.findByIdAndUpdate(req.params.id, updates, {
+    new: true,
+    runValidators: true,
+  });
+
+  res.status(200).json({
+    success: true,
+    data: question,
+  });
+});
+
+// @desc    Delete a bank question
+// @route   DELETE /api/v1/question-bank/:id
+// @access  Private/Teacher (creator),Admin
+exports.deleteBankQuestion = asyncHandler(async (req, res, next) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return next(new ErrorResponse("Invalid question ID format", 400));
+  }
+
+  const question = await QuestionBank.findById(req.params.id);
+
+  if (!question) {
+    return next(new ErrorResponse("Question not found", 404));
+  }
+
+  if (!canManageQuestion(question, req.user)) {
+    return next(
+      new ErrorResponse("Not authorized to delete this question", 403),
+    );
+  }
+
+  await question.deleteOne();
+
+  res.status(200).json({
+    success: true,
+    data: {},
+  });
+});
+
+// @desc    Import questions of an existing quiz into the bank
+// @route   POST /api/v1/question-bank/import-quiz/:quizId
+// @access  Private/Teacher (quiz creator),Admin
+exports.importQuestionsFromQuiz = asyncHandler(async (req, res, next) => {
+  const { quizId } = req.params;
+  const { questionIds, topic, difficulty } = req.body;
+
+  if (!mongoose.Types.ObjectId.isValid(quizId)) {
+    return next(new ErrorResponse("Invalid quiz ID format", 400));
+  }
+
+  const quiz = await Quiz.findById(quizId).populate("subject", "gradeLevel");
+
+  if (!quiz) {
+    return next(new ErrorResponse("Quiz not found", 404));
+  }
+
+  if (
+    req.user.role === "Teacher" &&
+    quiz.createdBy.toString() !== req.user.id
+  ) {
+    return next(
+      new ErrorResponse("Not authorized to import questions of this quiz", 403),
+    );
+  }
+
+  const selected = Array.isArray(questionIds)
+    ? quiz.questions.filter((q) => questionIds.includes(q._id.toString()))
+    : quiz.questions;
+
+  if (selected.length === 0) {
+    return next(new ErrorResponse("No questions selected for import", 400));
+  }
+
+  // Skip questions that were already imported from this quiz
+  const alreadyImported = await QuestionBank.find({ sourceQuiz: quiz._id })
+    .select("text type")
+    .lean();
+  const importedKeys = new Set(
+    alreadyImported.map((q) => `${q.type}:${q.text}`),
+  );
+  const toImport = selected.filter(
+    (q) => !importedKeys.has(`${q.type}:${q.text}`),
+  );
+
+  const imported = await QuestionBank.insertMany(
+    toImport.map((question) => ({
+      ...QuestionBank.pickQuestionFields(question),
+      subject: quiz.subject ? quiz.subject._id : null,
+      gradeLevel: quiz.subject ? quiz.subject.gradeLevel : "",
+      topic,
+      difficulty,
+      quarter: quiz.quarter,
+      source: "quiz",
+      sourceQuiz: quiz._id,
+      createdBy: req.user.id,
+    })),
+  );
+
+  res.status(201).json({
+    success: true,
+    count: imported.length,
+    skipped: selected.length - toImport.length,
+    data: imported,
+  });
+});
+
+// @desc    Build a draft quiz by drawing random bank questions per tag
+// @route   POST /api/v1/question-bank/build-quiz
+// @access  Private/Teacher,Admin
+exports.buildQuizFromBank = asyncHandler(async (req, res, next) => {
+  const {
+    subject,
+    title,
+    sectionHeader,
+    sectionDescription,
+    timeLimit,
+    quarter,
+    gradingComponent,
+    draws,
+  } = req.body;
+
+  if (!title) {
+    return next(new ErrorResponse("Quiz title is required", 400));
+  }
+
+  if (!Array.isArray(draws) || draws.length === 0) {
+    return next(
+      new ErrorResponse("Please provide at least one draw with a count", 400),
+    );
+  }
+
+  const invalidDraw = draws.find(
+    (draw) => !Number.isInteger(Number(draw.count)) || Number(draw.count) < 1,
+  );
+  if (invalidDraw) {
+    return next(
+      new ErrorResponse("Each draw needs a count of at least 1", 400),
+    );
+  }
+
+  const subjectDoc = await Subject.findById(subject);
+  if (!subjectDoc) {
+    return next(new ErrorResponse("Subject not found", 404));
+  }
+
+  // Teachers may only build quizzes for subjects they are assigned to
+  const isAssignedTeacher =
+    req.user.role === "Teacher" &&
+    subjectDoc.teachers &&
+    subjectDoc.teachers.some(
+      (ta) => ta.teacher && ta.teacher.equals(req.user.id),
+    );
+
+  if (req.user.role !== "Admin" && !isAssignedTeacher) {
+    return next(
+      new ErrorResponse(
+        "Not authorized to create quizzes for this subject",
+        403,
+      ),
+    );
+  }
+
+  const gradeLevel = req.body.gradeLevel || subjectDoc.gradeLevel;
+  const drawnIds = [];
+  const drawnQuestions = [];
+  const shortages = [];
+
+  for (const draw of draws) {
+    const count = Number(draw.count);
+    const filter = buildTagFilter({
+      gradeLevel,
+      topic: draw.topic,
+      difficulty: draw.difficulty,
+      quarter: draw.quarter,
+      type: draw.type,
+    });
+
+    // Only questions of this subject or shared ones (no subject)
+    const matches = await QuestionBank.aggregate([
+      {
+        $match: {
+          ...filter,
+          subject: { $in: [subjectDoc._id, null] },
+          _id: { $nin: drawnIds },
+        },
+      },
+      { $sample: { size: count } },
+    ]);
+
+    if (matches.length < count) {
+      shortages.push(
+        `${describeDraw(draw)} (requested ${count}, found ${matches.length})`,
+      );
+      continue;
+    }
+
+    matches.forEach((question) => {
+      drawnIds.push(question._id);
+      drawnQuestions.push(QuestionBank.pickQuestionFields(question));
+    });
+  }
+
+  if (shortages.length > 0) {
+    return next(
+      new ErrorResponse(
+        `Not enough questions in the bank for: ${shortages.join("; ")}`,
+        400,
+      ),
+    );
+  }
+
+  const quizPoints = drawnQuestions.reduce(
+    (total, question) => total + (question.itemPoints || 1),
+    0,
+  );
+
+  const quiz = await Quiz.create({
+    subject: subjectDoc._id,
+    createdBy: req.user.id,
+    title,
+    sectionHeader,
+    sectionDescription,
+    questions: drawnQuestions,
+    timeLimit: timeLimit ? parseInt(timeLimit) : null,
+    quarter,
+    quizPoints,
+    hasEssay: drawnQuestions.some((question) => question.type === "essay"),
+    gradingComponent: gradingComponent || undefined,
+    status: "draft",
+  });
+
+  await quiz.populate("createdBy", "firstName lastName email");
+  await quiz.populate(
+    "subject",
+    "subjectName description gradeLevel section schoolYear",
+  );
+
+  res.status(201).json({
+    success: true,
+    data: quiz,
+  });
+});
@@ -3,87 +3,93 @@
 const Quiz = require("../models/Quiz");
 const Subject = require("../models/Subject");
 const User = require("../models/User");
+const Grade = require("../models/Grade");
+const QuestionBank = require("../models/QuestionBank");
+const Extension = require("../models/Extension");
 const asyncHandler = require("../utils/asyncHandler");
 const { ErrorResponse } = require("../utils/errorResponse");
+const { syncQuizGrade } = require("../utils/quizGradeLedger");
+const {
+  toStudentQuestion,
+  getRemainingSeconds,
+  getAttemptExpiresAt,
+  isAttemptExpired,
+  finalizeSubmission,
+} = require("../utils/quizGrading");
+const { insertAttempt, saveAttempt } = require("../utils/quizAttempts");
+const { orderQuestionsForStudent } = require("../utils/quizShuffle");
+const {
+  IMPORT_FORMATS,
+  detectImportFormat,
+  parseQuizFile,
+} = require("../utils/quizImporters");
+const {
+  EXPORT_FORMATS,
+  PAPER_VERSIONS,
+  getExportBaseName,
+  buildQtiPackage,
+  renderGift,
+  renderQuizPaper,
+} = require("../utils/quizExporters");
+const archiver = require("archiver");
+const {
+  buildItemAnalysis,
+  renderItemAnalysisWorkbook,
+} = require("../utils/itemAnalysis");
 const mongoose = require("mongoose");
+const CourseMaterial = require("../models/CourseMaterial");
 const { bucket } = require("../config/firebaseService");
-const OpenAI = require("openai");
-const mammoth = require("mammoth");
-const pdfParse = require("pdf-parse");
-const officeParser = require("officeparser");
-const fs = require("fs");
-const path = require("path");
-const os = require("os");
-
-// Initialize OpenAI
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
+const { getAIClient } = require("../utils/aiClient");
+const { suggestEssayGrade } = require("../utils/essayGradingAssistant");
+const {
+  validateQuestion,
+  validateQuestions,
+} = require("../utils/aiQuestionValidator");
+const {
+  extractTextFromBuffer,
+  extractSegments,
+  chunkPassages,
+} = require("../utils/documentText");
+
+const QUIZ_GENERATOR_SYSTEM_PROMPT =
+  "You are an expert quiz generator. Generate high-quality educational quiz questions based on provided content. You must respond with ONLY a valid JSON object, without any markdown formatting, code blocks, or additional text. Do not use backticks or any other formatting.";
+
+// Re-prompt rounds for questions that fail validation
+const MAX_QUESTION_REPAIR_ROUNDS = 2;
+
+// Helper function to ask the AI to fix only the questions that failed
+// validation. Resolves to the raw replacement questions, in the same order.
+const repromptInvalidQuestions = async (invalid, rules) => {
+  const prompt = `
+Some of the quiz questions you generated are invalid. Fix each question below so it follows the rules, keeping its topic (and its "source" field, if any).
 
-// Helper function to extract text from Firebase Storage file
-const extractTextFromBuffer = async (buffer, mimetype) => {
-  try {
-    if (mimetype === "application/pdf") {
-      const data = await pdfParse(buffer);
-      return data.text;
-    } else if (
-      mimetype ===
-        "application/vnd.openxmlformats-officedocument.wordprocessingml.document" ||
-      mimetype === "application/msword"
-    ) {
-      const result = await mammoth.extractRawText({ buffer });
-      return result.value;
-    } else if (
-      mimetype ===
-        "application/vnd.openxmlformats-officedocument.presentationml.presentation" ||
-      mimetype === "application/vnd.ms-powerpoint"
-    ) {
-      // officeparser requires a file path, so we need to write the buffer to a temp file
-      const tempFilePath = path.join(
-        os.tmpdir(),
-        `temp-${Date.now()}-${Math.random().toString(36).substring(7)}.pptx`,
-      );
+${invalid
+  .map(
+    (item, index) =>
+      `Question ${index + 1}:\n${JSON.stringify(item.raw)}\nProblems: ${item.errors.join("; ")}`,
+  )
+  .join("\n\n")}
 
-      try {
-        // Write buffer to temporary file
-        await fs.promises.writeFile(tempFilePath, buffer);
-
-        // Parse the file using officeparser
-        const data = await new Promise((resolve, reject) => {
-          officeParser.parseOffice(tempFilePath, (data, err) => {
-            if (err) {
-              reject(err);
-            } else {
-              resolve(data);
-            }
-          });
-        });
+Rules:
+${rules}
 
-        // Clean up temp file
-        await fs.promises.unlink(tempFilePath);
+Respond with a JSON object {"questions": [...]} containing exactly ${invalid.length} corrected questions in the same order.
+`;
 
-        return data;
-      } catch (error) {
-        // Ensure temp file is cleaned up even if there's an error
-        try {
-          await fs.promises.unlink(tempFilePath);
-        } catch (unlinkError) {
-          console.error("Error deleting temp file:", unlinkError);
-        }
-        throw error;
-      }
-    } else if (mimetype === "text/plain") {
-      return buffer.toString("utf8");
-    }
+  const response = await getAIClient().completeJSON({
+    system: QUIZ_GENERATOR_SYSTEM_PROMPT,
+    prompt,
+    maxTokens: 4000,
+    task: "repair_questions",
+    context: { questions: invalid.map((item) => item.raw) },
+  });
 
-    throw new Error("Unsupported file type");
-  } catch (error) {
-    console.error("Error extracting text from buffer:", error);
-    throw new Error(`Failed to extract text from file: ${error.message}`);
-  }
+  return Array.isArray(response.questions) ? response.questions : [];
 };
 
-// Helper function to generate quiz using OpenAI
+// Helper function to generate quiz questions with the configured AI client.
+// With options.passages ([{ id, label, text }]) the content is built from the
+// passages and every question returns the id of the passage it cites.
 const generateQuizWithAI = async (content, options = {}) => {
   const {
     numberOfQuestions = 10,
@@ -91,13 +97,41 @@ const generateQuizWithAI = async (content, options = {}) => {
     difficulty = "medium",
     subject = "",
     quarter = "",
+    passages = null,
   } = options;
 
+  const sourceText = passages
+    ? passages
+        .map((passage) => `[${passage.id}] (${passage.label})\n${passage.text}`)
+        .join("\n\n")
+    : content;
+
+  const rules = `- For true_false questions, use exactly two options: "True" and "False"
+- For multiple_choice questions, provide 4 options with only one correct
+- For multiple_answers questions, provide 4-5 options with multiple correct answers
+- For short_answer questions, provide correctAnswers array with acceptable answers (2-3 variations)
+- For essay questions, DO NOT provide options or correctAnswers (these are manually graded)
+- Essay questions should be open-ended and thought-provoking
+- Essay questions should typically be worth 3-5 points
+- Ensure questions are relevant to the content provided
+- Make questions challenging but fair
+- Vary the difficulty and question types
+- Return ONLY the JSON object, no other text or markdown formatting
+- Do not wrap the JSON in code blocks or backticks`;
+
+  const citationRules = passages
+    ? `
+- The content is split into passages labelled [S1], [S2], ...
+- Every question must be answerable from a single passage
+- Add a "source" field to every question with the label of that passage, e.g. "source": "S1"
+`
+    : "";
+
   const prompt = `
 Based on the following content, generate a quiz with ${numberOfQuestions} questions. 
 
 Content:
-${content}
+${sourceText}
 
 Requirements:
 - Generate exactly ${numberOfQuestions} questions
@@ -136,74 +170,22 @@ Format the response as a valid JSON object with this structure:
 }
 
 Important rules:
-- For true_false questions, use exactly two options: "True" and "False"
-- For multiple_choice questions, provide 4 options with only one correct
-- For multiple_answers questions, provide 4-5 options with multiple correct answers
-- For short_answer questions, provide correctAnswers array with acceptable answers (2-3 variations)
-- For essay questions, DO NOT provide options or correctAnswers (these are manually graded)
-- Essay questions should be open-ended and thought-provoking
-- Essay questions should typically be worth 3-5 points
-- Ensure questions are relevant to the content provided
-- Make questions challenging but fair
-- Vary the difficulty and question types
-- Return ONLY the JSON object, no other text or markdown formatting
-- Do not wrap the JSON in code blocks or backticks
-`;
+${rules}${citationRules}`;
 
   try {
-    console.log("Calling OpenAI API with GPT-5-mini...");
-
-    const response = await openai.chat.completions.create({
-      model: "gpt-5-mini", // Updated to latest GPT-5-mini model
-      messages: [
-        {
-          role: "system",
-          content:
-            "You are an expert quiz generator. Generate high-quality educational quiz questions based on provided content. You must respond with ONLY a valid JSON object, without any markdown formatting, code blocks, or additional text. Do not use backticks or any other formatting.",
-        },
-        {
-          role: "user",
-          content: prompt,
-        },
-      ],
-      temperature: 1,
-      max_completion_tokens: 4000,
-      response_format: { type: "json_object" }, // Force JSON response
+    const quizData = await getAIClient().completeJSON({
+      system: QUIZ_GENERATOR_SYSTEM_PROMPT,
+      prompt,
+      maxTokens: 4000,
+      task: "quiz_questions",
+      context: {
+        content: sourceText,
+        passages,
+        numberOfQuestions,
+        questionTypes,
+      },
     });
 
-    let aiResponse = response.choices[0].message.content;
-    console.log("Raw AI Response:", aiResponse.substring(0, 200) + "...");
-
-    // Clean up the response - remove markdown code blocks if present
-    aiResponse = aiResponse.trim();
-
-    // Remove markdown code blocks (```json and ```
-    if (aiResponse.startsWith("```")) {
-      aiResponse = aiResponse
-        .replace(/^```(?:json)?\s*\n?/i, "")
-        .replace(/\n?```\s*$/i, "");
-    }
-
-    // Try to extract JSON if there's additional text
-    const jsonMatch = aiResponse.match(/\{[\s\S]*\}/);
-    if (jsonMatch) {
-      aiResponse = jsonMatch[0];
-    }
-
-    console.log("Cleaned AI Response:", aiResponse.substring(0, 200) + "...");
-
-    // Parse the JSON response
-    let quizData;
-    try {
-      quizData = JSON.parse(aiResponse);
-    } catch (parseError) {
-      console.error("JSON Parse Error:", parseError);
-      console.error("Failed to parse:", aiResponse);
-      throw new Error(
-        `Failed to parse AI response as JSON: ${parseError.message}`,
-      );
-    }
-
     // Validate and clean the response
     if (!quizData.questions || !Array.isArray(quizData.questions)) {
       throw new Error(
@@ -219,91 +201,86 @@ Important rules:
       `Successfully parsed ${quizData.questions.length} questions from AI response`,
     );
 
-    // Validate each question
-    const validatedQuestions = quizData.questions.map((q, index) => {
-      if (!q.text || typeof q.text !== "string") {
-        throw new Error(`Question ${index + 1} is missing or has invalid text`);
-      }
-
-      if (
-        !q.type ||
-        ![
-          "multiple_choice",
-          "true_false",
-          "multiple_answers",
-          "short_answer",
-          "essay",
-        ].includes(q.type)
-      ) {
-        throw new Error(`Question ${index + 1} has invalid type: ${q.type}`);
-      }
+    // Validate and repair every question, re-prompting only for the ones
+    // that can't be repaired
+    const validationOptions = { allowedTypes: questionTypes };
+    const slots = quizData.questions.map((raw) => ({
+      raw,
+      regenerated: false,
+    }));
+    let { valid, invalid } = validateQuestions(
+      quizData.questions,
+      validationOptions,
+    );
+    valid.forEach((item) => Object.assign(slots[item.index], item));
+    invalid.forEach((item) => Object.assign(slots[item.index], item));
 
-      // Essay questions don't need options or correct answers
-      if (q.type === "essay") {
-        return {
-          text: q.text,
-          type: q.type,
-          options: [], // No options for essay
-          correctAnswers: [], // No correct answers for essay
-          itemPoints: q.itemPoints || 3, // Essay questions worth more points by default
-          isRequired: q.isRequired !== undefined ? q.isRequired : true,
-          answer: "", // Empty answer for essay
-        };
-      }
+    for (
+      let round = 0;
+      round < MAX_QUESTION_REPAIR_ROUNDS && invalid.length > 0;
+      round++
+    ) {
+      console.log(`Re-prompting AI for ${invalid.length} invalid questions`);
+      const replacements = await repromptInvalidQuestions(invalid, rules);
+      const stillInvalid = [];
+
+      invalid.forEach((item, i) => {
+        const slot = slots[item.index];
+        if (replacements[i] === undefined) {
+          stillInvalid.push(item);
+          return;
+        }
 
-      // Short answer questions need correct answers
-      if (q.type === "short_answer") {
-        if (
-          !q.correctAnswers ||
-          !Array.isArray(q.correctAnswers) ||
-          q.correctAnswers.length === 0
-        ) {
-          throw new Error(
-            `Question ${index + 1} (short_answer) is missing correctAnswers array`,
-          );
+        const result = validateQuestion(replacements[i], validationOptions);
+        slot.raw = replacements[i];
+        slot.regenerated = true;
+        slot.warnings = result.warnings;
+        slot.errors = result.errors;
+        slot.question = result.question;
+        if (!result.question) {
+          stillInvalid.push({
+            ...item,
+            raw: replacements[i],
+            errors: result.errors,
+          });
         }
+      });
 
-        return {
-          text: q.text,
-          type: q.type,
-          options: [], // No options for short answer
-          correctAnswers: q.correctAnswers,
-          caseSensitive:
-            q.caseSensitive !== undefined ? q.caseSensitive : false,
-          markOthersIncorrect:
-            q.markOthersIncorrect !== undefined ? q.markOthersIncorrect : true,
-          itemPoints: q.itemPoints || 1,
-          isRequired: q.isRequired !== undefined ? q.isRequired : true,
-          answer: "", // Empty answer for short answer
-        };
-      }
+      invalid = stillInvalid;
+    }
 
-      // Other question types need options
-      if (!Array.isArray(q.options) || q.options.length < 2) {
-        throw new Error(
-          `Question ${index + 1} has invalid or insufficient options`,
+    // Per-question report for the teacher; "question" is the 1-based
+    // position in the returned list (null when the question was dropped)
+    const validatedQuestions = [];
+    const report = slots.map((slot) => {
+      if (slot.question) {
+        validatedQuestions.push(
+          passages
+            ? { ...slot.question, source: slot.raw.source || null }
+            : slot.question,
         );
       }
 
-      // Ensure all options have required fields
-      q.options = q.options.map((opt) => ({
-        text: opt.text || "",
-        isCorrect: !!opt.isCorrect,
-      }));
-
-      // Set default values for optional fields
       return {
-        text: q.text,
-        type: q.type,
-        options: q.options,
-        correctAnswers: [], // Not used for multiple choice
-        itemPoints: q.itemPoints || 1,
-        isRequired: q.isRequired !== undefined ? q.isRequired : true,
-        answer: q.answer || "",
+        question: slot.question ? validatedQuestions.length : null,
+        text: String(slot.raw?.text || "").substring(0, 120),
+        status: !slot.question
+          ? "dropped"
+          : slot.regenerated
+            ? "regenerated"
+            : slot.warnings.length > 0
+              ? "repaired"
+              : "valid",
+        warnings: slot.warnings || [],
+        errors: slot.question ? [] : slot.errors || [],
       };
     });
 
-    return validatedQuestions;
+    if (validatedQuestions.length === 0) {
+      throw new Error("AI did not generate any valid questions");
+    }
+
+    return { questions: validatedQuestions, report };
   } catch (error) {
     console.error("Error generating quiz with AI:", error);
 
@@ -326,6 +303,46 @@ Important rules:
   }
 };
 
+// Helper function to store AI-generated questions in the question bank
+const saveAIQuestionsToBank = async (questions, subject, userId, tags) => {
+  const bankQuestions = await QuestionBank.insertMany(
+    questions.map((question) => ({
+      ...QuestionBank.pickQuestionFields(question),
+      subject: subject._id,
+      gradeLevel: subject.gradeLevel,
+      topic: tags.topic,
+      difficulty: ["easy", "medium", "hard"].includes(tags.difficulty)
+        ? tags.difficulty
+        : undefined,
+      quarter: tags.quarter || null,
+      source: "ai",
+      createdBy: userId,
+    })),
+  );
+  return bankQuestions.length;
+};
+
+// Helper function to describe where a passage comes from, e.g. "notes.pdf, page 3"
+const describePassageLocation = (passage) =>
+  `${passage.material.fileName}, ${passage.locationType} ${passage.locationNumber}`;
+
+// Helper function to spread the requested questions over the chunks: longer
+// chunks get the extra questions, chunks beyond the question count get none
+const allocateQuestions = (chunks, total) => {
+  const lengths = chunks.map((chunk) =>
+    chunk.reduce((sum, passage) => sum + passage.text.length, 0),
+  );
+  const allocation = chunks.map(() => 0);
+  const byLength = lengths
+    .map((length, index) => ({ length, index }))
+    .sort((a, b) => b.length - a.length);
+
+  for (let i = 0; i < total; i++) {
+    allocation[byLength[i % byLength.length].index] += 1;
+  }
+  return allocation;
+};
+
 // @desc    Generate quiz from uploaded file using AI
 // @route   POST /api/v1/quizzes/generate-ai
 // @access  Private/Teacher,Admin
@@ -338,6 +355,8 @@ exports.generateAIQuiz = asyncHandler(async (req, res, next) => {
     questionTypes = ["multiple_choice", "true_false"],
     difficulty = "medium",
     timeLimit,
+    saveToBank,
+    topic,
   } = req.body;
 
   // Validate subject exists
@@ -376,18 +395,29 @@ exports.generateAIQuiz = asyncHandler(async (req, res, next) => {
 
     // Generate quiz using AI
     console.log("Generating quiz with AI...");
-    const aiQuestions = await generateQuizWithAI(extractedText, {
-      numberOfQuestions: parseInt(numberOfQuestions),
-      questionTypes: Array.isArray(questionTypes)
-        ? questionTypes
-        : [questionTypes],
-      difficulty,
-      subject: subjectExists.subjectName,
-      quarter,
-    });
+    const { questions: aiQuestions, report: validationReport } =
+      await generateQuizWithAI(extractedText, {
+        numberOfQuestions: parseInt(numberOfQuestions),
+        questionTypes: Array.isArray(questionTypes)
+          ? questionTypes
+          : [questionTypes],
+        difficulty,
+        subject: subjectExists.subjectName,
+        quarter,
+      });
 
     console.log("AI generated", aiQuestions.length, "questions");
 
+    // Optionally keep the generated questions in the question bank
+    const savedToBank =
+      saveToBank === "true" || saveToBank === true
+        ? await saveAIQuestionsToBank(aiQuestions, subjectExists, req.user.id, {
+            topic,
+            difficulty,
+            quarter,
+          })
+        : 0;
+
     // Calculate total quiz points
     const quizPoints = aiQuestions.reduce(
       (total, question) => total + (question.itemPoints || 1),
@@ -407,6 +437,8 @@ exports.generateAIQuiz = asyncHandler(async (req, res, next) => {
         subject,
         quarter,
         timeLimit: timeLimit ? parseInt(timeLimit) : null,
+        savedToBank,
+        validationReport,
       },
     });
   } catch (error) {
@@ -417,6 +449,321 @@ exports.generateAIQuiz = asyncHandler(async (req, res, next) => {
   }
 });
 
+// @desc    Generate quiz questions from a subject's course materials using AI
+// @route   POST /api/v1/quizzes/generate-ai/materials
+// @access  Private/Teacher,Admin
+exports.generateAIQuizFromMaterials = asyncHandler(async (req, res, next) => {
+  const {
+    subject,
+    materialIds,
+    title,
+    quarter,
+    numberOfQuestions = 10,
+    questionTypes = ["multiple_choice", "true_false"],
+    difficulty = "medium",
+    timeLimit,
+    saveToBank,
+    topic,
+  } = req.body;
+
+  const questionCount = ["number", "string"].includes(typeof numberOfQuestions)
+    ? Number(numberOfQuestions)
+    : NaN;
+  if (
+    !Number.isInteger(questionCount) ||
+    questionCount < 1 ||
+    questionCount > 100
+  ) {
+    return next(
+      new ErrorResponse("Number of questions must be between 1 and 100", 400),
+    );
+  }
+
+  const subjectExists = await Subject.findById(subject);
+  if (!subjectExists) {
+    return next(new ErrorResponse("Subject not found", 404));
+  }
+
+  // Only the subject's own teachers may read its materials
+  const isAssignedTeacher =
+    req.user.role === "Teacher" &&
+    subjectExists.teachers &&
+    subjectExists.teachers.some(
+      (ta) => ta.teacher && ta.teacher.equals(req.user.id),
+    );
+
+  if (req.user.role !== "Admin" && !isAssignedTeacher) {
+    return next(
+      new ErrorResponse(
+        "Not authorized to use the course materials of this subject",
+        403,
+      ),
+    );
+  }
+
+  if (!Array.isArray(materialIds) || materialIds.length === 0) {
+    return next(
+      new ErrorResponse("Please select at least one course material", 400),
+    );
+  }
+
+  if (!materialIds.every((id) => mongoose.Types.ObjectId.isValid(id))) {
+    return next(new ErrorResponse("Invalid course material ID format", 400));
+  }
+
+  const uniqueIds = [...new Set(materialIds.map(String))];
+  const materials = await CourseMaterial.find({
+    _id: { $in: uniqueIds },
+    subject: subjectExists._id,
+  });
+
+  if (materials.length !== uniqueIds.length) {
+    return next(
+      new ErrorResponse(
+        "Some course materials were not found in this subject",
+        404,
+      ),
+    );
+  }
+
+  // Download each material and split it into page / slide passages
+  const passages = [];
+  const warnings = [];
+  for (const material of materials) {
+    try {
+      const [buffer] = await bucket.file(material.firebasePath).download();
+      const segments = await extractSegments(buffer, material.fileType);
+      const withText = segments.filter((segment) => segment.text);
+
+      if (withText.length === 0) {
+        warnings.push(`${material.fileName}: no text could be extracted`);
+      }
+      withText.forEach((segment) => passages.push({ material, ...segment }));
+    } catch (error) {
+      console.error(`Error reading course material ${material._id}:`, error);
+      warnings.push(`${material.fileName}: ${error.message}`);
+    }
+  }
+
+  const totalLength = passages.reduce(
+    (sum, passage) => sum + passage.text.length,
+    0,
+  );
+  if (totalLength < 100) {
+    return next(
+      new ErrorResponse(
+        "The selected materials don't contain enough text to generate meaningful questions",
+        400,
+      ),
+    );
+  }
+
+  const chunks = chunkPassages(passages);
+  const allocation = allocateQuestions(chunks, questionCount);
+  const aiQuestions = [];
+  const validationReport = [];
+
+  try {
+    for (let i = 0; i < chunks.length; i++) {
+      if (allocation[i] === 0) continue;
+
+      const chunk = chunks[i];
+      const labelled = chunk.map((passage, index) => ({
+        id: `S${index + 1}`,
+        label: describePassageLocation(passage),
+        text: passage.text,
+      }));
+
+      console.log(
+        `Generating ${allocation[i]} questions from chunk ${i + 1}/${chunks.length}`,
+      );
+      const { questions: generated, report } = await generateQuizWithAI(null, {
+        numberOfQuestions: allocation[i],
+        questionTypes: Array.isArray(questionTypes)
+          ? questionTypes
+          : [questionTypes],
+        difficulty,
+        subject: subjectExists.subjectName,
+        quarter,
+        passages: labelled,
+      });
+
+      // Report positions are relative to this chunk's questions
+      const offset = aiQuestions.length;
+      report.forEach((entry) => {
+        validationReport.push({
+          ...entry,
+          question: entry.question === null ? null : entry.question + offset,
+        });
+      });
+
+      generated.forEach(({ source, ...question }) => {
+        const passage = chunk[labelled.findIndex((l) => l.id === source)];
+        if (!passage) {
+          warnings.push(
+            `Question "${question.text.substring(0, 60)}" has no valid source citation`,
+          );
+        }
+
+        aiQuestions.push({
+          ...question,
+          citation: passage
+            ? {
+                material: passage.material._id,
+                fileName: passage.material.fileName,
+                locationType: passage.locationType,
+                locationNumber: passage.locationNumber,
+              }
+            : null,
+        });
+      });
+    }
+  } catch (error) {
+    console.error("Error in AI quiz generation from materials:", error);
+    return next(
+      new ErrorResponse(error.message || "Failed to generate AI quiz", 500),
+    );
+  }
+
+  const savedToBank =
+    saveToBank === "true" || saveToBank === true
+      ? await saveAIQuestionsToBank(aiQuestions, subjectExists, req.user.id, {
+          topic,
+          difficulty,
+          quarter,
+        })
+      : 0;
+
+  const quizPoints = aiQuestions.reduce(
+    (total, question) => total + (question.itemPoints || 1),
+    0,
+  );
+
+  // Like generateAIQuiz, the quiz itself is created when the teacher saves it
+  res.status(200).json({
+    success: true,
+    message: `Successfully generated ${aiQuestions.length} questions from ${materials.length} course material(s)`,
+    data: {
+      questions: aiQuestions,
+      title: title || `AI Generated Quiz - ${subjectExists.subjectName}`,
+      quizPoints,
+      subject,
+      quarter,
+      timeLimit: timeLimit ? parseInt(timeLimit) : null,
+      savedToBank,
+      materials: materials.map((material) => ({
+        _id: material._id,
+        fileName: material.fileName,
+      })),
+      chunks: chunks.length,
+      warnings,
+      validationReport,
+    },
+  });
+});
+
+// @desc    Import questions from GIFT, Aiken or QTI 2.1 files into a draft quiz
+// @route   POST /api/v1/quizzes/import
+// @access  Private/Teacher,Admin
+exports.importQuiz = asyncHandler(async (req, res, next) => {
+  const {
+    subject,
+    title,
+    quarter,
+    format,
+    timeLimit,
+    gradingComponent,
+    dryRun,
+  } = req.body;
+
+  if (!req.files || req.files.length === 0) {
+    return next(new ErrorResponse("Please upload at least one file", 400));
+  }
+
+  if (format && !IMPORT_FORMATS.includes(format)) {
+    return next(
+      new ErrorResponse(
+        `Unknown import format. Use one of: ${IMPORT_FORMATS.join(", ")}`,
+        400,
+      ),
+    );
+  }
+
+  const subjectExists = await Subject.findById(subject);
+  if (!subjectExists) {
+    return next(new ErrorResponse("Subject not found", 404));
+  }
+
+  // Parse every file, keeping a per-file report of what could not be mapped
+  const questions = [];
+  const files = req.files.map((file) => {
+    const content = file.buffer.toString("utf8").replace(/^\uFEFF/, "");
+    const fileFormat = format || detectImportFormat(file.originalname, content);
+    const result = parseQuizFile(content, fileFormat);
+    questions.push(...result.questions);
+
+    return {
+      fileName: file.originalname,
+      format: fileFormat,
+      imported: result.questions.length,
+      unsupported: result.unsupported,
+    };
+  });
+
+  const report = {
+    files,
+    totalImported: questions.length,
+    totalUnsupported: files.reduce(
+      (total, file) => total + file.unsupported.length,
+      0,
+    ),
+    quizPoints: questions.reduce(
+      (total, question) => total + (question.itemPoints || 1),
+      0,
+    ),
+  };
+
+  if (dryRun === "true" || dryRun === true) {
+    return res.status(200).json({
+      success: true,
+      dryRun: true,
+      data: { report, questions },
+    });
+  }
+
+  if (questions.length === 0) {
+    return res.status(400).json({
+      success: false,
+      message: "No supported questions were found in the uploaded files",
+      data: { report },
+    });
+  }
+
+  const quiz = await Quiz.create({
+    subject,
+    createdBy: req.user.id,
+    title: title || `Imported Quiz - ${subjectExists.subjectName}`,
+    questions,
+    timeLimit: timeLimit ? parseInt(timeLimit) : null,
+    quarter,
+    quizPoints: report.quizPoints,
+    hasEssay: questions.some((question) => question.type === "essay"),
+    gradingComponent: gradingComponent || undefined,
+    status: "draft",
+  });
+
+  await quiz.populate("createdBy", "firstName lastName email");
+  await quiz.populate(
+    "subject",
+    "subjectName description gradeLevel section schoolYear",
+  );
+
+  res.status(201).json({
+    success: true,
+    data: { quiz, report },
+  });
+});
+
 // @desc    Create a new quiz
 // @route   POST /api/v1/quizzes
 // @access  Private/Teacher,Admin
@@ -429,6 +776,11 @@ exports.createQuiz = asyncHandler(async (req, res, next) => {
     questions,
     timeLimit,
     quarter,
+    gradingComponent,
+    maxAttempts,
+    scoringPolicy,
+    shuffleQuestions,
+    shuffleOptions,
   } = req.body;
 
   // Validate subject exists
@@ -523,6 +875,11 @@ exports.createQuiz = asyncHandler(async (req, res, next) => {
     quarter,
     quizPoints,
     hasEssay,
+    gradingComponent: gradingComponent || undefined,
+    maxAttempts: maxAttempts ? parseInt(maxAttempts) : undefined,
+    scoringPolicy: scoringPolicy || undefined,
+    shuffleQuestions: shuffleQuestions === "true" || shuffleQuestions === true,
+    shuffleOptions: shuffleOptions === "true" || shuffleOptions === true,
     status: "draft",
   });
 
@@ -564,6 +921,11 @@ exports.updateQuiz = asyncHandler(async (req, res, next) => {
     timeLimit,
     quarter,
     status,
+    gradingComponent,
+    maxAttempts,
+    scoringPolicy,
+    shuffleQuestions,
+    shuffleOptions,
   } = req.body;
 
   // Process uploaded images
@@ -640,6 +1002,8 @@ exports.updateQuiz = asyncHandler(async (req, res, next) => {
     0,
   );
 
+  const previousScoringPolicy = quiz.scoringPolicy;
+
   // Update quiz
   quiz = await Quiz.findByIdAndUpdate(
     req.params.id,
@@ -656,11 +1020,38 @@ exports.updateQuiz = asyncHandler(async (req, res, next) => {
       quarter: quarter || quiz.quarter,
       quizPoints,
       hasEssay,
+      gradingComponent: gradingComponent || quiz.gradingComponent,
+      maxAttempts: maxAttempts ? parseInt(maxAttempts) : quiz.maxAttempts,
+      scoringPolicy: scoringPolicy || quiz.scoringPolicy,
+      shuffleQuestions:
+        shuffleQuestions !== undefined
+          ? shuffleQuestions === "true" || shuffleQuestions === true
+          : quiz.shuffleQuestions,
+      shuffleOptions:
+        shuffleOptions !== undefined
+          ? shuffleOptions === "true" || shuffleOptions === true
+          : quiz.shuffleOptions,
       status: status || quiz.status,
     },
     { new: true, runValidators: true },
   );
 
+  // Keep the quiz's gradebook entries in the quarter they belong to
+  await Grade.updateMany({ quiz: quiz._id }, { quarter: quiz.quarter });
+
+  // A new scoring policy changes which attempt counts for every student
+  if (scoringPolicy && scoringPolicy !== previousScoringPolicy) {
+    const studentIds = new Set(
+      quiz.quizSubmissions.map((submission) => submission.student.toString()),
+    );
+    for (const studentId of studentIds) {
+      const submission = quiz.quizSubmissions.find(
+        (s) => s.student.toString() === studentId,
+      );
+      await syncQuizGrade(quiz, submission);
+    }
+  }
+
   await quiz.populate("createdBy", "firstName lastName email");
   await quiz.populate(
     "subject",
@@ -721,6 +1112,7 @@ exports.deleteQuiz = asyncHandler(async (req, res, next) => {
     }
   }
 
+  await Grade.deleteMany({ quiz: quiz._id });
   await quiz.deleteOne();
 
   res.status(200).json({
@@ -729,6 +1121,25 @@ exports.deleteQuiz = asyncHandler(async (req, res, next) => {
   });
 });
 
+// Helper function to shape a quiz for a student: questions without the answer
+// key in the student's own question / option order, and only their own
+// attempts
+const toStudentQuiz = (quiz, studentId) => {
+  const data = quiz.toJSON();
+  data.questions = orderQuestionsForStudent(
+    quiz,
+    studentId,
+    quiz.questions.map(toStudentQuestion),
+  );
+  data.quizSubmissions = data.quizSubmissions.filter(
+    (submission) =>
+      submission.student &&
+      (submission.student._id || submission.student).toString() ===
+        studentId.toString(),
+  );
+  return data;
+};
+
 // @desc    Get all quizzes
 // @route   GET /api/v1/quizzes
 // @access  Private
@@ -815,7 +1226,10 @@ exports.getQuizzes = asyncHandler(async (req, res, next) => {
   res.status(200).json({
     success: true,
     count: quizzes.length,
-    data: quizzes,
+    data:
+      req.user.role === "Student"
+        ? quizzes.map((quiz) => toStudentQuiz(quiz, req.user.id))
+        : quizzes,
   });
 });
 
@@ -843,12 +1257,101 @@ exports.getQuiz = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse("Not authorized to access this quiz", 403));
   }
 
+  if (req.user.role === "Student") {
+    return res.status(200).json({
+      success: true,
+      data: toStudentQuiz(quiz, req.user.id),
+    });
+  }
+
   res.status(200).json({
     success: true,
     data: quiz,
   });
 });
 
+// @desc    Export quiz as QTI 2.1, GIFT or a printable paper (student copy / answer key)
+// @route   GET /api/v1/quizzes/:id/export?format=qti|gift|paper&version=student|key
+// @access  Private/Teacher,Admin
+exports.exportQuiz = asyncHandler(async (req, res, next) => {
+  const { format = "qti", version = "student" } = req.query;
+
+  if (!EXPORT_FORMATS.includes(format)) {
+    return next(
+      new ErrorResponse(
+        `Invalid format. Allowed values are: ${EXPORT_FORMATS.join(", ")}`,
+        400,
+      ),
+    );
+  }
+
+  if (format === "paper" && !PAPER_VERSIONS.includes(version)) {
+    return next(
+      new ErrorResponse(
+        `Invalid version. Allowed values are: ${PAPER_VERSIONS.join(", ")}`,
+        400,
+      ),
+    );
+  }
+
+  const quiz = await Quiz.findById(req.params.id).populate(
+    "subject",
+    "subjectName gradeLevel section schoolYear",
+  );
+
+  if (!quiz) {
+    return next(new ErrorResponse("Quiz not found", 404));
+  }
+
+  // Same ownership rule as getQuiz
+  if (
+    req.user.role === "Teacher" &&
+    quiz.createdBy.toString() !== req.user.id
+  ) {
+    return next(new ErrorResponse("Not authorized to export this quiz", 403));
+  }
+
+  const baseName = getExportBaseName(quiz);
+
+  if (format === "gift") {
+    res.setHeader("Content-Type", "text/plain; charset=utf-8");
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="${baseName}.gift.txt"`,
+    );
+    return res.status(200).send(renderGift(quiz));
+  }
+
+  if (format === "paper") {
+    const suffix = version === "key" ? "AnswerKey" : "StudentCopy";
+    res.setHeader("Content-Type", "text/html; charset=utf-8");
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="${baseName}_${suffix}.html"`,
+    );
+    return res.status(200).send(renderQuizPaper(quiz, version));
+  }
+
+  res.setHeader("Content-Type", "application/zip");
+  res.setHeader(
+    "Content-Disposition",
+    `attachment; filename="${baseName}_QTI21.zip"`,
+  );
+
+  const archive = archiver("zip", { zlib: { level: 9 } });
+  archive.on("error", (err) => {
+    console.error("Quiz export archive error:", err);
+    res.destroy(err);
+  });
+  archive.pipe(res);
+
+  buildQtiPackage(quiz).forEach((file) => {
+    archive.append(file.content, { name: file.name });
+  });
+
+  await archive.finalize();
+});
+
 // @desc    Publish quiz
 // @route   PUT /api/v1/quizzes/:id/publish
 // @access  Private/Teacher,Admin
@@ -939,6 +1442,11 @@ exports.duplicateQuiz = asyncHandler(async (req, res, next) => {
     timeLimit: originalQuiz.timeLimit,
     quarter: originalQuiz.quarter,
     quizPoints: originalQuiz.quizPoints,
+    gradingComponent: originalQuiz.gradingComponent,
+    maxAttempts: originalQuiz.maxAttempts,
+    scoringPolicy: originalQuiz.scoringPolicy,
+    shuffleQuestions: originalQuiz.shuffleQuestions,
+    shuffleOptions: originalQuiz.shuffleOptions,
     status: "draft",
   });
 
@@ -974,9 +1482,9 @@ exports.getQuizSubmissions = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse("Not authorized to view submissions", 403));
   }
 
-  // Only return submissions that have been submitted (not unsubmitted)
+  // Only return submissions that have been submitted (not unsubmitted or still in progress)
   const submissions = quiz.quizSubmissions.filter(
-    (sub) => sub.status !== "unsubmitted",
+    (sub) => sub.status !== "unsubmitted" && sub.status !== "in_progress",
   );
 
   res.status(200).json({
@@ -994,140 +1502,360 @@ exports.getQuizSubmissions = asyncHandler(async (req, res, next) => {
   });
 });
 
-// @desc    Submit quiz response
-// @route   POST /api/v1/quizzes/:id/submit
+// Helper function to list a student's attempts of a quiz
+const getStudentAttempts = (quiz, studentId) =>
+  quiz.quizSubmissions.filter(
+    (submission) => submission.student.toString() === studentId.toString(),
+  );
+
+// Helper function for the error shown once a student has no attempts left
+const getAttemptLimitMessage = (quiz) =>
+  (quiz.maxAttempts || 1) > 1
+    ? `You have used all ${quiz.maxAttempts} attempts for this quiz`
+    : "You have already submitted this quiz";
+
+// Helper function to check if a student can take the quiz: it is published,
+// or it was closed but the student's extension deadline hasn't passed yet
+const isQuizOpenForStudent = (quiz, extension, now = new Date()) =>
+  quiz.status === "published" ||
+  (quiz.status === "closed" &&
+    !!extension &&
+    !!extension.deadline &&
+    now <= extension.deadline);
+
+// Shown when another request changed the same attempt first (double click,
+// second tab, or the auto-submit job)
+const ATTEMPT_CONFLICT_MESSAGE =
+  "Your attempt was changed by another request. Please reload the quiz.";
+
+// Helper function to shape an in-progress attempt for the student taking it
+const formatAttempt = (attempt) => ({
+  _id: attempt._id,
+  attemptNumber: attempt.attemptNumber,
+  status: attempt.status,
+  startedAt: attempt.startedAt,
+  expiresAt: attempt.expiresAt,
+  lastSavedAt: attempt.lastSavedAt,
+  remainingSeconds: getRemainingSeconds(attempt),
+  submittedAnswers: attempt.submittedAnswers.map((answer) => ({
+    questionId: answer.questionId,
+    answer: answer.answer,
+  })),
+});
+
+// @desc    Start (or resume) a quiz attempt
+// @route   POST /api/v1/quizzes/:id/start
 // @access  Private/Student
-exports.submitQuizResponse = asyncHandler(async (req, res, next) => {
-  const { submittedAnswers } = req.body;
+exports.startQuizAttempt = asyncHandler(async (req, res, next) => {
   const quiz = await Quiz.findById(req.params.id);
 
   if (!quiz) {
     return next(new ErrorResponse("Quiz not found", 404));
   }
 
-  if (quiz.status !== "published") {
-    return next(new ErrorResponse("Quiz is not available for submission", 400));
+  const extension = await Extension.findForStudent(req.user.id, {
+    quiz: quiz._id,
+  });
+
+  if (!isQuizOpenForStudent(quiz, extension)) {
+    return next(new ErrorResponse("Quiz is not available", 400));
+  }
+
+  const subject = await Subject.findById(quiz.subject).select("students");
+  const isEnrolled =
+    subject &&
+    subject.students.some((studentId) => studentId.toString() === req.user.id);
+  if (!isEnrolled) {
+    return next(
+      new ErrorResponse("You are not enrolled in this quiz's subject", 403),
+    );
   }
 
-  // Check if student already submitted
-  const existingSubmission = quiz.quizSubmissions.find(
-    (submission) => submission.student.toString() === req.user.id,
+  const studentAttempts = getStudentAttempts(quiz, req.user.id);
+  const attemptsLeft = studentAttempts.length < (quiz.maxAttempts || 1);
+  let attempt = studentAttempts.find(
+    (submission) => submission.status === "in_progress",
   );
 
-  if (existingSubmission) {
-    return next(new ErrorResponse("You have already submitted this quiz", 400));
+  if (attempt && isAttemptExpired(attempt)) {
+    finalizeSubmission(quiz, attempt, attempt.submittedAnswers, {
+      autoSubmitted: true,
+      submissionDate: attempt.expiresAt,
+    });
+    if (await saveAttempt(quiz, attempt, { onlyInProgress: true })) {
+      await syncQuizGrade(quiz, attempt);
+    }
+    attempt = null;
+
+    if (!attemptsLeft) {
+      return next(
+        new ErrorResponse(
+          "The time limit for this quiz has run out. Your attempt was submitted automatically.",
+          400,
+        ),
+      );
+    }
   }
 
-  // Grade the submission
-  let totalScore = 0;
-  let hasEssay = false;
-  const gradedAnswers = submittedAnswers.map((submittedAnswer) => {
-    const question = quiz.questions.id(submittedAnswer.questionId);
-    if (!question) {
-      return { ...submittedAnswer, isCorrect: false, pointsEarned: 0 };
+  if (!attempt && !attemptsLeft) {
+    return next(new ErrorResponse(getAttemptLimitMessage(quiz), 400));
+  }
+
+  const isNewAttempt = !attempt;
+  if (isNewAttempt) {
+    const startedAt = new Date();
+    quiz.quizSubmissions.push({
+      student: req.user.id,
+      attemptNumber: studentAttempts.length + 1,
+      status: "in_progress",
+      startedAt,
+      expiresAt: getAttemptExpiresAt(
+        quiz,
+        startedAt,
+        extension && extension.extraMinutes,
+      ),
+      submittedAnswers: [],
+    });
+    attempt = quiz.quizSubmissions[quiz.quizSubmissions.length - 1];
+
+    if (!(await insertAttempt(quiz, attempt))) {
+      return next(new ErrorResponse(ATTEMPT_CONFLICT_MESSAGE, 409));
     }
+  }
 
-    let isCorrect = false;
-    let pointsEarned = 0;
-    let manuallyGraded = false;
-
-    if (question.type === "essay") {
-      // Essay questions need manual grading
-      hasEssay = true;
-      manuallyGraded = false;
-      isCorrect = false;
-      pointsEarned = 0;
-    } else if (
-      question.type === "multiple_choice" ||
-      question.type === "true_false"
-    ) {
-      // For multiple choice and true/false, compare the selected option text with correct option
-      const correctOption = question.options.find((opt) => opt.isCorrect);
-      if (correctOption) {
-        // Student's answer is the option text they selected
-        isCorrect = submittedAnswer.answer === correctOption.text;
-      }
+  res.status(isNewAttempt ? 201 : 200).json({
+    success: true,
+    data: {
+      attempt: formatAttempt(attempt),
+      quiz: {
+        _id: quiz._id,
+        title: quiz.title,
+        sectionHeader: quiz.sectionHeader,
+        sectionDescription: quiz.sectionDescription,
+        timeLimit: quiz.timeLimit,
+        extraMinutes: extension ? extension.extraMinutes : 0,
+        quizPoints: quiz.quizPoints,
+        questions: orderQuestionsForStudent(
+          quiz,
+          req.user.id,
+          quiz.questions.map(toStudentQuestion),
+        ),
+      },
+    },
+  });
+});
 
-      if (isCorrect) {
-        pointsEarned = question.itemPoints || 1;
-        totalScore += pointsEarned;
-      }
-    } else if (question.type === "multiple_answers") {
-      // Get all correct options
-      const correctOptions = question.options
-        .filter((opt) => opt.isCorrect)
-        .map((opt) => opt.text)
-        .sort();
-
-      // Get student's answers and sort them for comparison
-      const userAnswers = Array.isArray(submittedAnswer.answer)
-        ? [...submittedAnswer.answer].sort()
-        : [];
-
-      // Check if arrays match
-      isCorrect =
-        correctOptions.length === userAnswers.length &&
-        correctOptions.every((answer, index) => answer === userAnswers[index]);
-
-      if (isCorrect) {
-        pointsEarned = question.itemPoints || 1;
-        totalScore += pointsEarned;
-      }
-    } else if (question.type === "short_answer") {
-      // Handle short answer grading
-      const studentAnswer = submittedAnswer.answer?.toString().trim() || "";
-      const correctAnswers = question.correctAnswers || [];
-
-      if (correctAnswers.length === 0) {
-        isCorrect = false;
-      } else {
-        if (question.caseSensitive) {
-          isCorrect = correctAnswers.includes(studentAnswer);
-        } else {
-          const lowerStudentAnswer = studentAnswer.toLowerCase();
-          isCorrect = correctAnswers.some(
-            (ans) => ans.toLowerCase() === lowerStudentAnswer,
-          );
-        }
+// @desc    Autosave answers of the student's in-progress attempt
+// @route   PATCH /api/v1/quizzes/:id/attempt
+// @access  Private/Student
+exports.saveQuizAttempt = asyncHandler(async (req, res, next) => {
+  const { submittedAnswers } = req.body;
 
-        if (!question.markOthersIncorrect && studentAnswer.length > 0) {
-          isCorrect = true;
-        }
-      }
+  if (!Array.isArray(submittedAnswers)) {
+    return next(new ErrorResponse("submittedAnswers must be an array", 400));
+  }
 
-      if (isCorrect) {
-        pointsEarned = question.itemPoints || 1;
-        totalScore += pointsEarned;
-      }
+  const quiz = await Quiz.findById(req.params.id);
+
+  if (!quiz) {
+    return next(new ErrorResponse("Quiz not found", 404));
+  }
+
+  const extension = await Extension.findForStudent(req.user.id, {
+    quiz: quiz._id,
+  });
+
+  if (!isQuizOpenForStudent(quiz, extension)) {
+    return next(new ErrorResponse("Quiz is not available", 400));
+  }
+
+  const unknownAnswer = submittedAnswers.find(
+    (answer) =>
+      !answer ||
+      !mongoose.Types.ObjectId.isValid(answer.questionId) ||
+      !quiz.questions.id(answer.questionId),
+  );
+  if (unknownAnswer) {
+    return next(
+      new ErrorResponse("Answers must reference questions of this quiz", 400),
+    );
+  }
+
+  const studentAttempts = getStudentAttempts(quiz, req.user.id);
+  let attempt = studentAttempts.find(
+    (submission) => submission.status === "in_progress",
+  );
+  const isNewAttempt = !attempt;
+
+  if (isNewAttempt) {
+    if (studentAttempts.length >= (quiz.maxAttempts || 1)) {
+      return next(new ErrorResponse(getAttemptLimitMessage(quiz), 400));
     }
 
-    return {
-      ...submittedAnswer,
-      isCorrect,
-      pointsEarned,
-      manuallyGraded,
-    };
+    // Timed attempts have to be started on the server to get a deadline
+    if (quiz.timeLimit) {
+      return next(
+        new ErrorResponse(
+          "This quiz is timed. Start an attempt before saving answers.",
+          400,
+        ),
+      );
+    }
+
+    quiz.quizSubmissions.push({
+      student: req.user.id,
+      attemptNumber: studentAttempts.length + 1,
+      status: "in_progress",
+      startedAt: new Date(),
+      submittedAnswers: [],
+    });
+    attempt = quiz.quizSubmissions[quiz.quizSubmissions.length - 1];
+  }
+
+  if (isAttemptExpired(attempt)) {
+    finalizeSubmission(quiz, attempt, attempt.submittedAnswers, {
+      autoSubmitted: true,
+      submissionDate: attempt.expiresAt,
+    });
+    if (await saveAttempt(quiz, attempt, { onlyInProgress: true })) {
+      await syncQuizGrade(quiz, attempt);
+    }
+
+    return next(
+      new ErrorResponse(
+        "The time limit for this quiz has run out. Your attempt was submitted automatically.",
+        400,
+      ),
+    );
+  }
+
+  // Merge by question so the client can save only what changed
+  const answersByQuestion = new Map(
+    attempt.submittedAnswers.map((answer) => [
+      answer.questionId.toString(),
+      answer.answer,
+    ]),
+  );
+  submittedAnswers.forEach((answer) => {
+    answersByQuestion.set(answer.questionId.toString(), answer.answer);
   });
 
-  // Add submission to quiz
-  quiz.quizSubmissions.push({
-    student: req.user.id,
-    submittedAnswers: gradedAnswers,
-    status: hasEssay ? "partial" : "graded", // Mark as partial if has essay
-    quizScore: totalScore,
+  attempt.submittedAnswers = Array.from(answersByQuestion).map(
+    ([questionId, answer]) => ({ questionId, answer }),
+  );
+  attempt.lastSavedAt = new Date();
+
+  const saved = isNewAttempt
+    ? await insertAttempt(quiz, attempt)
+    : await saveAttempt(quiz, attempt, {
+        fields: ["submittedAnswers", "lastSavedAt"],
+        onlyInProgress: true,
+      });
+  if (!saved) {
+    return next(new ErrorResponse(ATTEMPT_CONFLICT_MESSAGE, 409));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: formatAttempt(attempt),
   });
+});
 
-  await quiz.save();
+// @desc    Submit quiz response
+// @route   POST /api/v1/quizzes/:id/submit
+// @access  Private/Student
+exports.submitQuizResponse = asyncHandler(async (req, res, next) => {
+  const { submittedAnswers } = req.body;
+  const quiz = await Quiz.findById(req.params.id);
+
+  if (!quiz) {
+    return next(new ErrorResponse("Quiz not found", 404));
+  }
+
+  const extension = await Extension.findForStudent(req.user.id, {
+    quiz: quiz._id,
+  });
+
+  if (!isQuizOpenForStudent(quiz, extension)) {
+    return next(new ErrorResponse("Quiz is not available for submission", 400));
+  }
+
+  // Finalize the attempt in progress, or check the student has attempts left
+  const studentAttempts = getStudentAttempts(quiz, req.user.id);
+  let submission = studentAttempts.find((sub) => sub.status === "in_progress");
+  const isNewAttempt = !submission;
+
+  if (isNewAttempt) {
+    if (studentAttempts.length >= (quiz.maxAttempts || 1)) {
+      return next(new ErrorResponse(getAttemptLimitMessage(quiz), 400));
+    }
+
+    // Timed quizzes are only submitted through an attempt started on the server
+    if (quiz.timeLimit) {
+      return next(
+        new ErrorResponse(
+          "This quiz is timed. Start an attempt before submitting.",
+          400,
+        ),
+      );
+    }
+
+    quiz.quizSubmissions.push({
+      student: req.user.id,
+      attemptNumber: studentAttempts.length + 1,
+    });
+    submission = quiz.quizSubmissions[quiz.quizSubmissions.length - 1];
+  }
+
+  // Past the time limit: close the attempt with the answers saved in time.
+  // Without answers in the request, the autosaved ones are submitted.
+  const lateSubmission = isAttemptExpired(submission);
+  const { totalScore, hasEssay } = lateSubmission
+    ? finalizeSubmission(quiz, submission, submission.submittedAnswers, {
+        autoSubmitted: true,
+        submissionDate: submission.expiresAt,
+      })
+    : finalizeSubmission(
+        quiz,
+        submission,
+        Array.isArray(submittedAnswers)
+          ? submittedAnswers
+          : submission.submittedAnswers,
+      );
+
+  // Only one request may close an attempt; the auto-submit job or a second
+  // submit may have done it already
+  const saved = isNewAttempt
+    ? await insertAttempt(quiz, submission)
+    : await saveAttempt(quiz, submission, { onlyInProgress: true });
+  if (!saved) {
+    return next(new ErrorResponse(ATTEMPT_CONFLICT_MESSAGE, 409));
+  }
+
+  // Auto-graded quizzes go straight into the gradebook
+  await syncQuizGrade(quiz, submission);
+
+  let message = hasEssay
+    ? "Quiz submitted successfully. Essay questions will be graded manually by your teacher."
+    : "Quiz submitted successfully";
+  if (lateSubmission) {
+    message =
+      "The time limit has passed. Your attempt was closed with the answers saved before the time ran out.";
+  }
 
   res.status(200).json({
     success: true,
-    message: hasEssay
-      ? "Quiz submitted successfully. Essay questions will be graded manually by your teacher."
-      : "Quiz submitted successfully",
+    message,
     data: {
       score: totalScore,
       totalPoints: quiz.quizPoints,
       hasEssay,
+      lateSubmission,
+      attemptNumber: submission.attemptNumber,
+      attemptsRemaining: Math.max(
+        0,
+        (quiz.maxAttempts || 1) - getStudentAttempts(quiz, req.user.id).length,
+      ),
     },
   });
 });
@@ -1136,7 +1864,8 @@ exports.submitQuizResponse = asyncHandler(async (req, res, next) => {
 // @route   PUT /api/v1/quizzes/submissions/:submissionId/grade-essay
 // @access  Private/Teacher,Admin
 exports.gradeEssayQuestion = asyncHandler(async (req, res, next) => {
-  const { questionId, pointsEarned } = req.body;
+  const { questionId, pointsEarned, rubricScores, feedback, aiAssisted } =
+    req.body;
   const submissionId = req.params.submissionId;
 
   const quiz = await Quiz.findOne({
@@ -1177,8 +1906,46 @@ exports.gradeEssayQuestion = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse("Invalid essay question", 400));
   }
 
+  // With rubric scores the points are the sum of the criteria
+  let points = Number(pointsEarned);
+  let scoredCriteria = [];
+  if (Array.isArray(rubricScores) && rubricScores.length > 0) {
+    if (!question.rubric || question.rubric.length === 0) {
+      return next(new ErrorResponse("This question has no rubric", 400));
+    }
+
+    for (const criterion of question.rubric) {
+      const entry = rubricScores.find(
+        (score) => String(score.criterionId) === criterion._id.toString(),
+      );
+      const criterionPoints = entry ? Number(entry.points) : NaN;
+
+      if (
+        isNaN(criterionPoints) ||
+        criterionPoints < 0 ||
+        criterionPoints > criterion.maxPoints
+      ) {
+        return next(
+          new ErrorResponse(
+            `Points for "${criterion.title}" must be between 0 and ${criterion.maxPoints}`,
+            400,
+          ),
+        );
+      }
+
+      scoredCriteria.push({
+        criterionId: criterion._id,
+        points: criterionPoints,
+        feedback: entry.feedback,
+      });
+    }
+
+    points =
+      Math.round(scoredCriteria.reduce((sum, s) => sum + s.points, 0) * 100) /
+      100;
+  }
+
   // Validate points
-  const points = Number(pointsEarned);
   if (isNaN(points) || points < 0 || points > question.itemPoints) {
     return next(
       new ErrorResponse(
@@ -1191,7 +1958,13 @@ exports.gradeEssayQuestion = asyncHandler(async (req, res, next) => {
   // Update the answer
   answer.pointsEarned = points;
   answer.isCorrect = points > 0;
+  answer.partiallyCorrect = points > 0 && points < question.itemPoints;
   answer.manuallyGraded = true;
+  answer.rubricScores = scoredCriteria;
+  answer.aiAssisted = aiAssisted === true || aiAssisted === "true";
+  if (feedback !== undefined) {
+    answer.feedback = feedback;
+  }
 
   // Recalculate total score
   submission.quizScore = submission.submittedAnswers.reduce(
@@ -1211,6 +1984,7 @@ exports.gradeEssayQuestion = asyncHandler(async (req, res, next) => {
   }
 
   await quiz.save();
+  await syncQuizGrade(quiz, submission, req.user._id);
 
   res.status(200).json({
     success: true,
@@ -1218,6 +1992,99 @@ exports.gradeEssayQuestion = asyncHandler(async (req, res, next) => {
   });
 });
 
+// Most essay answers suggested in one request (each one is an AI call)
+const MAX_ESSAY_SUGGESTIONS = 50;
+
+// @desc    Suggest rubric scores and feedback for pending essay answers (nothing is saved)
+// @route   POST /api/v1/quizzes/:id/essay-suggestions
+// @access  Private/Teacher,Admin
+exports.suggestEssayGrades = asyncHandler(async (req, res, next) => {
+  const { questionId, submissionIds } = req.body;
+  const limit = Math.min(
+    MAX_ESSAY_SUGGESTIONS,
+    Math.max(1, parseInt(req.body.limit) || 20),
+  );
+
+  const quiz = await Quiz.findById(req.params.id).populate(
+    "quizSubmissions.student",
+    "firstName lastName email userId",
+  );
+
+  if (!quiz) {
+    return next(new ErrorResponse("Quiz not found", 404));
+  }
+
+  // Check permissions
+  if (
+    req.user.role === "Teacher" &&
+    quiz.createdBy.toString() !== req.user.id
+  ) {
+    return next(new ErrorResponse("Not authorized to grade this quiz", 403));
+  }
+
+  const essayQuestions = quiz.questions.filter(
+    (q) =>
+      q.type === "essay" && (!questionId || q._id.toString() === questionId),
+  );
+
+  if (essayQuestions.length === 0) {
+    return next(
+      new ErrorResponse("No essay question found to suggest grades for", 400),
+    );
+  }
+
+  // Essay answers of finished submissions that haven't been graded yet
+  const pending = [];
+  quiz.quizSubmissions
+    .filter(
+      (sub) =>
+        sub.status === "partial" &&
+        (!Array.isArray(submissionIds) ||
+          submissionIds.includes(sub._id.toString())),
+    )
+    .forEach((submission) => {
+      essayQuestions.forEach((question) => {
+        const answer = submission.submittedAnswers.find(
+          (ans) =>
+            ans.questionId.toString() === question._id.toString() &&
+            !ans.manuallyGraded,
+        );
+        if (answer) pending.push({ submission, question, answer });
+      });
+    });
+
+  const suggestions = [];
+  for (const { submission, question, answer } of pending.slice(0, limit)) {
+    const item = {
+      submissionId: submission._id,
+      attemptNumber: submission.attemptNumber,
+      student: submission.student,
+      questionId: question._id,
+      questionText: question.text,
+      answer: answer.answer,
+      itemPoints: question.itemPoints,
+    };
+
+    try {
+      suggestions.push({
+        ...item,
+        ...(await suggestEssayGrade(question, answer.answer)),
+      });
+    } catch (error) {
+      console.error("Error suggesting essay grade:", error);
+      suggestions.push({ ...item, error: error.message });
+    }
+  }
+
+  res.status(200).json({
+    success: true,
+    count: suggestions.length,
+    pendingTotal: pending.length,
+    provider: getAIClient().name,
+    data: suggestions,
+  });
+});
+
 // @desc    Grade quiz submission manually
 // @route   PUT /api/v1/quizzes/submissions/:submissionId/grade
 // @access  Private/Teacher,Admin
@@ -1253,6 +2120,7 @@ exports.gradeQuizSubmission = asyncHandler(async (req, res, next) => {
   submission.status = "graded";
 
   await quiz.save();
+  await syncQuizGrade(quiz, submission, req.user._id);
 
   res.status(200).json({
     success: true,
@@ -1260,6 +2128,34 @@ exports.gradeQuizSubmission = asyncHandler(async (req, res, next) => {
   });
 });
 
+// Helper function to summarize a list of quiz scores
+const summarizeScores = (scores, quizPoints) => {
+  if (scores.length === 0) {
+    return {
+      count: 0,
+      averageScore: 0,
+      highestScore: 0,
+      lowestScore: 0,
+      passRate: 0,
+    };
+  }
+
+  const averageScore =
+    scores.reduce((sum, score) => sum + score, 0) / scores.length;
+  const passRate =
+    (scores.filter((score) => score >= quizPoints * 0.6).length /
+      scores.length) *
+    100;
+
+  return {
+    count: scores.length,
+    averageScore: Math.round(averageScore * 100) / 100,
+    highestScore: Math.max(...scores),
+    lowestScore: Math.min(...scores),
+    passRate: Math.round(passRate * 100) / 100,
+  };
+};
+
 // @desc    Get quiz statistics
 // @route   GET /api/v1/quizzes/:id/statistics
 // @access  Private/Teacher,Admin
@@ -1295,33 +2191,151 @@ exports.getQuizStatistics = asyncHandler(async (req, res, next) => {
         highestScore: 0,
         lowestScore: 0,
         passRate: 0,
+        maxAttempts: quiz.maxAttempts,
+        scoringPolicy: quiz.scoringPolicy,
+        attempts: [],
+        bestAttempt: summarizeScores([], quiz.quizPoints),
+        questions: [],
       },
     });
   }
 
-  const scores = submissions.map((sub) => sub.quizScore);
-  const averageScore =
-    scores.reduce((sum, score) => sum + score, 0) / totalSubmissions;
-  const highestScore = Math.max(...scores);
-  const lowestScore = Math.min(...scores);
-  const passRate =
-    (scores.filter((score) => score >= quiz.quizPoints * 0.6).length /
-      totalSubmissions) *
-    100;
+  const overall = summarizeScores(
+    submissions.map((sub) => sub.quizScore),
+    quiz.quizPoints,
+  );
+
+  // Figures per attempt number (1st attempts, 2nd attempts, ...)
+  const scoresByAttempt = new Map();
+  submissions.forEach((sub) => {
+    const attemptNumber = sub.attemptNumber || 1;
+    if (!scoresByAttempt.has(attemptNumber)) {
+      scoresByAttempt.set(attemptNumber, []);
+    }
+    scoresByAttempt.get(attemptNumber).push(sub.quizScore);
+  });
+  const attempts = Array.from(scoresByAttempt.keys())
+    .sort((a, b) => a - b)
+    .map((attemptNumber) => ({
+      attemptNumber,
+      ...summarizeScores(scoresByAttempt.get(attemptNumber), quiz.quizPoints),
+    }));
+
+  // Figures over each student's best attempt
+  const bestScores = new Map();
+  submissions.forEach((sub) => {
+    const studentId = (sub.student._id || sub.student).toString();
+    if (
+      !bestScores.has(studentId) ||
+      sub.quizScore > bestScores.get(studentId)
+    ) {
+      bestScores.set(studentId, sub.quizScore);
+    }
+  });
+
+  // Points earned per question, so partial credit shows up
+  const questions = quiz.questions.map((question) => {
+    const answers = submissions.flatMap((sub) =>
+      sub.submittedAnswers.filter(
+        (answer) => answer.questionId.toString() === question._id.toString(),
+      ),
+    );
+    const pointsEarned = answers.reduce(
+      (sum, answer) => sum + (answer.pointsEarned || 0),
+      0,
+    );
+
+    return {
+      questionId: question._id,
+      text: question.text,
+      type: question.type,
+      itemPoints: question.itemPoints,
+      answered: answers.length,
+      averagePoints:
+        answers.length > 0
+          ? Math.round((pointsEarned / answers.length) * 100) / 100
+          : 0,
+      fullCredit: answers.filter(
+        (answer) => answer.isCorrect && !answer.partiallyCorrect,
+      ).length,
+      partialCredit: answers.filter((answer) => answer.partiallyCorrect).length,
+      noCredit: answers.filter((answer) => !(answer.pointsEarned > 0)).length,
+    };
+  });
 
   res.status(200).json({
     success: true,
     data: {
       totalSubmissions,
-      averageScore: Math.round(averageScore * 100) / 100,
-      highestScore,
-      lowestScore,
-      passRate: Math.round(passRate * 100) / 100,
+      averageScore: overall.averageScore,
+      highestScore: overall.highestScore,
+      lowestScore: overall.lowestScore,
+      passRate: overall.passRate,
       maxPossibleScore: quiz.quizPoints,
+      maxAttempts: quiz.maxAttempts,
+      scoringPolicy: quiz.scoringPolicy,
+      attempts,
+      bestAttempt: summarizeScores(
+        Array.from(bestScores.values()),
+        quiz.quizPoints,
+      ),
+      questions,
     },
   });
 });
 
+// @desc    Get per-question item analysis of a quiz
+// @route   GET /api/v1/quizzes/:id/item-analysis?format=json|xlsx
+// @access  Private/Teacher,Admin
+exports.getQuizItemAnalysis = asyncHandler(async (req, res, next) => {
+  const { format = "json" } = req.query;
+
+  if (!["json", "xlsx"].includes(format)) {
+    return next(
+      new ErrorResponse("Invalid format. Allowed values are: json, xlsx", 400),
+    );
+  }
+
+  const quiz = await Quiz.findById(req.params.id);
+
+  if (!quiz) {
+    return next(new ErrorResponse("Quiz not found", 404));
+  }
+
+  // Check permissions
+  if (
+    req.user.role === "Teacher" &&
+    quiz.createdBy.toString() !== req.user.id
+  ) {
+    return next(
+      new ErrorResponse("Not authorized to view this item analysis", 403),
+    );
+  }
+
+  const analysis = buildItemAnalysis(quiz);
+
+  if (format === "json") {
+    return res.status(200).json({
+      success: true,
+      data: analysis,
+    });
+  }
+
+  const workbook = renderItemAnalysisWorkbook(analysis);
+  const buffer = Buffer.from(await workbook.xlsx.writeBuffer());
+  const fileName = `ItemAnalysis_${String(quiz.title).replace(
+    /[^A-Za-z0-9-]+/g,
+    "",
+  )}.xlsx`;
+
+  res.setHeader(
+    "Content-Type",
+    "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  );
+  res.setHeader("Content-Disposition", `attachment; filename="${fileName}"`);
+  res.status(200).send(buffer);
+});
+
 // Validate form
 const validateForm = () => {
   if (!formData.title.trim()) {
@@ -0,0 +1,166 @@
+// controllers/reportCardController.js
+
+const mongoose = require("mongoose");
+const archiver = require("archiver");
+const Section = require("../models/Section");
+const User = require("../models/User");
+const asyncHandler = require("../utils/asyncHandler");
+const { ErrorResponse } = require("../utils/errorResponse");
+const {
+  buildReportCard,
+  renderReportCardWorkbook,
+  renderReportCardHtml,
+  getReportCardFileName,
+} = require("../utils/reportCardGenerator");
+
+const REPORT_CARD_FORMATS = ["json", "xlsx", "html"];
+const XLSX_MIME_TYPE =
+  "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet";
+
+// Helper function to render a report card into a downloadable file buffer
+const renderReportCardFile = async (reportCard, format) => {
+  if (format === "xlsx") {
+    const workbook = renderReportCardWorkbook(reportCard);
+    return Buffer.from(await workbook.xlsx.writeBuffer());
+  }
+  return Buffer.from(renderReportCardHtml(reportCard), "utf8");
+};
+
+// @desc    Get a student's report card (Form 138) for a school year
+// @route   GET /api/v1/report-cards/students/:studentId?schoolYear=&format=json|xlsx|html
+// @access  Private (Student themselves, Section Adviser, Admin)
+exports.getStudentReportCard = asyncHandler(async (req, res, next) => {
+  const { studentId } = req.params;
+  const { schoolYear, format = "json" } = req.query;
+
+  if (!mongoose.Types.ObjectId.isValid(studentId)) {
+    return next(new ErrorResponse("Invalid student ID format", 400));
+  }
+
+  if (!schoolYear) {
+    return next(new ErrorResponse("School year is required", 400));
+  }
+
+  if (!REPORT_CARD_FORMATS.includes(format)) {
+    return next(
+      new ErrorResponse(
+        `Invalid format. Allowed values are: ${REPORT_CARD_FORMATS.join(", ")}`,
+        400,
+      ),
+    );
+  }
+
+  const student = await User.findById(studentId);
+  if (!student || student.role !== "Student") {
+    return next(new ErrorResponse("Student not found", 404));
+  }
+
+  const isStudentOwner = req.user._id.toString() === studentId.toString();
+  const isAdmin = req.user.role === "Admin";
+  const isAdviser =
+    req.user.role === "Teacher" &&
+    !!(await Section.exists({
+      students: student._id,
+      schoolYear,
+      adviser: req.user._id,
+      isArchived: false,
+    }));
+
+  if (!isStudentOwner && !isAdviser && !isAdmin) {
+    return next(
+      new ErrorResponse("Not authorized to view this report card.", 403),
+    );
+  }
+
+  const reportCard = await buildReportCard(student, schoolYear);
+
+  if (format === "json") {
+    return res.status(200).json({
+      success: true,
+      data: reportCard,
+    });
+  }
+
+  const buffer = await renderReportCardFile(reportCard, format);
+  const fileName = getReportCardFileName(reportCard, format);
+
+  res.setHeader(
+    "Content-Type",
+    format === "xlsx" ? XLSX_MIME_TYPE : "text/html; charset=utf-8",
+  );
+  if (format === "xlsx") {
+    res.setHeader("Content-Disposition", `attachment; filename="${fileName}"`);
+  }
+  res.status(200).send(buffer);
+});
+
+// @desc    Download the report cards of every student in a section as a ZIP
+// @route   GET /api/v1/report-cards/sections/:sectionId?format=xlsx|html
+// @access  Private/Admin
+exports.getSectionReportCards = asyncHandler(async (req, res, next) => {
+  const { sectionId } = req.params;
+  const { format = "xlsx" } = req.query;
+
+  if (!mongoose.Types.ObjectId.isValid(sectionId)) {
+    return next(new ErrorResponse("Invalid section ID format", 400));
+  }
+
+  if (!["xlsx", "html"].includes(format)) {
+    return next(
+      new ErrorResponse("Invalid format. Allowed values are: xlsx, html", 400),
+    );
+  }
+
+  const section = await Section.findById(sectionId).populate({
+    path: "students",
+    match: { role: "Student" },
+    select: "userId firstName middleName lastName sex role",
+  });
+  if (!section) {
+    return next(
+      new ErrorResponse(`Section not found with ID ${sectionId}`, 404),
+    );
+  }
+
+  const students = section.students.filter(Boolean);
+  if (students.length === 0) {
+    return next(new ErrorResponse("Section has no students", 400));
+  }
+
+  const zipName = [section.gradeLevel, section.sectionName, section.schoolYear]
+    .map((part) => String(part).replace(/[^A-Za-z0-9-]+/g, ""))
+    .join("_");
+
+  res.setHeader("Content-Type", "application/zip");
+  res.setHeader(
+    "Content-Disposition",
+    `attachment; filename="ReportCards_${zipName}.zip"`,
+  );
+
+  const archive = archiver("zip", { zlib: { level: 9 } });
+  archive.on("warning", (err) => {
+    console.error("Report card archive warning:", err);
+  });
+  archive.on("error", (err) => {
+    console.error("Report card archive error:", err);
+    res.destroy(err);
+  });
+  archive.pipe(res);
+
+  try {
+    for (const student of students) {
+      const reportCard = await buildReportCard(student, section.schoolYear);
+      const buffer = await renderReportCardFile(reportCard, format);
+      archive.append(buffer, {
+        name: getReportCardFileName(reportCard, format),
+      });
+    }
+
+    await archive.finalize();
+  } catch (error) {
+    // Headers are already sent, so the error handler can't respond anymore
+    console.error("Error generating section report cards:", error);
+    archive.abort();
+    res.destroy(error);
+  }
+});
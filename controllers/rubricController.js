@@ -0,0 +1,265 @@
+// controllers/rubricController.js
+
+const mongoose = require("mongoose");
+const Rubric = require("../models/Rubric");
+const Activity = require("../models/Activity");
+const Subject = require("../models/Subject");
+const asyncHandler = require("../utils/asyncHandler");
+const { ErrorResponse } = require("../utils/errorResponse");
+
+// Helper function to check if the user may change a rubric
+const canManageRubric = (rubric, user) =>
+  user.role === "Admin" || rubric.createdBy.toString() === user.id;
+
+// Helper function to search user text literally inside a $regex
+const escapeRegex = (value) =>
+  String(value).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Helper function to keep only the known criterion and level fields
+const pickCriteria = (criteria) =>
+  Array.isArray(criteria)
+    ? criteria.map((criterion) => ({
+        ...(criterion._id && { _id: criterion._id }),
+        title: criterion.title,
+        description: criterion.description,
+        levels: Array.isArray(criterion.levels)
+          ? criterion.levels.map((level) => ({
+              ...(level._id && { _id: level._id }),
+              label: level.label,
+              description: level.description,
+              points: level.points,
+            }))
+          : [],
+      }))
+    : criteria;
+
+// @desc    Get rubrics (filter by subject, mine=true for own rubrics)
+// @route   GET /api/v1/rubrics
+// @access  Private/Teacher,Admin
+exports.getRubrics = asyncHandler(async (req, res, next) => {
+  const query = {};
+
+  if (req.query.subject) {
+    // Rubrics without a subject are shared, so list them too
+    query.subject = { $in: [req.query.subject, null] };
+  }
+  if (req.query.mine === "true") {
+    query.createdBy = req.user.id;
+  }
+  if (req.query.search) {
+    query.title = { $regex: escapeRegex(req.query.search), $options: "i" };
+  }
+
+  const rubrics = await Rubric.find(query)
+    .populate("createdBy", "firstName lastName")
+    .populate("subject", "subjectName gradeLevel section schoolYear")
+    .sort({ createdAt: -1 });
+
+  res.status(200).json({
+    success: true,
+    count: rubrics.length,
+    data: rubrics,
+  });
+});
+
+// @desc    Get a single rubric
+// @route   GET /api/v1/rubrics/:id
+// @access  Private/Teacher,Admin
+exports.getRubric = asyncHandler(async (req, res, next) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return next(new ErrorResponse("Invalid rubric ID format", 400));
+  }
+
+  const rubric = await Rubric.findById(req.params.id)
+    .populate("createdBy", "firstName lastName")
+    .populate("subject", "subjectName gradeLevel section schoolYear");
+
+  if (!rubric) {
+    return next(new ErrorResponse("Rubric not found", 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: rubric,
+  });
+});
+
+// @desc    Create a rubric
+// @route   POST /api/v1/rubrics
+// @access  Private/Teacher,Admin
+exports.createRubric = asyncHandler(async (req, res, next) => {
+  const { title, description, subject, criteria } = req.body;
+
+  if (subject && !(await Subject.exists({ _id: subject }))) {
+    return next(new ErrorResponse("Subject not found", 404));
+  }
+
+  const rubric = await Rubric.create({
+    title,
+    description,
+    subject: subject || null,
+    criteria: pickCriteria(criteria),
+    createdBy: req.user.id,
+  });
+
+  res.status(201).json({
+    success: true,
+    data: rubric,
+  });
+});
+
+// @desc    Update a rubric (grades already given keep their own breakdown;
+//          activities using the rubric are worth its new maximum)
+// @route   PUT /api/v1/rubrics/:id
+// @access  Private/Teacher (creator),Admin
+exports.updateRubric = asyncHandler(async (req, res, next) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return next(new ErrorResponse("Invalid rubric ID format", 400));
+  }
+
+  const rubric = await Rubric.findById(req.params.id);
+
+  if (!rubric) {
+    return next(new ErrorResponse("Rubric not found", 404));
+  }
+
+  if (!canManageRubric(rubric, req.user)) {
+    return next(new ErrorResponse("Not authorized to update this rubric", 403));
+  }
+
+  const { title, description, subject, criteria } = req.body;
+
+  if (subject && !(await Subject.exists({ _id: subject }))) {
+    return next(new ErrorResponse("Subject not found", 404));
+  }
+
+  if (title !== undefined) rubric.title = title;
+  if (description !== undefined) rubric.description = description;
+  if (subject !== undefined) rubric.subject = subject || null;
+  if (criteria !== undefined) rubric.criteria = pickCriteria(criteria);
+
+  await rubric.save();
+
+  // Same rule as attachRubricToActivity: the rubric total is the score
+  const { modifiedCount } = await Activity.updateMany(
+    { rubric: rubric._id, points: { $ne: rubric.maxPoints } },
+    { points: rubric.maxPoints },
+  );
+
+  res.status(200).json({
+    success: true,
+    data: rubric,
+    activitiesUpdated: modifiedCount,
+  });
+});
+
+// @desc    Delete a rubric
+// @route   DELETE /api/v1/rubrics/:id
+// @access  Private/Teacher (creator),Admin
+exports.deleteRubric = asyncHandler(async (req, res, next) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return next(new ErrorResponse("Invalid rubric ID format", 400));
+  }
+
+  const rubric = await Rubric.findById(req.params.id);
+
+  if (!rubric) {
+    return next(new ErrorResponse("Rubric not found", 404));
+  }
+
+  if (!canManageRubric(rubric, req.user)) {
+    return next(new ErrorResponse("Not authorized to delete this rubric", 403));
+  }
+
+  const activityCount = await Activity.countDocuments({ rubric: rubric._id });
+  if (activityCount > 0) {
+    return next(
+      new ErrorResponse(
+        `This rubric is attached to ${activityCount} activit${
+          activityCount === 1 ? "y" : "ies"
+        }. Detach it before deleting.`,
+        400,
+      ),
+    );
+  }
+
+  await rubric.deleteOne();
+
+  res.status(200).json({
+    success: true,
+    data: {},
+  });
+});
+
+// @desc    Attach a rubric to an activity (rubricId: null detaches it)
+// @route   PUT /api/v1/activities/:activityId/rubric
+// @access  Private/Teacher (assigned to the subject of the activity) or Private/Admin
+exports.attachRubricToActivity = asyncHandler(async (req, res, next) => {
+  const { activityId } = req.params;
+  const { rubricId } = req.body;
+
+  if (!mongoose.Types.ObjectId.isValid(activityId)) {
+    return next(new ErrorResponse(`Invalid activity ID: ${activityId}`, 400));
+  }
+
+  const activity = await Activity.findById(activityId).populate({
+    path: "subject",
+    select: "teachers",
+    populate: {
+      path: "teachers.teacher",
+      select: "_id email username",
+    },
+  });
+
+  if (!activity) {
+    return next(new ErrorResponse(`Activity not found: ${activityId}`, 404));
+  }
+
+  const isAdmin = req.user.role === "Admin";
+  const subject = activity.subject;
+  const isAssignedTeacher =
+    req.user.role === "Teacher" &&
+    subject.teachers &&
+    subject.teachers.some(
+      (ta) =>
+        ta.teacher &&
+        (ta.teacher._id.equals(req.user.id) ||
+          ta.teacher.email === req.user.email ||
+          ta.teacher.username === req.user.username),
+    );
+
+  if (!isAdmin && !isAssignedTeacher) {
+    return next(
+      new ErrorResponse("Not authorized to change this activity's rubric", 403),
+    );
+  }
+
+  let rubric = null;
+  if (rubricId) {
+    if (!mongoose.Types.ObjectId.isValid(rubricId)) {
+      return next(new ErrorResponse("Invalid rubric ID format", 400));
+    }
+    rubric = await Rubric.findById(rubricId);
+    if (!rubric) {
+      return next(new ErrorResponse("Rubric not found", 404));
+    }
+  }
+
+  activity.rubric = rubric ? rubric._id : null;
+
+  // Rubric totals are the score, so the activity is worth the rubric's max
+  if (rubric) {
+    activity.points = rubric.maxPoints;
+  }
+
+  await activity.save();
+
+  res.status(200).json({
+    success: true,
+    data: {
+      activity: activity._id,
+      points: activity.points,
+      rubric,
+    },
+  });
+});
@@ -1,4 +1,6 @@
 const School = require("../models/School");
+const User = require("../models/User");
+const { revokeUserSessions } = require("../utils/sessions");
 const path = require("path");
 const { bucket } = require("../config/firebaseService");
 
@@ -68,6 +70,20 @@ exports.updateSchoolInfo = async (req, res, next) => {
 
     let school = await School.findOne();
 
+    const requireTwoFactor =
+      updateData.security &&
+      updateData.security.requireTwoFactorForAdmins === true &&
+      !(school && school.security && school.security.requireTwoFactorForAdmins);
+
+    // The admin turning the policy on must not lock themselves out
+    if (requireTwoFactor && !req.user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message:
+          "Enable two-factor authentication on your own account before requiring it for all admins",
+      });
+    }
+
     if (!school) {
       school = await School.create(updateData);
     } else {
@@ -77,6 +93,17 @@ exports.updateSchoolInfo = async (req, res, next) => {
       });
     }
 
+    // Admins without 2FA are logged out and have to enroll on next login
+    if (requireTwoFactor) {
+      const admins = await User.find({
+        role: "Admin",
+        "twoFactor.enabled": { $ne: true },
+      }).select("_id");
+      for (const admin of admins) {
+        await revokeUserSessions(admin._id, "two_factor_required");
+      }
+    }
+
     await school.populate("lastUpdatedBy", "firstName lastName email");
 
     res.status(200).json({
@@ -8,7 +8,8 @@ const mongoose = require("mongoose");
 // @route   POST /api/v1/sections
 // @access  Private/Admin
 exports.createSection = asyncHandler(async (req, res, next) => {
-  const { sectionName, gradeLevel, schoolYear, studentIds } = req.body;
+  const { sectionName, gradeLevel, schoolYear, studentIds, adviserId } =
+    req.body;
 
   if (!sectionName || !gradeLevel || !schoolYear) {
     return next(
@@ -54,14 +55,30 @@ exports.createSection = asyncHandler(async (req, res, next) => {
     validStudents = students.map((s) => s._id);
   }
 
+  // Validate adviser
+  let adviser = null;
+  if (adviserId) {
+    adviser = await User.findOne({
+      _id: adviserId,
+      role: "Teacher",
+      status: "active",
+    });
+
+    if (!adviser) {
+      return next(new ErrorResponse("Adviser must be an active teacher", 400));
+    }
+  }
+
   const section = await Section.create({
     sectionName,
     gradeLevel,
     schoolYear,
+    adviser: adviser ? adviser._id : null,
     students: validStudents,
   });
 
   await section.populate("students", "firstName lastName email userId");
+  await section.populate("adviser", "firstName lastName email");
 
   res.status(201).json({
     success: true,
@@ -91,6 +108,7 @@ exports.getAllSections = asyncHandler(async (req, res, next) => {
 
   const sections = await Section.find(query)
     .populate("students", "firstName lastName email userId")
+    .populate("adviser", "firstName lastName email")
     .populate("archivedBy", "firstName lastName email")
     .sort("-createdAt");
 
@@ -107,6 +125,7 @@ exports.getAllSections = asyncHandler(async (req, res, next) => {
 exports.getSection = asyncHandler(async (req, res, next) => {
   const section = await Section.findById(req.params.id)
     .populate("students", "firstName lastName email userId")
+    .populate("adviser", "firstName lastName email")
     .populate("archivedBy", "firstName lastName email");
 
   if (!section) {
@@ -133,7 +152,8 @@ exports.updateSection = asyncHandler(async (req, res, next) => {
     );
   }
 
-  const { sectionName, gradeLevel, schoolYear, studentIds } = req.body;
+  const { sectionName, gradeLevel, schoolYear, studentIds, adviserId } =
+    req.body;
 
   // Check for duplicate if changing name/grade/year
   if (sectionName || gradeLevel || schoolYear) {
@@ -160,6 +180,27 @@ exports.updateSection = asyncHandler(async (req, res, next) => {
   if (gradeLevel !== undefined) fieldsToUpdate.gradeLevel = gradeLevel;
   if (schoolYear !== undefined) fieldsToUpdate.schoolYear = schoolYear;
 
+  // Validate and update adviser (null or empty string clears it)
+  if (adviserId !== undefined) {
+    if (adviserId) {
+      const adviser = await User.findOne({
+        _id: adviserId,
+        role: "Teacher",
+        status: "active",
+      });
+
+      if (!adviser) {
+        return next(
+          new ErrorResponse("Adviser must be an active teacher", 400),
+        );
+      }
+
+      fieldsToUpdate.adviser = adviser._id;
+    } else {
+      fieldsToUpdate.adviser = null;
+    }
+  }
+
   // Validate and update students
   if (studentIds !== undefined) {
     if (Array.isArray(studentIds)) {
@@ -186,7 +227,9 @@ exports.updateSection = asyncHandler(async (req, res, next) => {
   section = await Section.findByIdAndUpdate(req.params.id, fieldsToUpdate, {
     new: true,
     runValidators: true,
-  }).populate("students", "firstName lastName email userId");
+  })
+    .populate("students", "firstName lastName email userId")
+    .populate("adviser", "firstName lastName email");
 
   res.status(200).json({
     success: true,
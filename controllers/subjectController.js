@@ -8,6 +8,7 @@ const Grade = require("../models/Grade");
 const Section = require("../models/Section"); // Add this import
 const asyncHandler = require("../utils/asyncHandler");
 const { ErrorResponse } = require("../utils/errorResponse");
+const { validateGradingWeights } = require("../utils/gradingEngine");
 const multer = require("multer");
 const path = require("path");
 const fs = require("fs");
@@ -67,6 +68,7 @@ exports.createSubject = asyncHandler(async (req, res, next) => {
     section: sectionName,
     schoolYear,
     teachers, // Array of teacher assignments with quarters
+    gradingWeights,
   } = req.body;
 
   if (!subjectName || !schoolYear) {
@@ -81,6 +83,13 @@ exports.createSubject = asyncHandler(async (req, res, next) => {
     );
   }
 
+  if (gradingWeights !== undefined) {
+    const weightsError = validateGradingWeights(gradingWeights);
+    if (weightsError) {
+      return next(new ErrorResponse(weightsError, 400));
+    }
+  }
+
   let subjectData = {
     subjectName,
     description,
@@ -91,6 +100,7 @@ exports.createSubject = asyncHandler(async (req, res, next) => {
     courseMaterials: [],
     isArchived: false,
     teachers: [],
+    gradingWeights,
   };
 
   // Process teacher assignments
@@ -217,6 +227,7 @@ exports.updateSubject = asyncHandler(async (req, res, next) => {
     section,
     schoolYear,
     teachers, // Array of teacher assignments with quarters
+    gradingWeights,
   } = req.body;
 
   const fieldsToUpdate = {};
@@ -228,6 +239,13 @@ exports.updateSubject = asyncHandler(async (req, res, next) => {
   if (req.body.subjectImage !== undefined) {
     fieldsToUpdate.subjectImage = req.body.subjectImage;
   }
+  if (gradingWeights !== undefined) {
+    const weightsError = validateGradingWeights(gradingWeights);
+    if (weightsError) {
+      return next(new ErrorResponse(weightsError, 400));
+    }
+    fieldsToUpdate.gradingWeights = gradingWeights;
+  }
 
   // Handle teacher assignments if provided
   if (teachers && Array.isArray(teachers)) {
@@ -4,6 +4,17 @@ const Teacher = require("../models/Teacher");
 const Student = require("../models/Student");
 const asyncHandler = require("../utils/asyncHandler");
 const { ErrorResponse } = require("../utils/errorResponse");
+const { revokeUserSessions } = require("../utils/sessions");
+const {
+  assignActivationCode,
+  renderCredentialSlipsHtml,
+} = require("../utils/credentialSlips");
+const { createResetCode } = require("../utils/passwordReset");
+const { recordAudit } = require("../utils/auditLog");
+const {
+  clearAccountFailures,
+  listActiveLockouts,
+} = require("../utils/loginThrottle");
 const mongoose = require("mongoose");
 const ExcelJS = require("exceljs");
 const multer = require("multer");
@@ -285,7 +296,7 @@ const getAllUsers = asyncHandler(async (req, res, next) => {
     const fields = req.query.fields.split(",").join(" ");
     query = query.select(fields);
   } else {
-    query = query.select("-password +temporaryPassword"); // Default select
+    query = query.select("-password"); // Default select
   }
 
   // Pagination
@@ -450,24 +461,46 @@ const updateUser = asyncHandler(async (req, res, next) => {
     (key) => fieldsToUpdate[key] === undefined && delete fieldsToUpdate[key]
   );
 
-  if (Object.keys(fieldsToUpdate).length === 0) {
+  // forceLogout on its own is a valid request that changes no fields
+  const forceLogout = req.body.forceLogout === true;
+  const hasFieldUpdates = Object.keys(fieldsToUpdate).length > 0;
+
+  if (!hasFieldUpdates && !forceLogout) {
     return next(new ErrorResponse("No details provided for update", 400));
   }
 
   // Find and update the user.
   // Mongoose will run schema validators on the fields being updated.
-  const user = await User.findByIdAndUpdate(req.params.id, fieldsToUpdate, {
-    new: true, // Return the modified document rather than the original
-    runValidators: true, // Run schema validators on this update
-  }).select("-password"); // Exclude password from response
+  const user = hasFieldUpdates
+    ? await User.findByIdAndUpdate(req.params.id, fieldsToUpdate, {
+        new: true, // Return the modified document rather than the original
+        runValidators: true, // Run schema validators on this update
+      }).select("-password") // Exclude password from response
+    : await User.findById(req.params.id).select("-password");
 
   if (!user) {
     return next(new ErrorResponse("User not found for update", 404));
   }
 
+  // Suspending (or otherwise deactivating) a user logs them out everywhere;
+  // forceLogout does the same without a status change
+  let sessionsRevoked = 0;
+  if (
+    (fieldsToUpdate.status && fieldsToUpdate.status !== "active") ||
+    forceLogout
+  ) {
+    sessionsRevoked = await revokeUserSessions(
+      user._id,
+      fieldsToUpdate.status === "suspended"
+        ? "account_suspended"
+        : "forced_logout"
+    );
+  }
+
   res.status(200).json({
     success: true,
     data: user,
+    sessionsRevoked,
   });
 });
 
@@ -513,6 +546,183 @@ const updateUserPassword = asyncHandler(async (req, res, next) => {
   });
 });
 
+// @desc    Issue a new one-time activation code for a user (?format=html returns a printable slip)
+// @route   POST /api/v1/users/:id/activation-code
+// @access  Private/Admin
+const issueActivationCode = asyncHandler(async (req, res, next) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return next(new ErrorResponse(`Invalid ID format: ${req.params.id}`, 400));
+  }
+
+  const user = await User.findById(req.params.id).select("+password");
+
+  if (!user) {
+    return next(
+      new ErrorResponse(`User not found with id of ${req.params.id}`, 404)
+    );
+  }
+
+  // Replaces the current password; the user sets a new one on next login
+  const credential = assignActivationCode(user);
+  await user.save();
+  await revokeUserSessions(user._id, "activation_code_issued");
+
+  if (req.query.format === "html") {
+    res.setHeader("Content-Type", "text/html; charset=utf-8");
+    return res.status(200).send(renderCredentialSlipsHtml([credential]));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: credential,
+  });
+});
+
+// @desc    Issue a 6-digit password reset code (for users without an email address)
+// @route   POST /api/v1/users/:id/reset-code
+// @access  Private/Admin
+const issueResetCode = asyncHandler(async (req, res, next) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return next(new ErrorResponse(`Invalid ID format: ${req.params.id}`, 400));
+  }
+
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    return next(
+      new ErrorResponse(`User not found with id of ${req.params.id}`, 404)
+    );
+  }
+
+  if (user.status !== "active") {
+    return next(
+      new ErrorResponse(
+        `Account status is '${user.status}'. Reset codes can only be issued for active accounts.`,
+        400
+      )
+    );
+  }
+
+  // Replaces any earlier code of this user
+  const { code, reset } = await createResetCode(user, req.user);
+  await recordAudit(req, "password_reset_code_issued", {
+    targetUser: user._id,
+    details: { expiresAt: reset.expiresAt },
+  });
+
+  res.status(201).json({
+    success: true,
+    data: {
+      userId: user.userId,
+      username: user.username,
+      code, // Shown only once
+      expiresAt: reset.expiresAt,
+      maxAttempts: reset.maxAttempts,
+    },
+  });
+});
+
+// @desc    Get accounts and IP addresses currently locked out of login
+// @route   GET /api/v1/users/lockouts
+// @access  Private/Admin
+const getLockouts = asyncHandler(async (req, res, next) => {
+  const lockouts = await listActiveLockouts();
+
+  const userIds = lockouts.filter((l) => l.user).map((l) => l.user);
+  const users = await User.find({ _id: { $in: userIds } }).select(
+    "userId username firstName lastName role"
+  );
+
+  const data = lockouts.map((lockout) => ({
+    scope: lockout.scope,
+    identifier: lockout.identifier,
+    failures: lockout.failures,
+    lastFailureAt: lockout.lastFailureAt,
+    lockedUntil: lockout.lockedUntil,
+    user: lockout.user
+      ? users.find((u) => u._id.equals(lockout.user)) || null
+      : null,
+  }));
+
+  res.status(200).json({
+    success: true,
+    count: data.length,
+    data,
+  });
+});
+
+// @desc    Unlock a user locked out after too many failed logins
+// @route   POST /api/v1/users/:id/unlock
+// @access  Private/Admin
+const unlockUser = asyncHandler(async (req, res, next) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return next(new ErrorResponse(`Invalid ID format: ${req.params.id}`, 400));
+  }
+
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    return next(
+      new ErrorResponse(`User not found with id of ${req.params.id}`, 404)
+    );
+  }
+
+  const wasLocked = await clearAccountFailures(user._id);
+  if (wasLocked) {
+    await recordAudit(req, "login_unlocked", { targetUser: user._id });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: wasLocked
+      ? `User ${user.username} unlocked successfully`
+      : `User ${user.username} has no failed login attempts to clear`,
+  });
+});
+
+// @desc    Turn off a user's two-factor authentication (lost device)
+// @route   DELETE /api/v1/users/:id/two-factor
+// @access  Private/Admin
+const resetTwoFactor = asyncHandler(async (req, res, next) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return next(new ErrorResponse(`Invalid ID format: ${req.params.id}`, 400));
+  }
+
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    return next(
+      new ErrorResponse(`User not found with id of ${req.params.id}`, 404)
+    );
+  }
+
+  if (user._id.equals(req.user.id)) {
+    return next(
+      new ErrorResponse(
+        "You cannot reset your own two-factor authentication.",
+        400
+      )
+    );
+  }
+
+  // The user enrolls again on next login (required for Admins by school policy)
+  user.twoFactor.enabled = false;
+  user.twoFactor.secret = undefined;
+  user.twoFactor.pendingSecret = undefined;
+  user.twoFactor.recoveryCodes = [];
+  user.twoFactor.lastUsedStep = undefined;
+  user.twoFactor.enabledAt = null;
+  await user.save({ validateBeforeSave: false });
+  await revokeUserSessions(user._id, "two_factor_reset");
+
+  await recordAudit(req, "two_factor_reset", { targetUser: user._id });
+
+  res.status(200).json({
+    success: true,
+    message: `Two-factor authentication reset for ${user.username}`,
+  });
+});
+
 // @desc    Delete a user by ID (soft delete by Admin)
 // @route   DELETE /api/v1/users/:id
 // @access  Private/Admin
@@ -533,6 +743,7 @@ const deleteUser = asyncHandler(async (req, res, next) => {
 
   userToArchive.status = "archived";
   await userToArchive.save({ validateBeforeSave: false }); // Bypass some validations if needed for archival
+  await revokeUserSessions(userToArchive._id, "account_archived");
 
   res.status(200).json({
     success: true,
@@ -620,7 +831,8 @@ const permanentDeleteUser = asyncHandler(async (req, res, next) => {
   });
 });
 
-// @desc    Create multiple users by Admin via JSON/CSV upload
+// @desc    Create multiple users by Admin via JSON/CSV upload. Every account gets a
+//          one-time activation code instead of a password (?format=html returns printable slips)
 // @route   POST /api/v1/users/bulk
 // @access  Private/Admin
 const createMultipleUsers = asyncHandler(async (req, res, next) => {
@@ -636,6 +848,7 @@ const createMultipleUsers = asyncHandler(async (req, res, next) => {
   }
 
   const createdUsers = [];
+  const credentials = [];
   const errors = [];
   const validSexValues = ["Male", "Female", "Other"];
   const validRoleValues = ["Admin", "Teacher", "Student"];
@@ -649,7 +862,6 @@ const createMultipleUsers = asyncHandler(async (req, res, next) => {
       middleName,
       lastName,
       email,
-      password,
       phoneNumber,
       address,
       role,
@@ -663,7 +875,6 @@ const createMultipleUsers = asyncHandler(async (req, res, next) => {
     if (!username) currentItemErrors.push("username is required.");
     if (!firstName) currentItemErrors.push("firstName is required.");
     if (!lastName) currentItemErrors.push("lastName is required.");
-    if (!password) currentItemErrors.push("password is required.");
     if (!role) currentItemErrors.push("role is required.");
     if (!sex) currentItemErrors.push("sex is required.");
 
@@ -734,7 +945,6 @@ const createMultipleUsers = asyncHandler(async (req, res, next) => {
         middleName,
         lastName,
         email: email && email.trim() !== "" ? email.trim() : undefined, // Only set if provided and not empty
-        password,
         phoneNumber:
           phoneNumber && phoneNumber.trim() !== "" ? phoneNumber : undefined, // Only set if provided and not empty
         address: address && address.trim() !== "" ? address.trim() : undefined, // Only set if provided and not empty
@@ -766,11 +976,14 @@ const createMultipleUsers = asyncHandler(async (req, res, next) => {
           continue;
       }
 
+      // The activation code is the initial password; it is only returned here
+      const credential = assignActivationCode(newUser);
       await newUser.save(); // This triggers pre-save hooks (like password hashing) and validation
 
       const responseUser = newUser.toObject();
       delete responseUser.password; // Ensure password is not sent back
       createdUsers.push(responseUser);
+      credentials.push(credential);
     } catch (error) {
       // Catch Mongoose validation errors or other creation errors
       const errorMessages = [];
@@ -794,6 +1007,13 @@ const createMultipleUsers = asyncHandler(async (req, res, next) => {
   const success = createdUsers.length > 0;
   const statusCode = success ? (errors.length > 0 ? 207 : 201) : 400; // 207 Multi-Status if partial success
 
+  if (req.query.format === "html") {
+    res.setHeader("Content-Type", "text/html; charset=utf-8");
+    return res
+      .status(statusCode)
+      .send(renderCredentialSlipsHtml(credentials, errors));
+  }
+
   res.status(statusCode).json({
     success: success || errors.length === 0, // Overall success if at least one created or no errors if none to create
     message: `Bulk operation finished. Created: ${createdUsers.length}. Failed: ${errors.length}.`,
@@ -801,12 +1021,14 @@ const createMultipleUsers = asyncHandler(async (req, res, next) => {
       createdCount: createdUsers.length,
       failedCount: errors.length,
       createdUsers: createdUsers.length > 0 ? createdUsers : undefined,
+      credentials: credentials.length > 0 ? credentials : undefined, // Shown only once
       errors: errors.length > 0 ? errors : undefined,
     },
   });
 });
 
-// @desc    Create multiple users from Excel file (updated to handle new multer config)
+// @desc    Create multiple users from Excel file (updated to handle new multer config).
+//          Accounts get one-time activation codes (?format=html returns printable slips)
 // @route   POST /api/v1/users/bulk-excel
 // @access  Private/Admin
 const createUsersFromExcel = asyncHandler(async (req, res, next) => {
@@ -920,7 +1142,6 @@ const createUsersFromExcel = asyncHandler(async (req, res, next) => {
         "username",
         "firstName",
         "lastName",
-        "password",
         "role",
         "sex",
       ];
@@ -944,6 +1165,7 @@ const createUsersFromExcel = asyncHandler(async (req, res, next) => {
 
       // Process each row
       const createdUsers = [];
+      const credentials = [];
       const errors = [];
       const validSexValues = ["Male", "Female", "Other"];
       const validRoleValues = ["Admin", "Teacher", "Student"];
@@ -962,7 +1184,6 @@ const createUsersFromExcel = asyncHandler(async (req, res, next) => {
           middleName,
           lastName,
           email,
-          password,
           phoneNumber,
           address,
           role,
@@ -981,8 +1202,6 @@ const createUsersFromExcel = asyncHandler(async (req, res, next) => {
           currentItemErrors.push("firstName is required.");
         if (!lastName || lastName.trim() === "")
           currentItemErrors.push("lastName is required.");
-        if (!password || password.trim() === "")
-          currentItemErrors.push("password is required.");
         if (!role || role.trim() === "")
           currentItemErrors.push("role is required.");
         if (!sex || sex.trim() === "")
@@ -1028,7 +1247,6 @@ const createUsersFromExcel = asyncHandler(async (req, res, next) => {
             email && email.trim() !== ""
               ? email.trim().toLowerCase()
               : undefined, // Only set if provided and not empty
-          password: password.trim(),
           phoneNumber:
             phoneNumber && phoneNumber.trim() !== ""
               ? phoneNumber.trim()
@@ -1107,12 +1325,15 @@ const createUsersFromExcel = asyncHandler(async (req, res, next) => {
               continue;
           }
 
+          // The activation code is the initial password; it is only returned here
+          const credential = assignActivationCode(newUser);
           await newUser.save();
           console.log(`✅ User created successfully: ${cleanData.username}`);
 
           const responseUser = newUser.toObject();
           delete responseUser.password;
           createdUsers.push(responseUser);
+          credentials.push(credential);
         } catch (error) {
           console.error(`❌ Error creating user ${cleanData.username}:`, error);
           const errorMessages = [];
@@ -1143,6 +1364,13 @@ const createUsersFromExcel = asyncHandler(async (req, res, next) => {
         `📊 Final results: ${createdUsers.length} created, ${errors.length} failed`
       );
 
+      if (req.query.format === "html") {
+        res.setHeader("Content-Type", "text/html; charset=utf-8");
+        return res
+          .status(statusCode)
+          .send(renderCredentialSlipsHtml(credentials, errors));
+      }
+
       res.status(statusCode).json({
         success: success || errors.length === 0,
         message: `Excel import completed. Created: ${createdUsers.length}. Failed: ${errors.length}.`,
@@ -1150,6 +1378,7 @@ const createUsersFromExcel = asyncHandler(async (req, res, next) => {
           createdCount: createdUsers.length,
           failedCount: errors.length,
           createdUsers: createdUsers.length > 0 ? createdUsers : undefined,
+          credentials: credentials.length > 0 ? credentials : undefined, // Shown only once
           errors: errors.length > 0 ? errors : undefined,
         },
       });
@@ -1181,6 +1410,11 @@ module.exports = {
   getUser,
   updateUser,
   updateUserPassword,
+  issueActivationCode,
+  issueResetCode,
+  getLockouts,
+  unlockUser,
+  resetTwoFactor,
   deleteUser,
   restoreUser,
   permanentDeleteUser,
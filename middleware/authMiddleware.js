@@ -1,9 +1,11 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 const jwtConfig = require('../config/jwt');
+const { findActiveSession } = require('../utils/sessions');
 
-// Protect routes
-exports.protect = async (req, res, next) => {
+// Protect routes. Users that still have to replace their activation code or
+// set up required 2FA only get through when allowPendingSetup is set.
+const authenticate = (allowPendingSetup) => async (req, res, next) => {
   let token;
 
   if (
@@ -22,6 +24,16 @@ exports.protect = async (req, res, next) => {
   try {
     const decoded = jwt.verify(token, jwtConfig.secret);
 
+    // Access tokens belong to a login session; tokens from revoked sessions
+    // (logout, revoked devices, suspended accounts) are rejected
+    req.session = decoded.sid
+      ? await findActiveSession(decoded.sid, decoded.id)
+      : null;
+
+    if (!req.session) {
+      return res.status(401).json({ success: false, message: 'Session expired or revoked, please log in again.' });
+    }
+
     req.user = await User.findById(decoded.id).select('-password');
 
     if (!req.user) {
@@ -32,6 +44,14 @@ exports.protect = async (req, res, next) => {
       return res.status(403).json({ success: false, message: 'User account is not active.' });
     }
 
+    if (req.user.mustChangePassword && !allowPendingSetup) {
+      return res.status(403).json({ success: false, mustChangePassword: true, message: 'Please set your own password before continuing.' });
+    }
+
+    if (req.session.twoFactorSetupRequired && !allowPendingSetup) {
+      return res.status(403).json({ success: false, twoFactorSetupRequired: true, message: 'Please set up two-factor authentication before continuing.' });
+    }
+
     next();
   } catch (err) {
     console.error('Token verification failed:', err);
@@ -39,6 +59,12 @@ exports.protect = async (req, res, next) => {
   }
 };
 
+exports.protect = authenticate(false);
+
+// Same as protect, but also lets in users that still have to set their own
+// password or set up two-factor authentication
+exports.protectAllowPendingSetup = authenticate(true);
+
 // Role-based authorization
 exports.authorize = (...roles) => {
   return (req, res, next) => {
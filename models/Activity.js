@@ -30,8 +30,54 @@ const submissionSchema = new mongoose.Schema({
     type: String,
     trim: true,
   },
+  // Set from the activity's late policy when the work is turned in
+  isLate: {
+    type: Boolean,
+    default: false,
+  },
+  daysLate: {
+    type: Number,
+    default: 0,
+  },
+  // Number of the SubmissionVersion this submission currently shows
+  version: {
+    type: Number,
+    default: null,
+  },
 });
 
+// Late submission rules; penalties are applied when the work is graded
+const latePolicySchema = new mongoose.Schema(
+  {
+    // Minutes after the deadline that still count as on time
+    graceMinutes: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    // Percent of the score deducted per day late
+    deductionPerDay: {
+      type: Number,
+      min: 0,
+      max: 100,
+      default: 0,
+    },
+    // Highest total deduction in percent
+    maxPenalty: {
+      type: Number,
+      min: 0,
+      max: 100,
+      default: 100,
+    },
+    // No submissions at all after this date
+    cutoffDate: {
+      type: Date,
+      default: null,
+    },
+  },
+  { _id: false }
+);
+
 const activitySchema = new mongoose.Schema(
   {
     title: {
@@ -66,6 +112,13 @@ const activitySchema = new mongoose.Schema(
       default: null,
     },
 
+    // DepEd grading component this activity counts toward
+    gradingComponent: {
+      type: String,
+      enum: ["written_work", "performance_task", "quarterly_assessment"],
+      default: "performance_task",
+    },
+
     subject: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "Subject",
@@ -89,6 +142,18 @@ const activitySchema = new mongoose.Schema(
       default: true,
     },
 
+    latePolicy: {
+      type: latePolicySchema,
+      default: () => ({}),
+    },
+
+    // Optional rubric used to grade submissions per criterion
+    rubric: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Rubric",
+      default: null,
+    },
+
     submissions: [submissionSchema],
   },
   {
@@ -0,0 +1,47 @@
+// models/AuditLog.js
+const mongoose = require("mongoose");
+
+// Security relevant events (password resets, lockouts, ...) for admins to review
+const auditLogSchema = new mongoose.Schema(
+  {
+    // e.g. password_reset_requested, password_reset_completed
+    action: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // Who did it; null for anonymous requests such as forgot-password
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    // Account the event is about
+    targetUser: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    ip: {
+      type: String,
+      trim: true,
+    },
+    userAgent: {
+      type: String,
+      trim: true,
+    },
+    details: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ targetUser: 1, createdAt: -1 });
+
+module.exports = mongoose.model("AuditLog", auditLogSchema);
@@ -0,0 +1,90 @@
+// models/Extension.js
+const mongoose = require("mongoose");
+
+// Extra time a teacher grants one student on an activity or a quiz
+const extensionSchema = new mongoose.Schema(
+  {
+    student: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Exactly one of activity / quiz is set
+    activity: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Activity",
+      default: null,
+    },
+    quiz: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Quiz",
+      default: null,
+    },
+    subject: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Subject",
+      required: true,
+    },
+    // New deadline for the student. For quizzes the student can still take
+    // the quiz until then after it is closed.
+    deadline: {
+      type: Date,
+      default: null,
+      required: function () {
+        return !!this.activity;
+      },
+    },
+    // Added to the quiz time limit of every attempt
+    extraMinutes: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    reason: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    grantedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+extensionSchema.pre("validate", function (next) {
+  if (!!this.activity === !!this.quiz) {
+    this.invalidate(
+      "activity",
+      "An extension is for either an activity or a quiz"
+    );
+  }
+  if (this.quiz && !this.deadline && !this.extraMinutes) {
+    this.invalidate(
+      "extraMinutes",
+      "A quiz extension needs extra minutes or a new deadline"
+    );
+  }
+  next();
+});
+
+// Extension of a student for an activity or quiz: { activity } or { quiz }
+extensionSchema.statics.findForStudent = function (student, target) {
+  return this.findOne({ student, ...target });
+};
+
+// One extension per student per activity / quiz
+extensionSchema.index(
+  { student: 1, activity: 1 },
+  { unique: true, partialFilterExpression: { activity: { $type: "objectId" } } }
+);
+extensionSchema.index(
+  { student: 1, quiz: 1 },
+  { unique: true, partialFilterExpression: { quiz: { $type: "objectId" } } }
+);
+
+module.exports = mongoose.model("Extension", extensionSchema);
@@ -7,10 +7,25 @@ const gradeSchema = new mongoose.Schema({
         ref: 'User',
         required: true
     },
+    // What was graded: an activity or a quiz (one gradebook for both)
+    sourceType: {
+        type: String,
+        enum: ['Activity', 'Quiz'],
+        default: 'Activity'
+    },
     activity: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'Activity',
-        required: true
+        required: function() { return this.sourceType !== 'Quiz'; }
+    },
+    quiz: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Quiz',
+        required: function() { return this.sourceType === 'Quiz'; }
+    },
+    // Quiz submission the score was taken from
+    quizSubmission: {
+        type: mongoose.Schema.Types.ObjectId
     },
     subject: {
         type: mongoose.Schema.Types.ObjectId,
@@ -37,6 +52,37 @@ const gradeSchema = new mongoose.Schema({
         type: String,
         trim: true
     },
+    // Per-criterion breakdown when graded with the activity's rubric. Titles,
+    // labels and points are copied so later rubric edits don't change it.
+    rubricScores: [{
+        _id: false,
+        criterionId: { type: mongoose.Schema.Types.ObjectId, required: true },
+        criterionTitle: { type: String, trim: true },
+        levelId: { type: mongoose.Schema.Types.ObjectId, required: true },
+        levelLabel: { type: String, trim: true },
+        points: { type: Number, required: true, min: 0 },
+        maxPoints: { type: Number, min: 0 },
+        comment: { type: String, trim: true }
+    }],
+    // Turn-in (SubmissionVersion) the grade was given for
+    submissionVersion: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'SubmissionVersion'
+    },
+    versionNumber: {
+        type: Number
+    },
+    // Score before the late penalty; score holds the penalized value
+    rawScore: {
+        type: Number,
+        min: 0
+    },
+    latePenalty: {
+        daysLate: { type: Number, default: 0 },
+        percent: { type: Number, default: 0 },
+        points: { type: Number, default: 0 },
+        waived: { type: Boolean, default: false }
+    },
     gradedBy: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User',
@@ -53,8 +99,20 @@ gradeSchema.virtual('totalScore').get(function() {
     return this.score + (this.bonusPoints || 0);
 });
 
-// Add compound index to prevent duplicate grades for same student-activity pair
-gradeSchema.index({ student: 1, activity: 1 }, { unique: true });
+// Source document of the grade, whichever kind it is
+gradeSchema.virtual('source').get(function() {
+    return this.sourceType === 'Quiz' ? this.quiz : this.activity;
+});
+
+// One grade per student per activity / quiz
+gradeSchema.index(
+    { student: 1, activity: 1 },
+    { unique: true, partialFilterExpression: { activity: { $type: 'objectId' } } }
+);
+gradeSchema.index(
+    { student: 1, quiz: 1 },
+    { unique: true, partialFilterExpression: { quiz: { $type: 'objectId' } } }
+);
 
 const Grade = mongoose.model('Grade', gradeSchema);
 module.exports = Grade;
\ No newline at end of file
@@ -0,0 +1,63 @@
+// models/LoginAttempt.js
+const mongoose = require("mongoose");
+
+// Failed login counter for an account or an IP address, used by the Mongo
+// login throttle store so every node sees the same counts
+const loginAttemptSchema = new mongoose.Schema(
+  {
+    // "account:<user id or identifier>" or "ip:<address>"
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    scope: {
+      type: String,
+      enum: ["account", "ip"],
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    // Username / user ID / IP the failures were made with
+    identifier: {
+      type: String,
+      trim: true,
+    },
+    failures: {
+      type: Number,
+      default: 0,
+    },
+    lastFailureAt: {
+      type: Date,
+    },
+    // Progressive delay: no new attempt is checked before this time
+    nextAttemptAt: {
+      type: Date,
+      default: null,
+    },
+    lockedUntil: {
+      type: Date,
+      default: null,
+    },
+    // Token of the last attempt the counter let through
+    reservation: {
+      type: String,
+    },
+    // When the counter can be forgotten
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+loginAttemptSchema.index({ lockedUntil: 1 });
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("LoginAttempt", loginAttemptSchema);
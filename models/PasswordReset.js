@@ -0,0 +1,63 @@
+// models/PasswordReset.js
+const mongoose = require("mongoose");
+
+// A pending password reset: an emailed link token or a 6-digit code issued by
+// an admin. Only hashes are stored.
+const passwordResetSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    method: {
+      type: String,
+      enum: ["email", "code"],
+      required: true,
+    },
+    // SHA-256 of the emailed token, bcrypt hash of an admin code
+    tokenHash: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    // Codes entered; taken before each check, the code stops working at maxAttempts
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    maxAttempts: {
+      type: Number,
+      default: 5,
+    },
+    usedAt: {
+      type: Date,
+      default: null,
+    },
+    // Replaced by a newer reset, locked after too many attempts, ...
+    invalidatedAt: {
+      type: Date,
+      default: null,
+    },
+    // Admin who issued a reset code
+    issuedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+passwordResetSchema.index({ tokenHash: 1 });
+passwordResetSchema.index({ user: 1, method: 1, createdAt: -1 });
+// Expired resets are removed by MongoDB (the audit log keeps the history)
+passwordResetSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("PasswordReset", passwordResetSchema);
@@ -0,0 +1,89 @@
+const mongoose = require("mongoose");
+const Quiz = require("./Quiz");
+
+// A bank question has exactly the shape of an embedded quiz question
+// (Quiz.questions) plus the tags used to find and draw it again
+const questionBankSchema = Quiz.schema.path("questions").schema.clone();
+
+questionBankSchema.add({
+  subject: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Subject",
+    default: null, // Optional: bank questions can be shared across sections
+  },
+  gradeLevel: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  topic: {
+    type: String,
+    trim: true,
+    default: "",
+  },
+  difficulty: {
+    type: String,
+    enum: ["easy", "medium", "hard"],
+    default: "medium",
+  },
+  quarter: {
+    type: String,
+    enum: ["First Quarter", "Second Quarter", "3rd Quarter", "4th Quarter"],
+    default: null,
+  },
+  source: {
+    type: String,
+    enum: ["manual", "quiz", "ai"],
+    default: "manual", // How the question got into the bank
+  },
+  sourceQuiz: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Quiz",
+    default: null, // Set when the question was imported from a quiz
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+});
+
+questionBankSchema.set("timestamps", true);
+
+// Content fields of a quiz question (everything but its id)
+const QUESTION_FIELDS = Object.keys(
+  Quiz.schema.path("questions").schema.paths,
+).filter((path) => path !== "_id");
+
+// Copy the content of a quiz, bank or AI-generated question, dropping ids
+// and tags so it can be stored in the bank or in a quiz
+questionBankSchema.statics.pickQuestionFields = function (question) {
+  const source =
+    typeof question.toObject === "function" ? question.toObject() : question;
+  const picked = {};
+
+  QUESTION_FIELDS.forEach((field) => {
+    if (source[field] !== undefined) {
+      picked[field] = source[field];
+    }
+  });
+
+  if (Array.isArray(picked.options)) {
+    picked.options = picked.options.map((option) => ({
+      text: option.text,
+      isCorrect: !!option.isCorrect,
+    }));
+  }
+
+  return picked;
+};
+
+questionBankSchema.index({
+  gradeLevel: 1,
+  topic: 1,
+  difficulty: 1,
+  quarter: 1,
+});
+questionBankSchema.index({ subject: 1 });
+
+module.exports = mongoose.model("QuestionBank", questionBankSchema);
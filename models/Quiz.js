@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const { getAnswerPatternError } = require("../utils/quizGrading");
 
 const quizSubmissionSchema = new mongoose.Schema({
   student: {
@@ -10,6 +11,28 @@ const quizSubmissionSchema = new mongoose.Schema({
     type: Date,
     default: Date.now,
   },
+  attemptNumber: {
+    type: Number,
+    default: 1, // Each attempt of a student is stored as its own submission
+    min: 1,
+  },
+  // Server-side clock of a timed attempt
+  startedAt: {
+    type: Date,
+    default: null,
+  },
+  expiresAt: {
+    type: Date,
+    default: null, // startedAt + timeLimit; null when the quiz is not timed
+  },
+  autoSubmitted: {
+    type: Boolean,
+    default: false, // Closed by the server after the time limit ran out
+  },
+  lastSavedAt: {
+    type: Date,
+    default: null, // Last autosave of an in-progress attempt
+  },
   // ─── "submittedAnswers" is an array of objects, each containing a question ID and the student's answer
   submittedAnswers: [
     {
@@ -23,20 +46,58 @@ const quizSubmissionSchema = new mongoose.Schema({
         type: Boolean,
         default: false, // Indicates if the answer is correct
       },
+      partiallyCorrect: {
+        type: Boolean,
+        default: false, // Earned some, but not all, of the question's points
+      },
       pointsEarned: {
         type: Number,
-        default: 0, // Points earned for this question
+        default: 0, // Points earned for this question (may be fractional)
         min: 0, // Points cannot be negative
       },
       manuallyGraded: {
         type: Boolean,
         default: false, // For essay questions
       },
+      // Essay answers graded with the question's rubric
+      rubricScores: [
+        {
+          _id: false,
+          criterionId: {
+            type: mongoose.Schema.Types.ObjectId,
+            required: true,
+          },
+          points: {
+            type: Number,
+            required: true,
+            min: 0,
+          },
+          feedback: {
+            type: String,
+            trim: true,
+          },
+        },
+      ],
+      feedback: {
+        type: String,
+        trim: true, // Teacher feedback on this answer (essays)
+      },
+      aiAssisted: {
+        type: Boolean,
+        default: false, // Grade started from an AI suggestion the teacher accepted or edited
+      },
     },
   ],
   status: {
     type: String,
-    enum: ["submitted", "graded", "pending", "unsubmitted", "partial"], // Added 'partial' for essays pending grading
+    enum: [
+      "in_progress",
+      "submitted",
+      "graded",
+      "pending",
+      "unsubmitted",
+      "partial",
+    ], // Added 'partial' for essays pending grading, 'in_progress' for started attempts
     default: "unsubmitted", // Default status for a new submission
   },
   quizScore: {
@@ -51,6 +112,47 @@ const quizSubmissionSchema = new mongoose.Schema({
   },
 });
 
+// Where an AI-generated question came from in the subject's course materials
+const citationSchema = new mongoose.Schema(
+  {
+    material: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "CourseMaterial",
+    },
+    fileName: {
+      type: String,
+      trim: true,
+    },
+    locationType: {
+      type: String,
+      enum: ["page", "slide", "section"], // section: DOCX/TXT have no pages
+    },
+    locationNumber: {
+      type: Number,
+      min: 1,
+    },
+  },
+  { _id: false }
+);
+
+// One criterion of an essay rubric
+const rubricCriterionSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  description: {
+    type: String,
+    trim: true, // What a full-credit answer shows for this criterion
+  },
+  maxPoints: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+});
+
 const questionSchema = new mongoose.Schema({
   text: {
     type: String,
@@ -73,13 +175,26 @@ const questionSchema = new mongoose.Schema({
       isCorrect: { type: Boolean, default: false },
     },
   ],
-  // For short_answer questions
-  correctAnswers: [
-    {
-      type: String,
-      trim: true,
+  // For short_answer questions (patterns when answerMatching is "regex")
+  correctAnswers: {
+    type: [
+      {
+        type: String,
+        trim: true,
+      },
+    ],
+    validate: {
+      validator: function (answers) {
+        return (
+          this.answerMatching !== "regex" ||
+          answers.every((answer) => !getAnswerPatternError(answer))
+        );
+      },
+      message: (props) =>
+        props.value.map(getAnswerPatternError).find(Boolean) ||
+        "Invalid answer pattern",
     },
-  ],
+  },
   caseSensitive: {
     type: Boolean,
     default: false, // Whether short answer grading is case sensitive
@@ -88,6 +203,28 @@ const questionSchema = new mongoose.Schema({
     type: Boolean,
     default: true, // Mark all other answers as incorrect if not in correctAnswers list
   },
+  // How short answers are compared with correctAnswers
+  answerMatching: {
+    type: String,
+    enum: ["exact", "normalized", "numeric", "regex"],
+    default: "exact", // normalized ignores punctuation and extra spaces, regex treats correctAnswers as patterns
+  },
+  numericTolerance: {
+    type: Number,
+    default: 0, // Allowed +/- difference for numeric short answers
+    min: 0,
+  },
+  // For multiple_answers questions
+  scoringMode: {
+    type: String,
+    enum: ["all_or_nothing", "partial"],
+    default: "all_or_nothing", // partial gives proportional credit per correct pick
+  },
+  wrongAnswerPenalty: {
+    type: Number,
+    default: 1, // In partial mode, each wrong pick cancels this many correct picks
+    min: 0,
+  },
   // "images" are the images attached by the teacher to the question. The image name should not be renamed after uploading.
   images: [
     {
@@ -105,6 +242,23 @@ const questionSchema = new mongoose.Schema({
     default: true, // Indicates if the question is required to be answered
   },
   answer: mongoose.Schema.Types.Mixed, // String, array, or 'True'/'False' (not used for essay)
+  // Essay questions only: the criteria points must add up to itemPoints
+  rubric: {
+    type: [rubricCriterionSchema],
+    default: [],
+    validate: {
+      validator: function (rubric) {
+        if (!rubric || rubric.length === 0) return true;
+        const total = rubric.reduce((sum, c) => sum + (c.maxPoints || 0), 0);
+        return Math.abs(total - (this.itemPoints ?? 1)) < 0.001;
+      },
+      message: "Rubric criteria points must add up to the question's points",
+    },
+  },
+  citation: {
+    type: citationSchema,
+    default: null, // Set for questions generated from course materials
+  },
 });
 
 const quizSchema = new mongoose.Schema(
@@ -137,6 +291,24 @@ const quizSchema = new mongoose.Schema(
       type: Number,
       min: 1, // in minutes, optional
     },
+    maxAttempts: {
+      type: Number,
+      default: 1, // Number of attempts each student gets
+      min: 1,
+    },
+    scoringPolicy: {
+      type: String,
+      enum: ["highest", "latest", "average"],
+      default: "highest", // Which attempt score goes into the gradebook
+    },
+    shuffleQuestions: {
+      type: Boolean,
+      default: false, // Each student gets their own (stable) question order
+    },
+    shuffleOptions: {
+      type: Boolean,
+      default: false, // Each student gets their own (stable) option order
+    },
     quizSubmissions: [quizSubmissionSchema],
     quarter: {
       type: String,
@@ -148,6 +320,11 @@ const quizSchema = new mongoose.Schema(
       type: Number,
       default: null, // Optional points for the quiz
     },
+    gradingComponent: {
+      type: String,
+      enum: ["written_work", "performance_task", "quarterly_assessment"],
+      default: "written_work", // DepEd grading component the quiz counts toward
+    },
     status: {
       type: String,
       enum: ["draft", "published", "archived", "graded", "closed"], // Set status to closed when the quiz is finished or if the time limit is reached
@@ -0,0 +1,91 @@
+// models/Rubric.js
+const mongoose = require("mongoose");
+
+// One performance level of a criterion, e.g. "Proficient - 8 pts"
+const levelSchema = new mongoose.Schema({
+  label: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  description: {
+    type: String,
+    trim: true,
+  },
+  points: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+});
+
+const criterionSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  description: {
+    type: String,
+    trim: true,
+  },
+  levels: {
+    type: [levelSchema],
+    validate: {
+      validator: (levels) => Array.isArray(levels) && levels.length > 0,
+      message: "Each criterion needs at least one performance level",
+    },
+  },
+});
+
+// Reusable rubric (criteria x performance levels) that teachers attach to
+// activities
+const rubricSchema = new mongoose.Schema(
+  {
+    title: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    subject: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Subject",
+      default: null, // Optional: rubrics can be shared across subjects
+    },
+    criteria: {
+      type: [criterionSchema],
+      validate: {
+        validator: (criteria) => Array.isArray(criteria) && criteria.length > 0,
+        message: "A rubric needs at least one criterion",
+      },
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Highest possible total: the best level of every criterion
+rubricSchema.virtual("maxPoints").get(function () {
+  return (this.criteria || []).reduce(
+    (total, criterion) =>
+      total + Math.max(0, ...criterion.levels.map((level) => level.points)),
+    0
+  );
+});
+
+rubricSchema.index({ createdBy: 1 });
+rubricSchema.index({ subject: 1 });
+
+module.exports = mongoose.model("Rubric", rubricSchema);
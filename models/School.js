@@ -128,6 +128,15 @@ const schoolSchema = new mongoose.Schema(
       },
     ],
 
+    // Security Policy
+    security: {
+      // Admins must use two-factor authentication
+      requireTwoFactorForAdmins: {
+        type: Boolean,
+        default: false,
+      },
+    },
+
     // Meta
     lastUpdatedBy: {
       type: mongoose.Schema.Types.ObjectId,
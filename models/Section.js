@@ -5,6 +5,11 @@ const sectionSchema = new mongoose.Schema(
     sectionName: { type: String, required: true, trim: true },
     gradeLevel: { type: String, required: true, trim: true },
     schoolYear: { type: String, required: true, trim: true },
+    adviser: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
     students: [
       {
         type: mongoose.Schema.Types.ObjectId,
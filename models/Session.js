@@ -0,0 +1,68 @@
+// models/Session.js
+const mongoose = require("mongoose");
+
+// One logged in device. Access tokens carry the session id, so revoking the
+// session ends them early; the refresh token is rotated on every use.
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // SHA-256 of the current refresh token (the token itself is never stored)
+    refreshTokenHash: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    device: {
+      type: String,
+      trim: true,
+    },
+    ip: {
+      type: String,
+      trim: true,
+    },
+    userAgent: {
+      type: String,
+      trim: true,
+    },
+    lastSeenAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    // Logged in without 2FA although the school requires it: only 2FA
+    // enrollment is allowed until it is set up
+    twoFactorSetupRequired: {
+      type: Boolean,
+      default: false,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    // logout, revoked, revoked_all, refresh_token_reuse, account_suspended...
+    revokedReason: {
+      type: String,
+      trim: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+sessionSchema.virtual("isActive").get(function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+sessionSchema.index({ user: 1, revokedAt: 1 });
+// Expired sessions are removed by MongoDB
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("Session", sessionSchema);
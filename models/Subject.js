@@ -60,6 +60,13 @@ const subjectSchema = new mongoose.Schema(
       },
     ],
 
+    // Component weights (in percent) used by the quarterly grade computation
+    gradingWeights: {
+      writtenWork: { type: Number, min: 0, max: 100, default: 30 },
+      performanceTask: { type: Number, min: 0, max: 100, default: 50 },
+      quarterlyAssessment: { type: Number, min: 0, max: 100, default: 20 },
+    },
+
     // Archive fields
     isArchived: {
       type: Boolean,
@@ -0,0 +1,100 @@
+// models/SubmissionVersion.js
+const mongoose = require("mongoose");
+
+// One turn-in of an activity by a student. Versions are never changed:
+// re-submitting adds a new version and keeps the old files. They are only
+// removed together with their activity.
+const submissionVersionSchema = new mongoose.Schema(
+  {
+    activity: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Activity",
+      required: true,
+    },
+    student: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    versionNumber: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    attachmentPaths: [
+      {
+        type: String,
+        trim: true,
+      },
+    ],
+    submittedAt: {
+      type: Date,
+      required: true,
+    },
+    // Late status when it was turned in
+    isLate: {
+      type: Boolean,
+      default: false,
+    },
+    daysLate: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Versions are append-only
+submissionVersionSchema.pre("save", function (next) {
+  if (!this.isNew) {
+    return next(new Error("Submission versions can't be changed"));
+  }
+  next();
+});
+
+submissionVersionSchema.pre(
+  ["updateOne", "updateMany", "findOneAndUpdate", "replaceOne"],
+  function (next) {
+    next(new Error("Submission versions can't be changed"));
+  }
+);
+
+// Number the next turn-in of a student gets
+submissionVersionSchema.statics.getNextVersionNumber = async function (
+  activity,
+  student
+) {
+  const latest = await this.findOne({ activity, student })
+    .sort({ versionNumber: -1 })
+    .select("versionNumber");
+  return latest ? latest.versionNumber + 1 : 1;
+};
+
+// Store a turn-in under the next version number. Two turn-ins at the same
+// moment can read the same latest number; the unique index refuses the
+// second one, which then retries with the following number.
+submissionVersionSchema.statics.createNextVersion = async function (
+  fields,
+  retries = 3
+) {
+  for (let attempt = 0; ; attempt++) {
+    const versionNumber = await this.getNextVersionNumber(
+      fields.activity,
+      fields.student
+    );
+    try {
+      return await this.create({ ...fields, versionNumber });
+    } catch (error) {
+      if (error.code !== 11000 || attempt >= retries) throw error;
+    }
+  }
+};
+
+submissionVersionSchema.index(
+  { activity: 1, student: 1, versionNumber: 1 },
+  { unique: true }
+);
+
+module.exports = mongoose.model("SubmissionVersion", submissionVersionSchema);
@@ -82,9 +82,46 @@ const userSchema = new mongoose.Schema(
       enum: ["active", "inactive", "suspended", "pending", "archived"],
       default: "pending", // Default status, might need activation
     },
-    temporaryPassword: {
-      type: String,
-      select: false, // Hide temporary password by default
+    // Set for accounts that still log in with an activation code; the user
+    // has to choose their own password before anything else
+    mustChangePassword: {
+      type: Boolean,
+      default: false,
+    },
+    activationExpiresAt: {
+      type: Date,
+      default: null,
+    },
+    // TOTP two-factor authentication (Admins and Teachers)
+    twoFactor: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      // Encrypted TOTP secret
+      secret: {
+        type: String,
+        select: false,
+      },
+      // Secret waiting for its first code during enrollment
+      pendingSecret: {
+        type: String,
+        select: false,
+      },
+      // Hashes of the unused recovery codes
+      recoveryCodes: {
+        type: [String],
+        select: false,
+      },
+      // Last time step a code was accepted for (no code works twice)
+      lastUsedStep: {
+        type: Number,
+        select: false,
+      },
+      enabledAt: {
+        type: Date,
+        default: null,
+      },
     },
     lastLogin: {
       type: Date,
@@ -101,9 +138,6 @@ userSchema.pre("save", async function (next) {
   // Only run this function if password was actually modified
   if (!this.isModified("password")) return next();
 
-  // Store the plain text password temporarily (SECURITY RISK)
-  this.temporaryPassword = this.password;
-
   // Hash the password with cost of 12
   this.password = await bcrypt.hash(this.password, 12);
   next();
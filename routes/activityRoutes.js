@@ -9,6 +9,9 @@ const {
   turnInActivity,
   undoTurnInActivity,
   getAllSubmissionsForActivity,
+  downloadAllSubmissions,
+  getSubmissionVersions,
+  downloadSubmissionVersionFile,
   getStudentGradeForActivity,
 } = require("../controllers/activityController");
 const { protect } = require("../middleware/authMiddleware");
@@ -143,6 +146,25 @@ router.get(
   getAllSubmissionsForActivity
 );
 
+// ZIP of every student's submission files with an index.csv
+router.get(
+  "/activities/:activityId/submissions/download",
+  protect,
+  downloadAllSubmissions
+);
+
+// Turn-in history of one student (teachers, admins and the student)
+router.get(
+  "/activities/:activityId/submissions/:studentId/versions",
+  protect,
+  getSubmissionVersions
+);
+router.get(
+  "/activities/:activityId/submissions/:studentId/versions/:versionNumber/files/:fileIndex",
+  protect,
+  downloadSubmissionVersionFile
+);
+
 // Route to get student grades for a specific subject
 router.get(
   "/subjects/:subjectId/students/:studentId/grades",
@@ -171,11 +193,14 @@ router.get(
           select: "title _id",
           match: { _id: { $ne: null } }, // Only include grades where activity exists
         })
+        .populate("quiz", "title _id")
         .populate("gradedBy", "firstName middleName lastName")
         .populate("subject", "subjectName");
 
-      // Filter out any grades where activity is null (in case of deleted activities)
-      const validGrades = grades.filter((grade) => grade.activity !== null);
+      // Filter out any grades whose activity / quiz was deleted
+      const validGrades = grades.filter((grade) =>
+        grade.sourceType === "Quiz" ? grade.quiz : grade.activity
+      );
 
       res.status(200).json({
         success: true,
@@ -0,0 +1,12 @@
+const express = require("express");
+const { getAuditLogs } = require("../controllers/auditLogController");
+const { protect, authorize } = require("../middleware/authMiddleware");
+
+const router = express.Router();
+
+router.use(protect);
+router.use(authorize("Admin"));
+
+router.get("/", getAuditLogs);
+
+module.exports = router;
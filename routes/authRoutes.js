@@ -3,14 +3,31 @@ const express = require("express");
 const {
   login,
   logout,
+  refreshToken,
+  getMySessions,
+  revokeMySession,
+  revokeAllMySessions,
   register,
   getCurrentUser,
   updateMe,
   uploadUserProfilePicture,
   resetMyPassword,
+  setInitialPassword,
+  forgotPassword,
+  resetPassword,
+  resetPasswordWithCode,
+  verifyTwoFactorLogin,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
   verifyPassword,
 } = require("../controllers/authController");
-const { protect, authorize } = require("../middleware/authMiddleware"); // Assuming authorize is your role middleware
+const {
+  protect,
+  protectAllowPendingSetup,
+  authorize,
+} = require("../middleware/authMiddleware"); // Assuming authorize is your role middleware
 const { body, validationResult } = require("express-validator");
 
 const router = express.Router();
@@ -128,13 +145,31 @@ const validateUpdateMe = [
 ];
 
 router.post("/login", validateLogin, login);
-router.post("/logout", protect, logout); // No body to validate generally
+router.post("/logout", protectAllowPendingSetup, logout); // No body to validate generally
+router.post("/refresh", refreshToken); // Rotates the refresh token
+router
+  .route("/sessions")
+  .get(protect, getMySessions)
+  .delete(protect, revokeAllMySessions);
+router.delete("/sessions/:id", protect, revokeMySession);
 router.post("/register", validateRegistration, register);
-router.get("/me", protect, getCurrentUser); // No body to validate
+router.get("/me", protectAllowPendingSetup, getCurrentUser); // No body to validate
 router.put("/updateme", protect, validateUpdateMe, updateMe);
 // New route for user profile picture upload - accessible to all authenticated users
 router.post("/upload-profile-picture", protect, uploadUserProfilePicture);
 router.put("/reset-my-password", protect, resetMyPassword);
+// First login with an activation code
+router.put("/set-password", protectAllowPendingSetup, setInitialPassword);
 router.post("/verify-password", protect, verifyPassword);
+// Password reset for users who can't log in
+router.post("/forgot-password", forgotPassword);
+router.post("/reset-password", resetPassword);
+router.post("/reset-password/code", resetPasswordWithCode);
+// Two-factor authentication (TOTP)
+router.post("/2fa/verify", verifyTwoFactorLogin); // Second login step
+router.post("/2fa/setup", protectAllowPendingSetup, setupTwoFactor);
+router.post("/2fa/enable", protectAllowPendingSetup, enableTwoFactor);
+router.post("/2fa/disable", protect, disableTwoFactor);
+router.post("/2fa/recovery-codes", protect, regenerateRecoveryCodes);
 
 module.exports = router;
@@ -0,0 +1,24 @@
+const express = require("express");
+const {
+  getExtensions,
+  getMyExtensions,
+  grantExtension,
+  revokeExtension,
+} = require("../controllers/extensionController");
+const { protect, authorize } = require("../middleware/authMiddleware");
+
+const router = express.Router();
+
+router.use(protect);
+
+// Extensions granted to the logged in student
+router.get("/me", authorize("Student"), getMyExtensions);
+
+router
+  .route("/")
+  .get(authorize("Teacher", "Admin"), getExtensions)
+  .post(authorize("Teacher", "Admin"), grantExtension);
+
+router.delete("/:id", authorize("Teacher", "Admin"), revokeExtension);
+
+module.exports = router;
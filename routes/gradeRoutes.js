@@ -5,7 +5,9 @@ const {
     getActivityGrades,
     updateGrade,
     deleteGrade,
-    getStudentActivityGradesOverview // New import
+    getStudentActivityGradesOverview, // New import
+    getStudentQuarterGrades,
+    getSubjectQuarterGrades
 } = require('../controllers/gradeController');
 
 const { protect, authorize } = require('../middleware/authMiddleware');
@@ -21,6 +23,12 @@ router.route('/activities/:activityId/grades')
 router.route('/subjects/:subjectId/students/:studentId/grades')
     .get(protect, authorize('Student', 'Teacher', 'Admin'), getStudentGradesForSubject);
 
+// Computed quarterly grades (written work / performance task / quarterly assessment)
+router.route('/subjects/:subjectId/students/:studentId/quarter-grades')
+    .get(protect, authorize('Student', 'Teacher', 'Admin'), getStudentQuarterGrades);
+router.route('/subjects/:subjectId/quarter-grades')
+    .get(protect, authorize('Teacher', 'Admin'), getSubjectQuarterGrades);
+
 // New route for student's overall grade overview
 router.route('/students/:studentId/grades-overview')
     .get(protect, authorize('Student', 'Admin'), getStudentActivityGradesOverview); // Only student or Admin can view their overview
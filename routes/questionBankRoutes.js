@@ -0,0 +1,36 @@
+const express = require("express");
+const {
+  getBankQuestions,
+  getBankQuestion,
+  createBankQuestion,
+  saveQuestionsToBank,
+  updateBankQuestion,
+  deleteBankQuestion,
+  importQuestionsFromQuiz,
+  buildQuizFromBank,
+} = require("../controllers/questionBankController");
+const { protect, authorize } = require("../middleware/authMiddleware");
+
+const router = express.Router();
+
+router.use(protect);
+router.use(authorize("Teacher", "Admin"));
+
+router.route("/").get(getBankQuestions).post(createBankQuestion);
+
+// Save a batch of questions (e.g. from AI generation)
+router.post("/bulk", saveQuestionsToBank);
+
+// Import questions from an existing quiz
+router.post("/import-quiz/:quizId", importQuestionsFromQuiz);
+
+// Draw random questions per tag into a new draft quiz
+router.post("/build-quiz", buildQuizFromBank);
+
+router
+  .route("/:id")
+  .get(getBankQuestion)
+  .put(updateBankQuestion)
+  .delete(deleteBankQuestion);
+
+module.exports = router;
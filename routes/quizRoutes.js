@@ -10,10 +10,17 @@ const {
   duplicateQuiz,
   getQuizSubmissions,
   submitQuizResponse,
+  startQuizAttempt,
+  saveQuizAttempt,
   gradeQuizSubmission,
   getQuizStatistics,
+  getQuizItemAnalysis,
+  exportQuiz,
   generateAIQuiz,
+  generateAIQuizFromMaterials,
+  importQuiz,
   gradeEssayQuestion, // Add this
+  suggestEssayGrades,
 } = require("../controllers/quizController");
 const { protect, authorize } = require("../middleware/authMiddleware");
 const multer = require("multer");
@@ -66,6 +73,27 @@ const uploadDoc = multer({
   },
 });
 
+// Configure Multer for quiz imports (GIFT, Aiken and QTI 2.1 XML)
+const uploadImport = multer({
+  storage: storage,
+  limits: {
+    fileSize: 2 * 1024 * 1024, // 2MB per file
+    files: 20, // QTI items usually come one per file
+  },
+  fileFilter: (req, file, cb) => {
+    const allowedExtensions = ["gift", "txt", "xml"];
+    const extension = file.originalname.split(".").pop().toLowerCase();
+    if (allowedExtensions.includes(extension)) {
+      cb(null, true);
+    } else {
+      cb(
+        new Error("Only GIFT, Aiken (.txt) and QTI (.xml) files are allowed"),
+        false
+      );
+    }
+  },
+});
+
 // Middleware to handle multer errors
 const handleMulterError = (err, req, res, next) => {
   if (err instanceof multer.MulterError) {
@@ -87,7 +115,8 @@ const handleMulterError = (err, req, res, next) => {
   if (
     err.message &&
     (err.message.includes("Only image files") ||
-      err.message.includes("Only PDF, Word"))
+      err.message.includes("Only PDF, Word") ||
+      err.message.includes("Only GIFT, Aiken"))
   ) {
     return res.status(400).json({
       success: false,
@@ -108,6 +137,20 @@ router.post(
   handleMulterError,
   generateAIQuiz
 );
+router.post(
+  "/generate-ai/materials",
+  authorize("Teacher", "Admin"),
+  generateAIQuizFromMaterials
+);
+
+// Quiz import route (dryRun=true returns the report without creating a quiz)
+router.post(
+  "/import",
+  authorize("Teacher", "Admin"),
+  uploadImport.array("files", 20),
+  handleMulterError,
+  importQuiz
+);
 
 // Quiz CRUD routes
 router
@@ -135,6 +178,7 @@ router
 router.put("/:id/publish", authorize("Teacher", "Admin"), publishQuiz);
 router.put("/:id/archive", authorize("Teacher", "Admin"), archiveQuiz);
 router.post("/:id/duplicate", authorize("Teacher", "Admin"), duplicateQuiz);
+router.get("/:id/export", authorize("Teacher", "Admin"), exportQuiz);
 
 // Quiz submissions
 router.get(
@@ -142,6 +186,8 @@ router.get(
   authorize("Teacher", "Admin"),
   getQuizSubmissions
 );
+router.post("/:id/start", authorize("Student"), startQuizAttempt);
+router.patch("/:id/attempt", authorize("Student"), saveQuizAttempt);
 router.post("/:id/submit", authorize("Student"), submitQuizResponse);
 router.put(
   "/submissions/:submissionId/grade",
@@ -154,8 +200,19 @@ router.put(
   authorize("Teacher", "Admin"),
   gradeEssayQuestion
 );
+// AI rubric suggestions for pending essay answers (the teacher still grades)
+router.post(
+  "/:id/essay-suggestions",
+  authorize("Teacher", "Admin"),
+  suggestEssayGrades
+);
 
 // Quiz statistics
 router.get("/:id/statistics", authorize("Teacher", "Admin"), getQuizStatistics);
+router.get(
+  "/:id/item-analysis",
+  authorize("Teacher", "Admin"),
+  getQuizItemAnalysis
+);
 
 module.exports = router;
@@ -0,0 +1,22 @@
+const express = require("express");
+const {
+  getStudentReportCard,
+  getSectionReportCards,
+} = require("../controllers/reportCardController");
+const { protect, authorize } = require("../middleware/authMiddleware");
+
+const router = express.Router();
+
+router.use(protect);
+
+// Single student report card (JSON, XLSX or printable HTML)
+router.get(
+  "/students/:studentId",
+  authorize("Student", "Teacher", "Admin"),
+  getStudentReportCard
+);
+
+// Batch mode: one report card file per student of a section, zipped
+router.get("/sections/:sectionId", authorize("Admin"), getSectionReportCards);
+
+module.exports = router;
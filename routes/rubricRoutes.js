@@ -0,0 +1,39 @@
+const express = require("express");
+const {
+  getRubrics,
+  getRubric,
+  createRubric,
+  updateRubric,
+  deleteRubric,
+  attachRubricToActivity,
+} = require("../controllers/rubricController");
+const { protect, authorize } = require("../middleware/authMiddleware");
+
+const router = express.Router();
+
+// Mounted at /api/v1, so each route is protected on its own
+router.get("/rubrics", protect, authorize("Teacher", "Admin"), getRubrics);
+router.post("/rubrics", protect, authorize("Teacher", "Admin"), createRubric);
+router.get("/rubrics/:id", protect, authorize("Teacher", "Admin"), getRubric);
+router.put(
+  "/rubrics/:id",
+  protect,
+  authorize("Teacher", "Admin"),
+  updateRubric
+);
+router.delete(
+  "/rubrics/:id",
+  protect,
+  authorize("Teacher", "Admin"),
+  deleteRubric
+);
+
+// Attach or detach the rubric used to grade an activity
+router.put(
+  "/activities/:activityId/rubric",
+  protect,
+  authorize("Teacher", "Admin"),
+  attachRubricToActivity
+);
+
+module.exports = router;
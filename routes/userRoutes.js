@@ -5,6 +5,11 @@ const {
   getUser,
   updateUser,
   updateUserPassword,
+  issueActivationCode,
+  issueResetCode,
+  getLockouts,
+  unlockUser,
+  resetTwoFactor,
   deleteUser,
   restoreUser,
   permanentDeleteUser,
@@ -30,6 +35,9 @@ router.route("/bulk").post(authorize("Admin"), createMultipleUsers); // Keep for
 // New Excel bulk import route
 router.route("/bulk-excel").post(authorize("Admin"), createUsersFromExcel);
 
+// Accounts / IPs locked out after too many failed logins
+router.route("/lockouts").get(authorize("Admin"), getLockouts);
+
 // New profile picture upload route
 router
   .route("/upload-profile-picture")
@@ -45,6 +53,20 @@ router
   .route("/:id/password") // NEW: Route for updating a user's password by ID
   .put(updateUserPassword);
 
+// One-time activation code (replaces the password until the user sets a new one)
+router
+  .route("/:id/activation-code")
+  .post(authorize("Admin"), issueActivationCode);
+
+// 6-digit password reset code for users without an email address
+router.route("/:id/reset-code").post(authorize("Admin"), issueResetCode);
+
+// Clear a login lockout
+router.route("/:id/unlock").post(authorize("Admin"), unlockUser);
+
+// Turn off a user's 2FA so they can enroll a new device
+router.route("/:id/two-factor").delete(authorize("Admin"), resetTwoFactor);
+
 router.route("/:id/restore").put(authorize("Admin"), restoreUser); // Restore a soft-deleted user
 
 // New route for permanent deletion
@@ -0,0 +1,28 @@
+// scripts/clearTemporaryPasswords.js
+// One-off migration: delete the plaintext temporaryPassword that the old User
+// pre-save hook stored next to every hashed password.
+// Usage: npm run migrate:clear-temporary-passwords
+const mongoose = require("mongoose");
+const connectDB = require("../config/db");
+const User = require("../models/User");
+
+const clearTemporaryPasswords = async () => {
+  await connectDB();
+
+  // The field is no longer in the schema, so go through the raw collection
+  const result = await User.collection.updateMany(
+    { temporaryPassword: { $exists: true } },
+    { $unset: { temporaryPassword: "" } },
+  );
+
+  console.log(
+    `Temporary password cleanup complete: ${result.modifiedCount} user(s) cleared`,
+  );
+};
+
+clearTemporaryPasswords()
+  .catch((error) => {
+    console.error("Temporary password migration failed:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,47 @@
+// scripts/migrateQuizGrades.js
+// One-off migration: copy every graded quiz submission into the Grade ledger
+// so activity and quiz results share one gradebook.
+// Usage: npm run migrate:quiz-grades
+const mongoose = require("mongoose");
+const connectDB = require("../config/db");
+const Grade = require("../models/Grade");
+const Quiz = require("../models/Quiz");
+const { syncQuizGrade } = require("../utils/quizGradeLedger");
+
+const migrateQuizGrades = async () => {
+  await connectDB();
+
+  // Replaces the old { student, activity } unique index, which would reject
+  // every quiz grade after the first one (quiz grades have no activity)
+  await Grade.syncIndexes();
+  console.log("Grade indexes synchronized");
+
+  let written = 0;
+  let skipped = 0;
+
+  const cursor = Quiz.find({ "quizSubmissions.0": { $exists: true } })
+    .select("subject createdBy quarter scoringPolicy quizSubmissions")
+    .cursor();
+
+  for await (const quiz of cursor) {
+    for (const submission of quiz.quizSubmissions) {
+      const grade = await syncQuizGrade(quiz, submission);
+      if (grade) {
+        written++;
+      } else {
+        skipped++;
+      }
+    }
+  }
+
+  console.log(
+    `Quiz grade backfill complete: ${written} grade(s) written, ${skipped} submission(s) not graded yet`,
+  );
+};
+
+migrateQuizGrades()
+  .catch((error) => {
+    console.error("Quiz grade migration failed:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
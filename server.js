@@ -5,6 +5,7 @@ const path = require("path"); // Add this import
 const connectDB = require("./config/db");
 const errorHandler = require("./middleware/errorHandler");
 const { initializeHolidaySystem } = require("./utils/holidaySeeder");
+const { scheduleQuizAttemptAutoSubmit } = require("./utils/quizAttemptScheduler");
 
 // Load env vars
 dotenv.config();
@@ -27,9 +28,24 @@ const sectionRoutes = require("./routes/sectionRoutes");
 const teacherRoutes      = require("./routes/teacherRoutes");
 const studentRoutes      = require("./routes/studentRoutes");
 const schoolRoutes       = require("./routes/schoolRoutes");
+const reportCardRoutes   = require("./routes/reportCardRoutes");
+const questionBankRoutes = require("./routes/questionBankRoutes");
+const rubricRoutes       = require("./routes/rubricRoutes");
+const extensionRoutes    = require("./routes/extensionRoutes");
+const auditLogRoutes     = require("./routes/auditLogRoutes");
 
 const app = express();
 
+// req.ip (login throttling, sessions, audit log) only honours X-Forwarded-For
+// from trusted proxies. Behind a reverse proxy set TRUST_PROXY to the hop
+// count (e.g. 1) or the proxy addresses (e.g. "loopback, 10.0.0.0/8").
+const getTrustProxySetting = (value) => {
+  if (!value || value === "false") return false;
+  if (value === "true") return true;
+  return /^\d+$/.test(value) ? Number(value) : value;
+};
+app.set("trust proxy", getTrustProxySetting(process.env.TRUST_PROXY));
+
 // ─── Request logger (catch‐all) ────────────────────────────────────────────────
 // This will print every incoming request’s method and full URL to the console:
 
@@ -75,6 +91,11 @@ app.use("/api/v1/sections", sectionRoutes);
 app.use("/api/v1/teachers", teacherRoutes);
 app.use("/api/v1/students", studentRoutes);
 app.use("/api/v1/school", schoolRoutes);
+app.use("/api/v1/report-cards", reportCardRoutes);
+app.use("/api/v1/question-bank", questionBankRoutes);
+app.use("/api/v1", rubricRoutes);
+app.use("/api/v1/extensions", extensionRoutes);
+app.use("/api/v1/audit-logs", auditLogRoutes);
 
 // ─── Mount error handler (must come after all routes) ─────────────────────────
 app.use(errorHandler);
@@ -97,5 +118,8 @@ const server = app.listen(PORT, async () => {
     } catch (error) {
       console.error('❌ Failed to initialize holiday system:', error);
     }
+
+    // Auto-submit timed quiz attempts once their time limit runs out
+    scheduleQuizAttemptAutoSubmit();
   }, 3000); // Wait 3 seconds after server start to ensure DB connection is ready
 });
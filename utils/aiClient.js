@@ -0,0 +1,165 @@
+// utils/aiClient.js
+// Pluggable AI client. Every AI feature asks getAIClient() for a client with
+// a single completeJSON({ system, prompt, maxTokens, task, context }) method
+// that resolves to the parsed JSON object. AI_PROVIDER=stub (or setAIClient)
+// swaps in a local client that never calls the network.
+const OpenAI = require("openai");
+
+const DEFAULT_OPENAI_MODEL = "gpt-5-mini";
+
+let activeClient = null;
+
+// Essay length the offline stub treats as a full-credit answer
+const STUB_FULL_CREDIT_WORDS = 150;
+
+// Strip code fences or surrounding text and parse the JSON object
+const parseJSONResponse = (raw) => {
+  let text = String(raw || "").trim();
+
+  if (text.startsWith("```")) {
+    text = text.replace(/^```(?:json)?\s*\n?/i, "").replace(/\n?```\s*$/i, "");
+  }
+
+  const jsonMatch = text.match(/\{[\s\S]*\}/);
+  if (jsonMatch) {
+    text = jsonMatch[0];
+  }
+
+  try {
+    return JSON.parse(text);
+  } catch (parseError) {
+    console.error("Failed to parse AI response:", text.substring(0, 500));
+    throw new Error(
+      `Failed to parse AI response as JSON: ${parseError.message}`,
+    );
+  }
+};
+
+const createOpenAIClient = ({
+  apiKey = process.env.OPENAI_API_KEY,
+  model = process.env.OPENAI_MODEL || DEFAULT_OPENAI_MODEL,
+} = {}) => {
+  let openai = null;
+
+  return {
+    name: "openai",
+    model,
+    completeJSON: async ({ system, prompt, maxTokens = 4000 }) => {
+      // Created lazily so the server starts without an API key
+      if (!openai) {
+        openai = new OpenAI({ apiKey });
+      }
+
+      console.log(`Calling OpenAI API with ${model}...`);
+
+      const response = await openai.chat.completions.create({
+        model,
+        messages: [
+          { role: "system", content: system },
+          { role: "user", content: prompt },
+        ],
+        temperature: 1,
+        max_completion_tokens: maxTokens,
+        response_format: { type: "json_object" }, // Force JSON response
+      });
+
+      return parseJSONResponse(response.choices[0].message.content);
+    },
+  };
+};
+
+// First sentence of a passage that is long enough to make a statement
+const pickSentence = (text, offset = 0) => {
+  const sentences = String(text || "")
+    .split(/(?<=[.!?])\s+/)
+    .map((sentence) => sentence.replace(/\s+/g, " ").trim())
+    .filter((sentence) => sentence.length >= 20);
+  if (sentences.length === 0) return null;
+  return sentences[offset % sentences.length];
+};
+
+// Offline answers for the built-in tasks: quiz questions become true/false
+// statements taken from the source passages, essay suggestions scale with
+// the answer's length
+const defaultStubResponder = ({ task, context = {} }) => {
+  if (task === "quiz_questions") {
+    const passages =
+      context.passages && context.passages.length > 0
+        ? context.passages
+        : [{ id: null, text: context.content }];
+    const count = context.numberOfQuestions || 1;
+    const questions = [];
+
+    for (let i = 0; i < count; i++) {
+      const passage = passages[i % passages.length];
+      const sentence = pickSentence(
+        passage.text,
+        Math.floor(i / passages.length),
+      );
+      if (!sentence) continue;
+
+      questions.push({
+        text: `True or false: ${sentence}`,
+        type: "true_false",
+        options: [
+          { text: "True", isCorrect: true },
+          { text: "False", isCorrect: false },
+        ],
+        itemPoints: 1,
+        isRequired: true,
+        answer: "True",
+        ...(passage.id && { source: passage.id }),
+      });
+    }
+
+    return { questions };
+  }
+
+  if (task === "essay_rubric_suggestion") {
+    const words = String(context.answer || "")
+      .split(/\s+/)
+      .filter(Boolean).length;
+    const share = Math.min(1, words / STUB_FULL_CREDIT_WORDS);
+
+    return {
+      criteria: (context.rubric || []).map((criterion, index) => ({
+        number: index + 1,
+        points: Math.round(criterion.maxPoints * share * 2) / 2,
+        feedback: `Offline suggestion based on answer length (${words} words).`,
+      })),
+      feedback: "Offline suggestion; please review before accepting.",
+    };
+  }
+
+  return {};
+};
+
+const createStubClient = (responder = defaultStubResponder) => ({
+  name: "stub",
+  completeJSON: async (request) => responder(request),
+});
+
+// Client used by the AI features, chosen from AI_PROVIDER on first use
+const getAIClient = () => {
+  if (!activeClient) {
+    activeClient =
+      process.env.AI_PROVIDER === "stub"
+        ? createStubClient()
+        : createOpenAIClient();
+  }
+  return activeClient;
+};
+
+// Replace the active client (e.g. with createStubClient in tests);
+// pass null to go back to the AI_PROVIDER default
+const setAIClient = (client) => {
+  activeClient = client;
+};
+
+module.exports = {
+  getAIClient,
+  setAIClient,
+  createOpenAIClient,
+  createStubClient,
+  parseJSONResponse,
+};
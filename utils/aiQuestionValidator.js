@@ -0,0 +1,384 @@
+// utils/aiQuestionValidator.js
+// Checks AI-generated questions against the Quiz questionSchema rules,
+// repairs what can be fixed safely and reports what was changed. Questions
+// that can't be repaired are returned as invalid so only those are
+// re-prompted.
+const Quiz = require("../models/Quiz");
+const { getAnswerPatternError } = require("./quizGrading");
+
+const QUESTION_TYPES = [
+  "multiple_choice",
+  "true_false",
+  "multiple_answers",
+  "short_answer",
+  "essay",
+];
+const ANSWER_MATCHING_MODES = ["exact", "normalized", "numeric", "regex"];
+
+// Spellings models use for the question types
+const TYPE_ALIASES = {
+  multiplechoice: "multiple_choice",
+  mcq: "multiple_choice",
+  single_choice: "multiple_choice",
+  truefalse: "true_false",
+  true_or_false: "true_false",
+  boolean: "true_false",
+  multiple_select: "multiple_answers",
+  multiple_response: "multiple_answers",
+  multi_select: "multiple_answers",
+  checkbox: "multiple_answers",
+  short: "short_answer",
+  identification: "short_answer",
+  fill_in_the_blank: "short_answer",
+  fill_in_the_blanks: "short_answer",
+  open_ended: "essay",
+  long_answer: "essay",
+};
+
+const TRUE_WORDS = ["true", "yes", "t", "correct", "tama"];
+const FALSE_WORDS = ["false", "no", "f", "incorrect", "mali"];
+
+const DEFAULT_POINTS = { essay: 3 };
+
+const asText = (value) =>
+  typeof value === "string" || typeof value === "number"
+    ? String(value).trim()
+    : "";
+
+const isTruthy = (value) =>
+  value === true || (typeof value === "string" && value.trim() === "true");
+
+const normalizeType = (type) => {
+  const key = asText(type)
+    .toLowerCase()
+    .replace(/[\s/-]+/g, "_");
+  if (QUESTION_TYPES.includes(key)) return key;
+  return TYPE_ALIASES[key.replace(/_/g, "")] || TYPE_ALIASES[key] || null;
+};
+
+// The answer field as a list of strings, whatever shape the model used
+const answerList = (answer) =>
+  (Array.isArray(answer) ? answer : [answer])
+    .map((value) =>
+      typeof value === "boolean" ? String(value) : asText(value),
+    )
+    .filter(Boolean);
+
+// Resolve an answer ("B", "b)", or the option text) to an option index
+const findOptionIndex = (options, answer) => {
+  const byText = options.findIndex(
+    (option) => option.text.toLowerCase() === answer.toLowerCase(),
+  );
+  if (byText !== -1) return byText;
+
+  const letter = answer.match(/^([A-Za-z])[.)]?$/);
+  if (letter) {
+    const index = letter[1].toUpperCase().charCodeAt(0) - 65;
+    if (index < options.length) return index;
+  }
+  return -1;
+};
+
+// Clean option objects (or plain strings), dropping blanks and duplicates
+const cleanOptions = (rawOptions, warnings) => {
+  if (!Array.isArray(rawOptions)) return [];
+
+  const seen = new Set();
+  const options = [];
+  rawOptions.forEach((raw) => {
+    const option =
+      typeof raw === "string"
+        ? { text: raw.trim(), isCorrect: false }
+        : {
+            text: asText(raw && raw.text),
+            isCorrect: isTruthy(raw && raw.isCorrect),
+          };
+    const key = option.text.toLowerCase();
+
+    if (!option.text) {
+      warnings.push("Removed an empty option");
+    } else if (seen.has(key)) {
+      warnings.push(`Removed duplicate option "${option.text}"`);
+    } else {
+      seen.add(key);
+      options.push(option);
+    }
+  });
+  return options;
+};
+
+// Mark the options named by the answer field when none are marked
+const markFromAnswer = (options, answer, warnings) => {
+  const indexes = answerList(answer)
+    .map((value) => findOptionIndex(options, value))
+    .filter((index) => index !== -1);
+
+  if (indexes.length > 0) {
+    indexes.forEach((index) => {
+      options[index].isCorrect = true;
+    });
+    warnings.push("Marked the correct option(s) from the answer field");
+  }
+};
+
+const repairChoice = (question, raw, warnings, errors) => {
+  question.options = cleanOptions(raw.options, warnings);
+
+  if (question.options.length < 2) {
+    errors.push("Needs at least two options");
+    return;
+  }
+
+  if (!question.options.some((option) => option.isCorrect)) {
+    markFromAnswer(question.options, raw.answer, warnings);
+  }
+
+  let correct = question.options.filter((option) => option.isCorrect);
+
+  if (question.type === "multiple_choice" && correct.length > 1) {
+    // Trust the answer field when it names exactly one of the marked options
+    const answers = answerList(raw.answer)
+      .map((value) => findOptionIndex(question.options, value))
+      .filter((index) => index !== -1);
+    if (answers.length === 1) {
+      question.options.forEach((option, index) => {
+        option.isCorrect = index === answers[0];
+      });
+      warnings.push(
+        "Several options were marked correct; kept the one named in the answer field",
+      );
+    } else {
+      question.type = "multiple_answers";
+      warnings.push(
+        "Several options were marked correct; changed type to multiple_answers",
+      );
+    }
+    correct = question.options.filter((option) => option.isCorrect);
+  }
+
+  if (correct.length === 0) {
+    errors.push("No option is marked correct");
+    return;
+  }
+
+  question.answer =
+    question.type === "multiple_answers"
+      ? correct.map((option) => option.text)
+      : correct[0].text;
+};
+
+const repairTrueFalse = (question, raw, warnings, errors) => {
+  const options = cleanOptions(raw.options, warnings);
+  const isTrueWord = (text) => TRUE_WORDS.includes(text.toLowerCase());
+  const isFalseWord = (text) => FALSE_WORDS.includes(text.toLowerCase());
+
+  let answerIsTrue = null;
+  const marked = options.filter((option) => option.isCorrect);
+
+  if (marked.length === 1) {
+    if (isTrueWord(marked[0].text)) answerIsTrue = true;
+    if (isFalseWord(marked[0].text)) answerIsTrue = false;
+  }
+  if (answerIsTrue === null) {
+    const [answer] = answerList(raw.answer);
+    if (answer && isTrueWord(answer)) answerIsTrue = true;
+    if (answer && isFalseWord(answer)) answerIsTrue = false;
+  }
+
+  if (answerIsTrue === null) {
+    errors.push("Could not tell whether the statement is true or false");
+    return;
+  }
+
+  const isStandard =
+    options.length === 2 &&
+    options[0].text === "True" &&
+    options[1].text === "False";
+  if (!isStandard) {
+    warnings.push('Replaced the options with "True" and "False"');
+  }
+
+  question.options = [
+    { text: "True", isCorrect: answerIsTrue },
+    { text: "False", isCorrect: !answerIsTrue },
+  ];
+  question.answer = answerIsTrue ? "True" : "False";
+};
+
+const repairShortAnswer = (question, raw, warnings, errors) => {
+  let answers = Array.isArray(raw.correctAnswers)
+    ? raw.correctAnswers.map(asText).filter(Boolean)
+    : [];
+
+  if (answers.length === 0 && answerList(raw.answer).length > 0) {
+    answers = answerList(raw.answer);
+    warnings.push("Took the accepted answers from the answer field");
+  }
+
+  const unique = [...new Set(answers)];
+  if (unique.length < answers.length) {
+    warnings.push("Removed duplicate accepted answers");
+  }
+
+  if (unique.length === 0) {
+    errors.push("No accepted answers (correctAnswers) were provided");
+    return;
+  }
+
+  if (Array.isArray(raw.options) && raw.options.length > 0) {
+    warnings.push("Removed options, short answer questions don't use them");
+  }
+
+  question.correctAnswers = unique;
+  question.caseSensitive = isTruthy(raw.caseSensitive);
+  question.markOthersIncorrect = raw.markOthersIncorrect !== false;
+  question.answer = "";
+
+  if (raw.answerMatching !== undefined) {
+    if (ANSWER_MATCHING_MODES.includes(raw.answerMatching)) {
+      question.answerMatching = raw.answerMatching;
+    } else {
+      warnings.push(
+        `Ignored unknown answerMatching "${raw.answerMatching}", using exact`,
+      );
+    }
+  }
+
+  if (question.answerMatching === "numeric") {
+    if (unique.some((answer) => Number.isNaN(Number(answer)))) {
+      errors.push("Numeric questions need numeric accepted answers");
+    }
+    const tolerance = Number(raw.numericTolerance);
+    question.numericTolerance =
+      Number.isFinite(tolerance) && tolerance >= 0 ? tolerance : 0;
+  }
+
+  // A pattern that doesn't compile is never matched; slow ones are cut off by
+  // the grading timeout (see matchesAnswerPattern in quizGrading)
+  if (question.answerMatching === "regex") {
+    unique.forEach((pattern) => {
+      const patternError = getAnswerPatternError(pattern);
+      if (patternError) errors.push(patternError);
+    });
+  }
+};
+
+// Validate one generated question. Returns the repaired question (null when
+// it can't be repaired) with warnings for every change and the errors.
+const validateQuestion = (raw, { allowedTypes = QUESTION_TYPES } = {}) => {
+  const warnings = [];
+  const errors = [];
+
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    return { question: null, warnings, errors: ["Not a question object"] };
+  }
+
+  const text = asText(raw.text);
+  if (!text) errors.push("Question text is missing");
+
+  const type = normalizeType(raw.type);
+  if (!type) {
+    errors.push(`Unknown question type "${raw.type}"`);
+  } else if (type !== raw.type) {
+    warnings.push(`Changed type "${raw.type}" to ${type}`);
+  }
+
+  if (errors.length > 0) {
+    return { question: null, warnings, errors };
+  }
+
+  const question = {
+    text,
+    type,
+    options: [],
+    correctAnswers: [],
+    isRequired: raw.isRequired !== false,
+    answer: "",
+  };
+
+  if (type === "true_false") {
+    repairTrueFalse(question, raw, warnings, errors);
+  } else if (type === "short_answer") {
+    repairShortAnswer(question, raw, warnings, errors);
+  } else if (type === "essay") {
+    if (
+      (Array.isArray(raw.options) && raw.options.length > 0) ||
+      (Array.isArray(raw.correctAnswers) && raw.correctAnswers.length > 0)
+    ) {
+      warnings.push("Removed options/answers, essays are graded manually");
+    }
+  } else {
+    repairChoice(question, raw, warnings, errors);
+  }
+
+  // Type may have changed while repairing (multiple_choice -> multiple_answers)
+  const defaultPoints = DEFAULT_POINTS[question.type] || 1;
+  const points = Number(raw.itemPoints);
+  if (raw.itemPoints === undefined || raw.itemPoints === null) {
+    question.itemPoints = defaultPoints;
+    warnings.push(`itemPoints was missing, set to ${defaultPoints}`);
+  } else if (!Number.isFinite(points) || points <= 0) {
+    question.itemPoints = defaultPoints;
+    warnings.push(
+      `itemPoints "${raw.itemPoints}" is invalid, set to ${defaultPoints}`,
+    );
+  } else {
+    question.itemPoints = points;
+  }
+
+  if (!allowedTypes.includes(question.type)) {
+    warnings.push(`Type ${question.type} was not requested`);
+  }
+
+  if (errors.length > 0) {
+    return { question: null, warnings, errors };
+  }
+
+  // Final check with the schema itself (enums, mins, casts)
+  const doc = new Quiz({ questions: [question] });
+  const validationError = doc.validateSync(["questions"]);
+  if (validationError) {
+    return {
+      question: null,
+      warnings,
+      errors: Object.values(validationError.errors)
+        .filter((error) => error.path !== "questions")
+        .map((error) => error.message),
+    };
+  }
+
+  return { question, warnings, errors };
+};
+
+// Validate a batch, splitting it into valid (repaired) and invalid items.
+// index is the position in the input array.
+const validateQuestions = (rawQuestions, options) => {
+  const valid = [];
+  const invalid = [];
+
+  rawQuestions.forEach((raw, index) => {
+    const result = validateQuestion(raw, options);
+    if (result.question) {
+      valid.push({
+        index,
+        question: result.question,
+        warnings: result.warnings,
+      });
+    } else {
+      invalid.push({
+        index,
+        raw,
+        errors: result.errors,
+        warnings: result.warnings,
+      });
+    }
+  });
+
+  return { valid, invalid };
+};
+
+module.exports = {
+  QUESTION_TYPES,
+  validateQuestion,
+  validateQuestions,
+};
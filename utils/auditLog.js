@@ -0,0 +1,27 @@
+// utils/auditLog.js
+const AuditLog = require("../models/AuditLog");
+const { getClientIp } = require("./sessions");
+
+// Record an audit entry for a request. Never throws: a failed audit write is
+// logged but doesn't fail the request it describes.
+const recordAudit = async (
+  req,
+  action,
+  { actor, targetUser, details } = {}
+) => {
+  try {
+    return await AuditLog.create({
+      action,
+      actor: actor !== undefined ? actor : (req.user && req.user._id) || null,
+      targetUser: targetUser || null,
+      ip: getClientIp(req),
+      userAgent: (req.headers && req.headers["user-agent"]) || "",
+      details: details || {},
+    });
+  } catch (error) {
+    console.error(`Failed to write audit log (${action}):`, error.message);
+    return null;
+  }
+};
+
+module.exports = { recordAudit };
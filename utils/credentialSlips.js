@@ -0,0 +1,109 @@
+// utils/credentialSlips.js
+// One-time activation codes for accounts created in bulk. The code becomes
+// the account's initial password (hashed like any other password) and is only
+// shown once, in the creation response or as printable slips; on first login
+// the user has to replace it with a password of their own.
+const crypto = require("crypto");
+const escapeHtml = require("./escapeHtml");
+
+// No 0/O or 1/I/L so printed codes can't be misread
+const CODE_ALPHABET = "ABCDEFGHJKMNPQRSTUVWXYZ23456789";
+const ACTIVATION_CODE_EXPIRES_DAYS =
+  Number(process.env.ACTIVATION_CODE_EXPIRES_DAYS) || 14;
+
+// e.g. "K7QMX-4PAZ9"
+const generateActivationCode = () => {
+  let code = "";
+  for (let i = 0; i < 10; i++) {
+    code += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+  }
+  return `${code.slice(0, 5)}-${code.slice(5)}`;
+};
+
+// Set a fresh activation code on an (unsaved) user and return its credential
+const assignActivationCode = (user) => {
+  const activationCode = generateActivationCode();
+  user.password = activationCode;
+  user.mustChangePassword = true;
+  user.activationExpiresAt = new Date(
+    Date.now() + ACTIVATION_CODE_EXPIRES_DAYS * 24 * 60 * 60 * 1000
+  );
+
+  return {
+    _id: user._id,
+    userId: user.userId,
+    username: user.username,
+    name: [user.firstName, user.middleName, user.lastName]
+      .filter(Boolean)
+      .join(" "),
+    role: user.role,
+    activationCode,
+    expiresAt: user.activationExpiresAt,
+  };
+};
+
+// Printable page with one cut-out slip per credential
+const renderCredentialSlipsHtml = (credentials, failures = []) => {
+  const slips = credentials
+    .map(
+      (credential) => `
+  <div class="slip">
+    <h2>${escapeHtml(credential.name)}</h2>
+    <table>
+      <tr><td>Role:</td><td>${escapeHtml(credential.role)}</td></tr>
+      <tr><td>User ID:</td><td>${escapeHtml(credential.userId)}</td></tr>
+      <tr><td>Username:</td><td>${escapeHtml(credential.username)}</td></tr>
+      <tr><td>Activation code:</td><td class="code">${escapeHtml(
+        credential.activationCode
+      )}</td></tr>
+      <tr><td>Valid until:</td><td>${escapeHtml(
+        credential.expiresAt.toISOString().slice(0, 10)
+      )}</td></tr>
+    </table>
+    <p>Log in with your username or user ID and the activation code as the password. You will be asked to choose your own password right away.</p>
+  </div>`
+    )
+    .join("");
+
+  const failureList =
+    failures.length > 0
+      ? `
+  <div class="failures">
+    <h2>Not created (${failures.length})</h2>
+    <ul>${failures
+      .map(
+        (failure) =>
+          `<li>${escapeHtml(failure.userIdentifier)}: ${escapeHtml(
+            failure.messages.join(" ")
+          )}</li>`
+      )
+      .join("")}</ul>
+  </div>`
+      : "";
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8" />
+  <title>Account Credential Slips</title>
+  <style>
+    body { font-family: Arial, sans-serif; margin: 16px; }
+    .slip { border: 1px dashed #000; padding: 12px; margin-bottom: 12px; page-break-inside: avoid; }
+    .slip h2 { margin: 0 0 8px; font-size: 16px; }
+    .slip table td { padding: 2px 8px 2px 0; font-size: 13px; }
+    .slip p { font-size: 12px; margin: 8px 0 0; }
+    .code { font-family: monospace; font-size: 16px; font-weight: bold; letter-spacing: 2px; }
+    .failures { color: #a00; font-size: 12px; }
+    @media print { .failures { display: none; } }
+  </style>
+</head>
+<body>${slips}${failureList}
+</body>
+</html>`;
+};
+
+module.exports = {
+  generateActivationCode,
+  assignActivationCode,
+  renderCredentialSlipsHtml,
+};
@@ -0,0 +1,244 @@
+// utils/documentText.js
+// Text extraction for uploaded documents and course materials. Besides the
+// plain text of a file, materials can be split into page / slide segments so
+// AI-generated questions can cite where they came from.
+const mammoth = require("mammoth");
+const pdfParse = require("pdf-parse");
+const officeParser = require("officeparser");
+const JSZip = require("jszip");
+const fs = require("fs");
+const path = require("path");
+const os = require("os");
+
+// Characters per prompt chunk and per DOCX/TXT section
+const DEFAULT_CHUNK_CHARS = 12000;
+const SECTION_CHARS = 3000;
+
+const MIME_TYPES = {
+  pdf: "application/pdf",
+  doc: "application/msword",
+  docx: "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+  ppt: "application/vnd.ms-powerpoint",
+  pptx: "application/vnd.openxmlformats-officedocument.presentationml.presentation",
+  txt: "text/plain",
+  md: "text/plain",
+};
+
+// Helper function to extract text from an uploaded or downloaded file
+const extractTextFromBuffer = async (buffer, mimetype) => {
+  try {
+    if (mimetype === "application/pdf") {
+      const data = await pdfParse(buffer);
+      return data.text;
+    } else if (
+      mimetype ===
+        "application/vnd.openxmlformats-officedocument.wordprocessingml.document" ||
+      mimetype === "application/msword"
+    ) {
+      const result = await mammoth.extractRawText({ buffer });
+      return result.value;
+    } else if (
+      mimetype ===
+        "application/vnd.openxmlformats-officedocument.presentationml.presentation" ||
+      mimetype === "application/vnd.ms-powerpoint"
+    ) {
+      // officeparser requires a file path, so we need to write the buffer to a temp file
+      const tempFilePath = path.join(
+        os.tmpdir(),
+        `temp-${Date.now()}-${Math.random().toString(36).substring(7)}.pptx`,
+      );
+
+      try {
+        // Write buffer to temporary file
+        await fs.promises.writeFile(tempFilePath, buffer);
+
+        // Parse the file using officeparser
+        const data = await new Promise((resolve, reject) => {
+          officeParser.parseOffice(tempFilePath, (data, err) => {
+            if (err) {
+              reject(err);
+            } else {
+              resolve(data);
+            }
+          });
+        });
+
+        // Clean up temp file
+        await fs.promises.unlink(tempFilePath);
+
+        return data;
+      } catch (error) {
+        // Ensure temp file is cleaned up even if there's an error
+        try {
+          await fs.promises.unlink(tempFilePath);
+        } catch (unlinkError) {
+          console.error("Error deleting temp file:", unlinkError);
+        }
+        throw error;
+      }
+    } else if (mimetype === "text/plain") {
+      return buffer.toString("utf8");
+    }
+
+    throw new Error("Unsupported file type");
+  } catch (error) {
+    console.error("Error extracting text from buffer:", error);
+    throw new Error(`Failed to extract text from file: ${error.message}`);
+  }
+};
+
+const normalizeText = (text) =>
+  String(text || "")
+    .replace(/\r\n?/g, "\n")
+    .replace(/[ \t]+/g, " ")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+
+// Split text into pieces of at most maxChars, preferring paragraph breaks
+const splitText = (text, maxChars) => {
+  const pieces = [];
+  let current = "";
+
+  for (const paragraph of text.split(/\n\s*\n/)) {
+    // A single paragraph longer than the limit is cut hard
+    for (let start = 0; start < paragraph.length; start += maxChars) {
+      const part = paragraph.slice(start, start + maxChars);
+      if (current && current.length + part.length + 2 > maxChars) {
+        pieces.push(current);
+        current = "";
+      }
+      current = current ? `${current}\n\n${part}` : part;
+    }
+  }
+  if (current.trim()) pieces.push(current);
+
+  return pieces;
+};
+
+// pdf-parse renders pages in order, so each rendered page is one segment
+const extractPdfPages = async (buffer) => {
+  const pages = [];
+  await pdfParse(buffer, {
+    pagerender: (pageData) =>
+      pageData.getTextContent().then((content) => {
+        let lastY;
+        let text = "";
+        for (const item of content.items) {
+          text +=
+            lastY === undefined || lastY === item.transform[5] ? "" : "\n";
+          text += item.str;
+          lastY = item.transform[5];
+        }
+        pages.push(text);
+        return text;
+      }),
+  });
+  return pages;
+};
+
+const decodeXmlEntities = (text) =>
+  text
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, "&");
+
+// Text of each slide of a PPTX, read straight from the slide XML parts
+const extractPptxSlides = async (buffer) => {
+  const zip = await JSZip.loadAsync(buffer);
+  const slideFiles = Object.keys(zip.files)
+    .map((name) => name.match(/^ppt\/slides\/slide(\d+)\.xml$/))
+    .filter(Boolean)
+    .sort((a, b) => Number(a[1]) - Number(b[1]));
+
+  const slides = [];
+  for (const [name, number] of slideFiles) {
+    const xml = await zip.file(name).async("string");
+    const text = xml
+      .split(/<\/a:p>/)
+      .map((paragraph) =>
+        (paragraph.match(/<a:t>([^<]*)<\/a:t>/g) || [])
+          .map((run) => decodeXmlEntities(run.replace(/<\/?a:t>/g, "")))
+          .join(""),
+      )
+      .filter((line) => line.trim())
+      .join("\n");
+    slides.push({ number: Number(number), text });
+  }
+  return slides;
+};
+
+// Split a material into located segments:
+// [{ locationType: "page" | "slide" | "section", locationNumber, text }]
+const extractSegments = async (buffer, fileType) => {
+  const type = String(fileType || "").toLowerCase();
+  const mimetype = MIME_TYPES[type];
+
+  if (!mimetype) {
+    throw new Error(`Text extraction is not supported for .${type} files`);
+  }
+
+  if (type === "pdf") {
+    const pages = await extractPdfPages(buffer);
+    return pages.map((text, index) => ({
+      locationType: "page",
+      locationNumber: index + 1,
+      text: normalizeText(text),
+    }));
+  }
+
+  if (type === "pptx") {
+    const slides = await extractPptxSlides(buffer);
+    return slides.map((slide) => ({
+      locationType: "slide",
+      locationNumber: slide.number,
+      text: normalizeText(slide.text),
+    }));
+  }
+
+  // DOCX, legacy Office files and text have no reliable page breaks
+  const text = normalizeText(await extractTextFromBuffer(buffer, mimetype));
+  return splitText(text, SECTION_CHARS).map((section, index) => ({
+    locationType: "section",
+    locationNumber: index + 1,
+    text: section,
+  }));
+};
+
+// Group located passages into prompt-sized chunks without splitting a
+// passage's citation. Passages longer than maxChars become several passages
+// with the same location.
+const chunkPassages = (passages, maxChars = DEFAULT_CHUNK_CHARS) => {
+  const chunks = [];
+  let current = [];
+  let currentLength = 0;
+
+  passages
+    .filter((passage) => passage.text && passage.text.trim())
+    .flatMap((passage) =>
+      splitText(passage.text, maxChars).map((text) => ({ ...passage, text })),
+    )
+    .forEach((passage) => {
+      if (
+        current.length > 0 &&
+        currentLength + passage.text.length > maxChars
+      ) {
+        chunks.push(current);
+        current = [];
+        currentLength = 0;
+      }
+      current.push(passage);
+      currentLength += passage.text.length;
+    });
+
+  if (current.length > 0) chunks.push(current);
+  return chunks;
+};
+
+module.exports = {
+  MIME_TYPES,
+  extractTextFromBuffer,
+  extractSegments,
+  chunkPassages,
+};
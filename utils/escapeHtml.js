@@ -0,0 +1,12 @@
+// utils/escapeHtml.js
+// Escape a value for use in HTML text or a quoted attribute; null and
+// undefined become an empty string
+const escapeHtml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+module.exports = escapeHtml;
@@ -0,0 +1,115 @@
+// utils/essayGradingAssistant.js
+// AI suggestions for essay answers, one score and feedback per rubric
+// criterion. Suggestions are never saved here: the teacher accepts or edits
+// them and submits the result through gradeEssayQuestion.
+const { getAIClient } = require("./aiClient");
+
+const roundTo2 = (value) => Math.round(value * 100) / 100;
+
+// The rubric of an essay question, or a single criterion covering all of its
+// points when the teacher didn't define one
+const getEssayRubric = (question) =>
+  question.rubric && question.rubric.length > 0
+    ? question.rubric.map((criterion) => ({
+        criterionId: criterion._id.toString(),
+        title: criterion.title,
+        description: criterion.description || "",
+        maxPoints: criterion.maxPoints,
+      }))
+    : [
+        {
+          criterionId: null,
+          title: "Overall",
+          description: "Overall quality and relevance of the answer",
+          maxPoints: question.itemPoints,
+        },
+      ];
+
+// Suggest a score and feedback for one essay answer
+const suggestEssayGrade = async (question, answerText) => {
+  const rubric = getEssayRubric(question);
+  const text = String(answerText ?? "").trim();
+
+  // Nothing to grade: suggest zero without calling the AI
+  if (!text) {
+    return {
+      criteria: rubric.map((criterion) => ({
+        ...criterion,
+        suggestedPoints: 0,
+        feedback: "No answer was given.",
+      })),
+      suggestedPoints: 0,
+      feedback: "No answer was given.",
+    };
+  }
+
+  const prompt = `
+Grade the student's answer to an essay question using the rubric below. Be fair and specific.
+
+Question:
+${question.text}
+
+Rubric:
+${rubric
+  .map(
+    (criterion, index) =>
+      `${index + 1}. ${criterion.title} (max ${criterion.maxPoints} points)${
+        criterion.description ? ` - ${criterion.description}` : ""
+      }`,
+  )
+  .join("\n")}
+
+Student answer:
+${text}
+
+Respond with a JSON object:
+{
+  "criteria": [
+    { "number": 1, "points": 0, "feedback": "One or two sentences for the student" }
+  ],
+  "feedback": "Short overall feedback for the student"
+}
+Give one entry per rubric criterion, in order. Points may use halves and must not exceed the criterion's max.
+`;
+
+  const response = await getAIClient().completeJSON({
+    system:
+      "You are an experienced teacher grading essay answers against a rubric. You must respond with ONLY a valid JSON object.",
+    prompt,
+    maxTokens: 1500,
+    task: "essay_rubric_suggestion",
+    context: { question: question.text, rubric, answer: text },
+  });
+
+  const suggested = Array.isArray(response.criteria) ? response.criteria : [];
+
+  // Clamp every criterion to its range; missing ones are suggested as 0
+  const criteria = rubric.map((criterion, index) => {
+    const match =
+      suggested.find((entry) => Number(entry.number) === index + 1) ||
+      suggested[index] ||
+      {};
+    const points = Number(match.points);
+    return {
+      ...criterion,
+      suggestedPoints: Number.isFinite(points)
+        ? roundTo2(Math.min(criterion.maxPoints, Math.max(0, points)))
+        : 0,
+      feedback: typeof match.feedback === "string" ? match.feedback.trim() : "",
+    };
+  });
+
+  return {
+    criteria,
+    suggestedPoints: roundTo2(
+      criteria.reduce((sum, criterion) => sum + criterion.suggestedPoints, 0),
+    ),
+    feedback:
+      typeof response.feedback === "string" ? response.feedback.trim() : "",
+  };
+};
+
+module.exports = {
+  getEssayRubric,
+  suggestEssayGrade,
+};
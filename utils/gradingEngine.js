@@ -0,0 +1,326 @@
+// utils/gradingEngine.js
+const Activity = require("../models/Activity");
+const Quiz = require("../models/Quiz");
+const Grade = require("../models/Grade");
+
+const QUARTERS = [
+  "First Quarter",
+  "Second Quarter",
+  "3rd Quarter",
+  "4th Quarter",
+];
+
+const GRADING_COMPONENTS = [
+  "written_work",
+  "performance_task",
+  "quarterly_assessment",
+];
+
+// Maps a grading component to its key in Subject.gradingWeights
+const COMPONENT_WEIGHT_KEYS = {
+  written_work: "writtenWork",
+  performance_task: "performanceTask",
+  quarterly_assessment: "quarterlyAssessment",
+};
+
+// DepEd default for Languages, AP and EsP (DO 8, s. 2015)
+const DEFAULT_GRADING_WEIGHTS = {
+  writtenWork: 30,
+  performanceTask: 50,
+  quarterlyAssessment: 20,
+};
+
+// DepEd transmutation table: [lowest initial grade, transmuted grade]
+const TRANSMUTATION_TABLE = [
+  [100, 100],
+  [98.4, 99],
+  [96.8, 98],
+  [95.2, 97],
+  [93.6, 96],
+  [92.0, 95],
+  [90.4, 94],
+  [88.8, 93],
+  [87.2, 92],
+  [85.6, 91],
+  [84.0, 90],
+  [82.4, 89],
+  [80.8, 88],
+  [79.2, 87],
+  [77.6, 86],
+  [76.0, 85],
+  [74.4, 84],
+  [72.8, 83],
+  [71.2, 82],
+  [69.6, 81],
+  [68.0, 80],
+  [66.4, 79],
+  [64.8, 78],
+  [63.2, 77],
+  [61.6, 76],
+  [60.0, 75],
+  [56.0, 74],
+  [52.0, 73],
+  [48.0, 72],
+  [44.0, 71],
+  [40.0, 70],
+  [36.0, 69],
+  [32.0, 68],
+  [28.0, 67],
+  [24.0, 66],
+  [20.0, 65],
+  [16.0, 64],
+  [12.0, 63],
+  [8.0, 62],
+  [4.0, 61],
+  [0, 60],
+];
+
+const PASSING_GRADE = 75;
+
+const roundTo2 = (value) => Math.round(value * 100) / 100;
+
+// Convert an initial grade (0-100) into its DepEd transmuted grade
+const transmuteGrade = (initialGrade) => {
+  const grade = roundTo2(Math.max(0, Math.min(100, initialGrade)));
+  const row = TRANSMUTATION_TABLE.find(([lowest]) => grade >= lowest);
+  return row ? row[1] : 60;
+};
+
+// Activities default to performance tasks and quizzes to written work
+// unless the teacher classified the item explicitly
+const classifyItem = (item, kind) => {
+  if (
+    item.gradingComponent &&
+    GRADING_COMPONENTS.includes(item.gradingComponent)
+  ) {
+    return item.gradingComponent;
+  }
+  return kind === "quiz" ? "written_work" : "performance_task";
+};
+
+const resolveGradingWeights = (subject) => {
+  const weights = (subject && subject.gradingWeights) || {};
+  return {
+    writtenWork: weights.writtenWork ?? DEFAULT_GRADING_WEIGHTS.writtenWork,
+    performanceTask:
+      weights.performanceTask ?? DEFAULT_GRADING_WEIGHTS.performanceTask,
+    quarterlyAssessment:
+      weights.quarterlyAssessment ??
+      DEFAULT_GRADING_WEIGHTS.quarterlyAssessment,
+  };
+};
+
+// Returns an error message if the weights are invalid, otherwise null
+const validateGradingWeights = (weights) => {
+  if (!weights || typeof weights !== "object") {
+    return "Grading weights must be an object";
+  }
+
+  const keys = Object.values(COMPONENT_WEIGHT_KEYS);
+  for (const key of keys) {
+    // Numbers or numeric strings only: Number() would also take null, "",
+    // true and false
+    const raw = weights[key];
+    const isNumeric =
+      typeof raw === "number" ||
+      (typeof raw === "string" && /^\d+(\.\d+)?$/.test(raw));
+    const value = Number(raw);
+    if (!isNumeric || isNaN(value) || value < 0 || value > 100) {
+      return `Grading weight '${key}' must be a number between 0 and 100`;
+    }
+  }
+
+  const total = keys.reduce((sum, key) => sum + Number(weights[key]), 0);
+  if (Math.abs(total - 100) > 0.001) {
+    return `Grading weights must add up to 100 (currently ${total})`;
+  }
+
+  return null;
+};
+
+// Compute one quarterly grade from a list of { component, earned, possible }.
+// Components without any graded item are left out and the remaining weights
+// are scaled up, so a partial quarter still yields a usable grade.
+const computeQuarterGrade = (items, weights) => {
+  const components = {};
+  let weightedTotal = 0;
+  let appliedWeight = 0;
+
+  for (const component of GRADING_COMPONENTS) {
+    const weight = weights[COMPONENT_WEIGHT_KEYS[component]];
+    const componentItems = items.filter((item) => item.component === component);
+    const earned = componentItems.reduce((sum, item) => sum + item.earned, 0);
+    const possible = componentItems.reduce(
+      (sum, item) => sum + item.possible,
+      0,
+    );
+
+    let percentageScore = null;
+    let weightedScore = null;
+    if (possible > 0) {
+      percentageScore = roundTo2(Math.min(100, (earned / possible) * 100));
+      weightedScore = roundTo2((percentageScore * weight) / 100);
+      weightedTotal += weightedScore;
+      appliedWeight += weight;
+    }
+
+    components[component] = {
+      itemCount: componentItems.length,
+      earned: roundTo2(earned),
+      possible,
+      percentageScore,
+      weight,
+      weightedScore,
+    };
+  }
+
+  if (appliedWeight === 0) {
+    return {
+      components,
+      initialGrade: null,
+      quarterlyGrade: null,
+      isComplete: false,
+    };
+  }
+
+  const initialGrade = roundTo2((weightedTotal * 100) / appliedWeight);
+
+  return {
+    components,
+    initialGrade,
+    quarterlyGrade: transmuteGrade(initialGrade),
+    isComplete: appliedWeight === 100,
+  };
+};
+
+// Final grade is the rounded average of the four quarterly grades
+const computeFinalGrade = (quarterlyGrades) => {
+  const grades = quarterlyGrades.filter(
+    (grade) => grade !== null && grade !== undefined,
+  );
+  if (grades.length !== QUARTERS.length) return null;
+  return Math.round(
+    grades.reduce((sum, grade) => sum + grade, 0) / grades.length,
+  );
+};
+
+// Load every graded item of a subject grouped by student and quarter
+const loadGradeItems = async (subjectId, studentIds, quarters) => {
+  const studentKeys = studentIds.map((id) => id.toString());
+  const itemsByStudent = new Map(
+    studentKeys.map((id) => [
+      id,
+      new Map(quarters.map((quarter) => [quarter, []])),
+    ]),
+  );
+
+  const pushItem = (studentId, quarter, item) => {
+    const quarterMap = itemsByStudent.get(studentId.toString());
+    if (quarterMap && quarterMap.has(quarter)) {
+      quarterMap.get(quarter).push(item);
+    }
+  };
+
+  const activities = await Activity.find({
+    subject: subjectId,
+    quarter: { $in: quarters },
+  })
+    .select("title quarter points gradingComponent")
+    .lean();
+  const activityMap = new Map(activities.map((a) => [a._id.toString(), a]));
+
+  const quizzes = await Quiz.find({
+    subject: subjectId,
+    quarter: { $in: quarters },
+  })
+    .select("title quarter quizPoints gradingComponent")
+    .lean();
+  const quizMap = new Map(quizzes.map((q) => [q._id.toString(), q]));
+
+  // Activity and quiz results both live in the Grade ledger
+  const grades = await Grade.find({
+    subject: subjectId,
+    student: { $in: studentIds },
+    $or: [
+      { activity: { $in: activities.map((a) => a._id) } },
+      { quiz: { $in: quizzes.map((q) => q._id) } },
+    ],
+  }).lean();
+
+  for (const grade of grades) {
+    if (grade.sourceType === "Quiz") {
+      const quiz = quizMap.get(grade.quiz.toString());
+      if (!quiz || !quiz.quizPoints || quiz.quizPoints <= 0) continue;
+
+      pushItem(grade.student, quiz.quarter, {
+        kind: "quiz",
+        itemId: quiz._id,
+        title: quiz.title,
+        component: classifyItem(quiz, "quiz"),
+        earned: grade.score + (grade.bonusPoints || 0),
+        possible: quiz.quizPoints,
+      });
+      continue;
+    }
+
+    const activity = activityMap.get(grade.activity.toString());
+    if (!activity || !activity.points || activity.points <= 0) continue;
+
+    pushItem(grade.student, activity.quarter, {
+      kind: "activity",
+      itemId: activity._id,
+      title: activity.title,
+      component: classifyItem(activity, "activity"),
+      earned: grade.score + (grade.bonusPoints || 0),
+      possible: activity.points,
+    });
+  }
+
+  return itemsByStudent;
+};
+
+// Compute quarterly (and final) grades of the given students in a subject
+const computeSubjectQuarterGrades = async (
+  subject,
+  studentIds,
+  options = {},
+) => {
+  const quarters = options.quarter ? [options.quarter] : QUARTERS;
+  const weights = resolveGradingWeights(subject);
+  const itemsByStudent = await loadGradeItems(
+    subject._id,
+    studentIds,
+    quarters,
+  );
+
+  const results = new Map();
+  for (const [studentId, quarterMap] of itemsByStudent) {
+    const quarterResults = quarters.map((quarter) => ({
+      quarter,
+      ...computeQuarterGrade(quarterMap.get(quarter), weights),
+    }));
+
+    results.set(studentId, {
+      quarters: quarterResults,
+      finalGrade: options.quarter
+        ? null
+        : computeFinalGrade(quarterResults.map((q) => q.quarterlyGrade)),
+    });
+  }
+
+  return { weights, results };
+};
+
+module.exports = {
+  QUARTERS,
+  GRADING_COMPONENTS,
+  DEFAULT_GRADING_WEIGHTS,
+  PASSING_GRADE,
+  transmuteGrade,
+  classifyItem,
+  resolveGradingWeights,
+  validateGradingWeights,
+  computeQuarterGrade,
+  computeFinalGrade,
+  computeSubjectQuarterGrades,
+};
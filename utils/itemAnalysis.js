@@ -0,0 +1,211 @@
+// utils/itemAnalysis.js
+const ExcelJS = require("exceljs");
+
+// Share of respondents in each of the upper and lower groups
+const GROUP_FRACTION = 0.27;
+const COMMON_WRONG_ANSWERS_LIMIT = 5;
+const CHOICE_TYPES = ["multiple_choice", "true_false", "multiple_answers"];
+
+const roundTo2 = (value) => Math.round(value * 100) / 100;
+
+// One graded submission per student. The first attempt is used because later
+// attempts are influenced by having seen the quiz already.
+const getFirstAttempts = (quiz) => {
+  const firstAttempts = new Map();
+  quiz.quizSubmissions
+    .filter((sub) => sub.status === "graded")
+    .forEach((sub) => {
+      const studentId = (sub.student._id || sub.student).toString();
+      const current = firstAttempts.get(studentId);
+      if (!current || (sub.attemptNumber || 1) < (current.attemptNumber || 1)) {
+        firstAttempts.set(studentId, sub);
+      }
+    });
+  return Array.from(firstAttempts.values());
+};
+
+// Fraction (0-1) of the item's points a submission earned on a question
+const getItemScore = (submission, question) => {
+  const answer = submission.submittedAnswers.find(
+    (a) => a.questionId.toString() === question._id.toString(),
+  );
+  if (!answer) return 0;
+  return Math.min(1, (answer.pointsEarned || 0) / (question.itemPoints || 1));
+};
+
+const average = (values) =>
+  values.length > 0
+    ? values.reduce((sum, value) => sum + value, 0) / values.length
+    : 0;
+
+// Per-question item analysis of a quiz's graded submissions
+const buildItemAnalysis = (quiz) => {
+  const submissions = getFirstAttempts(quiz).sort(
+    (a, b) => (b.quizScore || 0) - (a.quizScore || 0),
+  );
+  const respondents = submissions.length;
+  const groupSize =
+    respondents >= 2
+      ? Math.min(
+          Math.floor(respondents / 2),
+          Math.max(1, Math.round(respondents * GROUP_FRACTION)),
+        )
+      : 0;
+  const upperGroup = submissions.slice(0, groupSize);
+  const lowerGroup = submissions.slice(respondents - groupSize);
+
+  const questions = quiz.questions.map((question, index) => {
+    const answers = submissions
+      .map((sub) =>
+        sub.submittedAnswers.find(
+          (a) => a.questionId.toString() === question._id.toString(),
+        ),
+      )
+      .filter(Boolean);
+
+    const fullyCorrect = answers.filter(
+      (a) => a.isCorrect && !a.partiallyCorrect,
+    ).length;
+
+    const item = {
+      number: index + 1,
+      questionId: question._id,
+      text: question.text,
+      type: question.type,
+      itemPoints: question.itemPoints,
+      answered: answers.length,
+      omitted: respondents - answers.length,
+      percentCorrect:
+        respondents > 0 ? roundTo2((fullyCorrect / respondents) * 100) : 0,
+      // Proportion of the item's points earned (p-value); higher is easier
+      difficultyIndex:
+        respondents > 0
+          ? roundTo2(
+              average(submissions.map((sub) => getItemScore(sub, question))),
+            )
+          : null,
+      // Upper group minus lower group item score; null with too few respondents
+      discriminationIndex:
+        groupSize > 0
+          ? roundTo2(
+              average(upperGroup.map((sub) => getItemScore(sub, question))) -
+                average(lowerGroup.map((sub) => getItemScore(sub, question))),
+            )
+          : null,
+      distractors: [],
+      commonWrongAnswers: [],
+    };
+
+    if (CHOICE_TYPES.includes(question.type)) {
+      item.distractors = question.options.map((option) => {
+        const count = answers.filter((a) =>
+          Array.isArray(a.answer)
+            ? a.answer.includes(option.text)
+            : a.answer === option.text,
+        ).length;
+        return {
+          option: option.text,
+          isCorrect: option.isCorrect,
+          count,
+          percent:
+            answers.length > 0 ? roundTo2((count / answers.length) * 100) : 0,
+        };
+      });
+    }
+
+    if (question.type === "short_answer") {
+      const wrongAnswers = new Map();
+      answers
+        .filter((a) => !a.isCorrect)
+        .forEach((a) => {
+          const text = String(a.answer ?? "").trim();
+          if (!text) return;
+          const key = text.toLowerCase();
+          const entry = wrongAnswers.get(key) || { answer: text, count: 0 };
+          entry.count += 1;
+          wrongAnswers.set(key, entry);
+        });
+      item.commonWrongAnswers = Array.from(wrongAnswers.values())
+        .sort((a, b) => b.count - a.count)
+        .slice(0, COMMON_WRONG_ANSWERS_LIMIT);
+    }
+
+    return item;
+  });
+
+  return {
+    quizId: quiz._id,
+    title: quiz.title,
+    respondents,
+    groupSize,
+    questions,
+  };
+};
+
+// Build an item analysis workbook: a summary sheet plus distractor and
+// wrong answer details
+const renderItemAnalysisWorkbook = (analysis) => {
+  const workbook = new ExcelJS.Workbook();
+  workbook.created = new Date();
+
+  const summary = workbook.addWorksheet("Item Analysis");
+  summary.columns = [
+    { header: "#", key: "number", width: 6 },
+    { header: "Question", key: "text", width: 50 },
+    { header: "Type", key: "type", width: 18 },
+    { header: "Points", key: "itemPoints", width: 8 },
+    { header: "Answered", key: "answered", width: 10 },
+    { header: "% Correct", key: "percentCorrect", width: 11 },
+    { header: "Difficulty Index", key: "difficultyIndex", width: 16 },
+    { header: "Discrimination Index", key: "discriminationIndex", width: 20 },
+  ];
+  summary.getRow(1).font = { bold: true };
+  analysis.questions.forEach((item) => {
+    summary.addRow({
+      ...item,
+      difficultyIndex: item.difficultyIndex ?? "",
+      discriminationIndex: item.discriminationIndex ?? "",
+    });
+  });
+  summary.addRow([]);
+  summary.addRow(["", `Respondents: ${analysis.respondents}`]);
+  summary.addRow(["", `Upper / lower group size (27%): ${analysis.groupSize}`]);
+
+  const details = workbook.addWorksheet("Responses");
+  details.columns = [
+    { header: "#", key: "number", width: 6 },
+    { header: "Response", key: "response", width: 50 },
+    { header: "Correct", key: "isCorrect", width: 10 },
+    { header: "Count", key: "count", width: 8 },
+    { header: "% of Answers", key: "percent", width: 13 },
+  ];
+  details.getRow(1).font = { bold: true };
+  analysis.questions.forEach((item) => {
+    item.distractors.forEach((distractor) => {
+      details.addRow({
+        number: item.number,
+        response: distractor.option,
+        isCorrect: distractor.isCorrect ? "Yes" : "No",
+        count: distractor.count,
+        percent: distractor.percent,
+      });
+    });
+    item.commonWrongAnswers.forEach((wrong) => {
+      details.addRow({
+        number: item.number,
+        response: wrong.answer,
+        isCorrect: "No",
+        count: wrong.count,
+        percent:
+          item.answered > 0 ? roundTo2((wrong.count / item.answered) * 100) : 0,
+      });
+    });
+  });
+
+  return workbook;
+};
+
+module.exports = {
+  buildItemAnalysis,
+  renderItemAnalysisWorkbook,
+};
@@ -0,0 +1,110 @@
+// utils/latePolicy.js
+// Late submission rules of an activity: a grace window after the deadline,
+// a percent deduction per day late (capped at maxPenalty) and an optional
+// hard cutoff after which nothing can be turned in.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+
+const roundTo2 = (value) => Math.round(value * 100) / 100;
+
+// Policy of an activity with defaults for activities created before policies
+const resolveLatePolicy = (activity) => {
+  const policy = (activity && activity.latePolicy) || {};
+  return {
+    graceMinutes: policy.graceMinutes || 0,
+    deductionPerDay: policy.deductionPerDay || 0,
+    maxPenalty: policy.maxPenalty ?? 100,
+    cutoffDate: policy.cutoffDate || null,
+  };
+};
+
+// Whether a submission made at `at` is still accepted. deadline can be
+// overridden (e.g. for a student with an extension).
+const checkSubmissionWindow = (
+  activity,
+  at = new Date(),
+  deadline = activity.deadline,
+) => {
+  const policy = resolveLatePolicy(activity);
+  const graceEndsAt = new Date(
+    new Date(deadline).getTime() + policy.graceMinutes * MINUTE_MS,
+  );
+
+  // The cutoff never closes a window that is still open (e.g. an extension
+  // past the cutoff date)
+  const cutoffDate = policy.cutoffDate
+    ? new Date(Math.max(new Date(policy.cutoffDate), graceEndsAt))
+    : null;
+
+  if (cutoffDate && at > cutoffDate) {
+    return {
+      open: false,
+      message: "The cutoff date for this activity has passed",
+    };
+  }
+
+  if (at > graceEndsAt && !activity.allowLateSubmissions) {
+    return {
+      open: false,
+      message: "Late submissions are not allowed for this activity",
+    };
+  }
+
+  return { open: true };
+};
+
+// Late flag and whole days late (counted from the deadline, so the first day
+// after the grace window is already day 1)
+const getLateStatus = (activity, submittedAt, deadline = activity.deadline) => {
+  const policy = resolveLatePolicy(activity);
+  const lateBy = new Date(submittedAt) - new Date(deadline);
+
+  if (lateBy <= policy.graceMinutes * MINUTE_MS) {
+    return { isLate: false, daysLate: 0 };
+  }
+
+  return { isLate: true, daysLate: Math.ceil(lateBy / DAY_MS) };
+};
+
+// Deduction for a score: { daysLate, percent, points }
+const computeLatePenalty = (activity, daysLate, score) => {
+  const policy = resolveLatePolicy(activity);
+  const percent = Math.min(
+    policy.maxPenalty,
+    roundTo2(policy.deductionPerDay * daysLate),
+  );
+
+  return {
+    daysLate,
+    percent,
+    points: roundTo2((score * percent) / 100),
+  };
+};
+
+// Read a latePolicy sent as an object or as JSON (multipart forms). Returns
+// undefined when nothing was sent.
+const parseLatePolicyInput = (input) => {
+  if (input === undefined || input === null || input === "") return undefined;
+
+  const policy = typeof input === "string" ? JSON.parse(input) : input;
+  const toNumber = (value, fallback) =>
+    value === undefined || value === null || value === ""
+      ? fallback
+      : Number(value);
+
+  return {
+    graceMinutes: toNumber(policy.graceMinutes, 0),
+    deductionPerDay: toNumber(policy.deductionPerDay, 0),
+    maxPenalty: toNumber(policy.maxPenalty, 100),
+    cutoffDate: policy.cutoffDate ? new Date(policy.cutoffDate) : null,
+  };
+};
+
+module.exports = {
+  resolveLatePolicy,
+  checkSubmissionWindow,
+  getLateStatus,
+  computeLatePenalty,
+  parseLatePolicyInput,
+};
@@ -0,0 +1,342 @@
+// utils/loginThrottle.js
+// Brute-force protection for login. Failed attempts are counted per account
+// and per IP address: after a few free attempts every further try has to wait
+// a growing delay, and too many failures lock the account (or IP) for a while.
+// Counters live in a pluggable store: in memory for a single node, or in
+// MongoDB (LOGIN_THROTTLE_STORE=mongo) when several nodes serve logins.
+//
+// Every attempt is reserved on its counters before the credentials are
+// checked: the reservation counts as a failure and is refused while the
+// counter is delayed or locked, all in one atomic step. A burst of concurrent
+// attempts therefore can't slip past the delay or the lockout together.
+const crypto = require("crypto");
+const LoginAttempt = require("../models/LoginAttempt");
+
+const POLICIES = {
+  account: {
+    freeAttempts: 3,
+    maxFailures: Number(process.env.LOGIN_MAX_FAILURES) || 10,
+    lockoutMinutes: Number(process.env.LOGIN_LOCKOUT_MINUTES) || 15,
+  },
+  ip: {
+    freeAttempts: 10,
+    maxFailures: Number(process.env.LOGIN_IP_MAX_FAILURES) || 50,
+    lockoutMinutes: Number(process.env.LOGIN_LOCKOUT_MINUTES) || 15,
+  },
+};
+// Failures older than this are forgotten
+const FAILURE_WINDOW_MS = 15 * 60 * 1000;
+const MAX_DELAY_MS = 30 * 1000;
+// Most counters the memory store keeps; beyond that the least recently
+// failed ones are dropped
+const MEMORY_STORE_MAX_SIZE = 10000;
+
+let activeStore = null;
+
+// Whether a counter starts over with the next failure
+const isStale = (record, now) =>
+  !record ||
+  !record.lastFailureAt ||
+  record.lastFailureAt <= new Date(now.getTime() - FAILURE_WINDOW_MS) ||
+  (record.lockedUntil && record.lockedUntil <= now);
+
+// Delay before the next attempt after a number of failures
+const getDelayMs = (failures, policy) =>
+  failures <= policy.freeAttempts
+    ? 0
+    : Math.min(1000 * 2 ** (failures - policy.freeAttempts - 1), MAX_DELAY_MS);
+
+// Until when a counter refuses new attempts; null when it doesn't
+const getBlockedUntil = (record, now) => {
+  if (!record) return null;
+  const blockedUntil =
+    record.lockedUntil && record.lockedUntil > now
+      ? record.lockedUntil
+      : record.nextAttemptAt;
+  return blockedUntil && blockedUntil > now ? blockedUntil : null;
+};
+
+// Delay / lockout fields of a counter that just reached a number of failures
+const getLimits = (failures, policy, now) => {
+  if (failures >= policy.maxFailures) {
+    const lockedUntil = new Date(
+      now.getTime() + policy.lockoutMinutes * 60 * 1000
+    );
+    return { nextAttemptAt: null, lockedUntil, expiresAt: lockedUntil };
+  }
+  const delayMs = getDelayMs(failures, policy);
+  return {
+    nextAttemptAt: delayMs > 0 ? new Date(now.getTime() + delayMs) : null,
+    lockedUntil: null,
+    expiresAt: new Date(now.getTime() + FAILURE_WINDOW_MS),
+  };
+};
+
+const createMemoryStore = () => {
+  // Ordered by last failure: a failing key is moved to the end
+  const records = new Map();
+
+  // Drop expired counters, then the oldest ones until a new one fits
+  const makeRoom = (now) => {
+    for (const [key, record] of records) {
+      if (record.expiresAt <= now) records.delete(key);
+    }
+    for (const key of records.keys()) {
+      if (records.size < MEMORY_STORE_MAX_SIZE) break;
+      records.delete(key);
+    }
+  };
+
+  return {
+    name: "memory",
+    get: async (key) => records.get(key) || null,
+    // Synchronous from check to write, so concurrent requests can't interleave
+    reserve: async (key, { scope, user, identifier, now }) => {
+      const current = records.get(key);
+      if (getBlockedUntil(current, now)) {
+        return { record: { ...current }, reserved: false };
+      }
+      records.delete(key);
+      if (records.size >= MEMORY_STORE_MAX_SIZE) makeRoom(now);
+
+      const failures = isStale(current, now) ? 1 : current.failures + 1;
+      const record = {
+        key,
+        scope,
+        user: user || null,
+        identifier,
+        failures,
+        lastFailureAt: now,
+        ...getLimits(failures, POLICIES[scope], now),
+      };
+      records.set(key, record);
+      return { record: { ...record }, reserved: true };
+    },
+    release: async (key) => {
+      const record = records.get(key);
+      if (record && record.failures > 0) record.failures -= 1;
+    },
+    remove: async (key) => records.delete(key),
+    listLocked: async (now) =>
+      [...records.values()]
+        .filter((record) => record.lockedUntil && record.lockedUntil > now)
+        .map((record) => ({ ...record })),
+  };
+};
+
+const createMongoStore = (Model = LoginAttempt) => ({
+  name: "mongo",
+  get: (key) => Model.findOne({ key }).lean(),
+  // One pipeline update checks the delay / lockout and counts the attempt, so
+  // concurrent attempts on different nodes can't all pass. A refused attempt
+  // leaves the counter as it was; the reservation token tells the two apart.
+  reserve: async (key, { scope, user, identifier, now }) => {
+    const policy = POLICIES[scope];
+    const token = crypto.randomBytes(12).toString("hex");
+    const windowStart = new Date(now.getTime() - FAILURE_WINDOW_MS);
+    const lockedUntil = new Date(
+      now.getTime() + policy.lockoutMinutes * 60 * 1000
+    );
+    const stale = {
+      $or: [
+        { $lte: [{ $ifNull: ["$lastFailureAt", new Date(0)] }, windowStart] },
+        {
+          $and: [
+            { $ne: [{ $ifNull: ["$lockedUntil", null] }, null] },
+            { $lte: ["$lockedUntil", now] },
+          ],
+        },
+      ],
+    };
+
+    const blocked = {
+      $or: [
+        { $gt: [{ $ifNull: ["$lockedUntil", null] }, now] },
+        { $gt: [{ $ifNull: ["$nextAttemptAt", null] }, now] },
+      ],
+    };
+    // Keep the current value when the attempt is refused
+    const unlessBlocked = (field, value) => ({
+      $cond: ["$_blocked", `$${field}`, value],
+    });
+    const locking = { $gte: ["$failures", policy.maxFailures] };
+    const delayMs = {
+      $cond: [
+        { $lte: ["$failures", policy.freeAttempts] },
+        0,
+        {
+          $min: [
+            {
+              $multiply: [
+                1000,
+                {
+                  $pow: [
+                    2,
+                    { $subtract: ["$failures", policy.freeAttempts + 1] },
+                  ],
+                },
+              ],
+            },
+            MAX_DELAY_MS,
+          ],
+        },
+      ],
+    };
+
+    const record = await Model.findOneAndUpdate(
+      { key },
+      [
+        { $set: { _blocked: blocked, _stale: stale } },
+        {
+          $set: {
+            failures: unlessBlocked("failures", {
+              $cond: [
+                "$_stale",
+                1,
+                { $add: [{ $ifNull: ["$failures", 0] }, 1] },
+              ],
+            }),
+          },
+        },
+        {
+          $set: {
+            scope,
+            user: unlessBlocked("user", user || null),
+            // $literal: user input starting with "$" is not a field path
+            identifier: unlessBlocked("identifier", { $literal: identifier }),
+            lastFailureAt: unlessBlocked("lastFailureAt", now),
+            lockedUntil: unlessBlocked("lockedUntil", {
+              $cond: [locking, lockedUntil, null],
+            }),
+            nextAttemptAt: unlessBlocked("nextAttemptAt", {
+              $cond: [
+                { $or: [locking, { $eq: [delayMs, 0] }] },
+                null,
+                { $add: [now, delayMs] },
+              ],
+            }),
+            expiresAt: unlessBlocked("expiresAt", {
+              $cond: [
+                locking,
+                lockedUntil,
+                new Date(now.getTime() + FAILURE_WINDOW_MS),
+              ],
+            }),
+            reservation: unlessBlocked("reservation", token),
+          },
+        },
+        { $unset: ["_blocked", "_stale"] },
+      ],
+      { upsert: true, new: true, lean: true }
+    );
+    return { record, reserved: record.reservation === token };
+  },
+  release: (key) =>
+    Model.updateOne({ key, failures: { $gt: 0 } }, { $inc: { failures: -1 } }),
+  remove: async (key) => {
+    const result = await Model.deleteOne({ key });
+    return result.deletedCount > 0;
+  },
+  listLocked: (now) =>
+    Model.find({ lockedUntil: { $gt: now } })
+      .sort({ lockedUntil: -1 })
+      .lean(),
+});
+
+const getLoginThrottleStore = () => {
+  if (!activeStore) {
+    activeStore =
+      process.env.LOGIN_THROTTLE_STORE === "mongo"
+        ? createMongoStore()
+        : createMemoryStore();
+  }
+  return activeStore;
+};
+
+// Replace the active store; pass null to go back to the LOGIN_THROTTLE_STORE default
+const setLoginThrottleStore = (store) => {
+  activeStore = store;
+};
+
+const getAccountKey = (userId) => `account:${userId}`;
+
+// Counters a login attempt is checked against. Unknown usernames are counted
+// too, so probing for accounts is throttled the same way.
+const getLoginKeys = (user, identifier, ip) => [
+  {
+    key: getAccountKey(
+      user ? user._id : String(identifier).trim().toLowerCase()
+    ),
+    scope: "account",
+    user: user ? user._id : null,
+    identifier: String(identifier),
+  },
+  { key: `ip:${ip}`, scope: "ip", user: null, identifier: ip },
+];
+
+// Take back reserved attempts, e.g. once the credentials turned out right
+const releaseLoginAttempt = async (entries) => {
+  const store = getLoginThrottleStore();
+  for (const entry of entries) {
+    await store.release(entry.key);
+  }
+};
+
+// Reserve a login attempt before its credentials are checked; the attempt
+// counts as a failure until it is released. Resolves to { blocked, locked }:
+// blocked is null when the attempt may be checked, otherwise
+// { scope, locked, retryAfterSeconds, lockedUntil }; locked lists the
+// counters this attempt locked.
+const reserveLoginAttempt = async (entries, now = new Date()) => {
+  const store = getLoginThrottleStore();
+  const reserved = [];
+  const locked = [];
+
+  for (const entry of entries) {
+    const { record, reserved: allowed } = await store.reserve(entry.key, {
+      ...entry,
+      now,
+    });
+
+    if (!allowed) {
+      // The attempt is never checked, so it mustn't count on other counters
+      await releaseLoginAttempt(reserved);
+      const blockedUntil = getBlockedUntil(record, now);
+      return {
+        blocked: {
+          scope: entry.scope,
+          locked: !!record.lockedUntil && record.lockedUntil > now,
+          lockedUntil: record.lockedUntil,
+          retryAfterSeconds: Math.ceil(
+            (blockedUntil.getTime() - now.getTime()) / 1000
+          ),
+        },
+        locked: [],
+      };
+    }
+
+    reserved.push(entry);
+    if (record.lockedUntil) locked.push(record);
+  }
+  return { blocked: null, locked };
+};
+
+// Forget the failures of an account (successful login or admin unlock);
+// resolves to whether there was anything to clear
+const clearAccountFailures = (userId) =>
+  getLoginThrottleStore().remove(getAccountKey(userId));
+
+const listActiveLockouts = (now = new Date()) =>
+  getLoginThrottleStore().listLocked(now);
+
+module.exports = {
+  getLoginThrottleStore,
+  setLoginThrottleStore,
+  createMemoryStore,
+  createMongoStore,
+  getLoginKeys,
+  reserveLoginAttempt,
+  releaseLoginAttempt,
+  clearAccountFailures,
+  listActiveLockouts,
+};
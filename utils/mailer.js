@@ -0,0 +1,109 @@
+// utils/mailer.js
+// Pluggable mailer. Features ask getMailer() for a transport with a single
+// sendMail({ to, subject, text, html }) method. MAIL_TRANSPORT picks the
+// transport: smtp (SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS),
+// file (writes each message to MAIL_FILE_DIR) or console. Without
+// MAIL_TRANSPORT, smtp is used when SMTP_HOST is set and console otherwise.
+// file and console put reset links in files and logs, so in production
+// (NODE_ENV=production) only smtp is allowed and getMailer() throws without it.
+const fs = require("fs");
+const path = require("path");
+
+const DEFAULT_FROM = "GracEdLMS <no-reply@gracedlms.local>";
+
+let activeMailer = null;
+
+const createSmtpMailer = ({
+  host = process.env.SMTP_HOST,
+  port = Number(process.env.SMTP_PORT) || 587,
+  secure = process.env.SMTP_SECURE === "true",
+  user = process.env.SMTP_USER,
+  pass = process.env.SMTP_PASS,
+  from = process.env.MAIL_FROM || DEFAULT_FROM,
+} = {}) => {
+  let transporter = null;
+
+  return {
+    name: "smtp",
+    sendMail: async ({ to, subject, text, html }) => {
+      // Created lazily so the server starts without SMTP settings
+      if (!transporter) {
+        const nodemailer = require("nodemailer");
+        transporter = nodemailer.createTransport({
+          host,
+          port,
+          secure,
+          auth: user ? { user, pass } : undefined,
+        });
+      }
+      return transporter.sendMail({ from, to, subject, text, html });
+    },
+  };
+};
+
+// Writes every message to a text file instead of sending it (local development)
+const createFileMailer = ({
+  dir = process.env.MAIL_FILE_DIR || path.join(__dirname, "../mail-outbox"),
+  from = process.env.MAIL_FROM || DEFAULT_FROM,
+} = {}) => ({
+  name: "file",
+  sendMail: async ({ to, subject, text }) => {
+    await fs.promises.mkdir(dir, { recursive: true });
+    const filePath = path.join(
+      dir,
+      `${Date.now()}-${String(to).replace(/[^A-Za-z0-9@._-]+/g, "_")}.txt`
+    );
+    await fs.promises.writeFile(
+      filePath,
+      `From: ${from}\nTo: ${to}\nSubject: ${subject}\n\n${text}\n`,
+      "utf8"
+    );
+    console.log(`📧 Mail to ${to} written to ${filePath}`);
+    return { filePath };
+  },
+});
+
+const createConsoleMailer = () => ({
+  name: "console",
+  sendMail: async ({ to, subject, text }) => {
+    console.log(`📧 Mail to ${to}: ${subject}\n${text}`);
+    return {};
+  },
+});
+
+const getMailer = () => {
+  if (!activeMailer) {
+    const transport =
+      process.env.MAIL_TRANSPORT ||
+      (process.env.SMTP_HOST ? "smtp" : "console");
+    if (
+      process.env.NODE_ENV === "production" &&
+      (transport !== "smtp" || !process.env.SMTP_HOST)
+    ) {
+      throw new Error(
+        `Mail transport "${transport}" is not allowed in production, configure SMTP_HOST (and MAIL_TRANSPORT=smtp)`
+      );
+    }
+    if (transport === "smtp") {
+      activeMailer = createSmtpMailer();
+    } else if (transport === "file") {
+      activeMailer = createFileMailer();
+    } else {
+      activeMailer = createConsoleMailer();
+    }
+  }
+  return activeMailer;
+};
+
+// Replace the active mailer; pass null to go back to the MAIL_TRANSPORT default
+const setMailer = (mailer) => {
+  activeMailer = mailer;
+};
+
+module.exports = {
+  getMailer,
+  setMailer,
+  createSmtpMailer,
+  createFileMailer,
+  createConsoleMailer,
+};
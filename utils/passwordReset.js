@@ -0,0 +1,142 @@
+// utils/passwordReset.js
+// Password resets for users who can't log in: a link token sent by email
+// (forgot-password) or a 6-digit code an admin hands to a student without an
+// email address. Tokens and codes are stored hashed and expire; codes stop
+// working after a few wrong attempts.
+const crypto = require("crypto");
+const bcrypt = require("bcryptjs");
+const PasswordReset = require("../models/PasswordReset");
+const { revokeUserSessions } = require("./sessions");
+
+const RESET_TOKEN_EXPIRES_MINUTES =
+  Number(process.env.PASSWORD_RESET_EXPIRES_MINUTES) || 60;
+const RESET_CODE_EXPIRES_MINUTES =
+  Number(process.env.PASSWORD_RESET_CODE_EXPIRES_MINUTES) || 30;
+const RESET_CODE_MAX_ATTEMPTS = 5;
+// Reset emails a single account can request per hour
+const MAX_RESET_EMAILS_PER_HOUR = 3;
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+const minutesFromNow = (minutes) => new Date(Date.now() + minutes * 60 * 1000);
+
+// Stop earlier resets of a user from working
+const invalidateResets = (userId, method) => {
+  const filter = { user: userId, usedAt: null, invalidatedAt: null };
+  if (method) filter.method = method;
+  return PasswordReset.updateMany(filter, { invalidatedAt: new Date() });
+};
+
+// Whether a user already asked for too many reset emails in the last hour
+const isResetEmailLimitReached = async (userId) => {
+  const recent = await PasswordReset.countDocuments({
+    user: userId,
+    method: "email",
+    createdAt: { $gt: new Date(Date.now() - 60 * 60 * 1000) },
+  });
+  return recent >= MAX_RESET_EMAILS_PER_HOUR;
+};
+
+// New emailed reset token (the plain token only exists in the email)
+const createEmailReset = async (user) => {
+  await invalidateResets(user._id, "email");
+
+  const token = crypto.randomBytes(32).toString("hex");
+  const reset = await PasswordReset.create({
+    user: user._id,
+    method: "email",
+    tokenHash: hashToken(token),
+    expiresAt: minutesFromNow(RESET_TOKEN_EXPIRES_MINUTES),
+  });
+  return { token, reset };
+};
+
+// New 6-digit reset code issued by an admin
+const createResetCode = async (user, admin) => {
+  await invalidateResets(user._id, "code");
+
+  const code = String(crypto.randomInt(0, 1000000)).padStart(6, "0");
+  const reset = await PasswordReset.create({
+    user: user._id,
+    method: "code",
+    // bcrypt because six digits are easy to brute force from a plain hash
+    tokenHash: await bcrypt.hash(code, 10),
+    expiresAt: minutesFromNow(RESET_CODE_EXPIRES_MINUTES),
+    maxAttempts: RESET_CODE_MAX_ATTEMPTS,
+    issuedBy: admin ? admin._id : null,
+  });
+  return { code, reset };
+};
+
+// Open reset for an emailed token, or null
+const findEmailReset = (token) =>
+  PasswordReset.findOne({
+    tokenHash: hashToken(String(token)),
+    method: "email",
+    usedAt: null,
+    invalidatedAt: null,
+    expiresAt: { $gt: new Date() },
+  });
+
+// Check a reset code of a user. Every try counts as an attempt and is
+// taken atomically before the code is compared, so parallel guesses can't
+// go past maxAttempts; the last allowed wrong attempt locks the code.
+// Resolves to { reset } or { reset: null, attemptsLeft, locked }.
+const verifyResetCode = async (userId, code) => {
+  const reset = await PasswordReset.findOneAndUpdate(
+    {
+      user: userId,
+      method: "code",
+      usedAt: null,
+      invalidatedAt: null,
+      expiresAt: { $gt: new Date() },
+      $expr: { $lt: ["$attempts", "$maxAttempts"] },
+    },
+    { $inc: { attempts: 1 } },
+    { sort: { createdAt: -1 }, new: true }
+  ).select("+tokenHash");
+
+  if (!reset) {
+    return { reset: null, attemptsLeft: 0, locked: false };
+  }
+
+  if (await bcrypt.compare(String(code), reset.tokenHash)) {
+    return { reset };
+  }
+
+  const locked = reset.attempts >= reset.maxAttempts;
+  if (locked) {
+    reset.invalidatedAt = new Date();
+    await reset.save();
+  }
+
+  return {
+    reset: null,
+    attemptsLeft: Math.max(reset.maxAttempts - reset.attempts, 0),
+    locked,
+  };
+};
+
+// Set the new password, use up the reset and log the user out everywhere
+const completePasswordReset = async (user, reset, newPassword) => {
+  user.password = newPassword;
+  user.mustChangePassword = false;
+  user.activationExpiresAt = null;
+  await user.save(); // Pre-save hook in User model will hash it
+
+  reset.usedAt = new Date();
+  await reset.save();
+  await invalidateResets(user._id);
+  await revokeUserSessions(user._id, "password_reset");
+};
+
+module.exports = {
+  RESET_TOKEN_EXPIRES_MINUTES,
+  isResetEmailLimitReached,
+  createEmailReset,
+  createResetCode,
+  findEmailReset,
+  verifyResetCode,
+  completePasswordReset,
+};
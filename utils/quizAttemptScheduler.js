@@ -0,0 +1,69 @@
+const Quiz = require("../models/Quiz");
+const cron = require("node-cron");
+const {
+  ATTEMPT_GRACE_SECONDS,
+  isAttemptExpired,
+  finalizeSubmission,
+} = require("./quizGrading");
+const { syncQuizGrade } = require("./quizGradeLedger");
+const { saveAttempt } = require("./quizAttempts");
+
+// Submit every in-progress attempt whose time limit has run out, using the
+// answers that were saved before the deadline
+async function autoSubmitExpiredAttempts(now = new Date()) {
+  const cutoff = new Date(now.getTime() - ATTEMPT_GRACE_SECONDS * 1000);
+
+  const quizzes = await Quiz.find({
+    quizSubmissions: {
+      $elemMatch: {
+        status: "in_progress",
+        expiresAt: { $ne: null, $lt: cutoff },
+      },
+    },
+  });
+
+  let submittedCount = 0;
+  for (const quiz of quizzes) {
+    const expiredAttempts = quiz.quizSubmissions.filter(
+      (submission) =>
+        submission.status === "in_progress" &&
+        isAttemptExpired(submission, now),
+    );
+
+    for (const submission of expiredAttempts) {
+      finalizeSubmission(quiz, submission, submission.submittedAnswers, {
+        autoSubmitted: true,
+        submissionDate: submission.expiresAt,
+      });
+
+      // Skipped when the student submitted in the meantime
+      if (await saveAttempt(quiz, submission, { onlyInProgress: true })) {
+        await syncQuizGrade(quiz, submission);
+        submittedCount += 1;
+      }
+    }
+  }
+
+  if (submittedCount > 0) {
+    console.log(`⏱️ Auto-submitted ${submittedCount} expired quiz attempt(s)`);
+  }
+  return submittedCount;
+}
+
+// Check for expired quiz attempts every minute
+function scheduleQuizAttemptAutoSubmit() {
+  cron.schedule("* * * * *", async () => {
+    try {
+      await autoSubmitExpiredAttempts();
+    } catch (error) {
+      console.error("❌ Error auto-submitting expired quiz attempts:", error);
+    }
+  });
+
+  console.log("✅ Quiz attempt auto-submit scheduled");
+}
+
+module.exports = {
+  autoSubmitExpiredAttempts,
+  scheduleQuizAttemptAutoSubmit,
+};
@@ -0,0 +1,72 @@
+// utils/quizAttempts.js
+// Writes single quiz attempts with atomic updates instead of saving the whole
+// Quiz document. A quiz is shared by the whole class, so whole-document saves
+// from autosaves, submits and the auto-submit job conflict with each other.
+const Quiz = require("../models/Quiz");
+
+// Attempt fields that change once the attempt exists
+const ATTEMPT_FIELDS = [
+  "submittedAnswers",
+  "quizScore",
+  "status",
+  "submissionDate",
+  "autoSubmitted",
+  "lastSavedAt",
+];
+
+// Store an attempt that was pushed onto quiz.quizSubmissions. Two requests
+// starting the same attempt number race; only the first is stored. Resolves
+// to whether the attempt was stored (the loser is removed from the quiz).
+const insertAttempt = async (quiz, attempt) => {
+  const result = await Quiz.updateOne(
+    {
+      _id: quiz._id,
+      quizSubmissions: {
+        $not: {
+          $elemMatch: {
+            student: attempt.student,
+            attemptNumber: attempt.attemptNumber,
+          },
+        },
+      },
+    },
+    { $push: { quizSubmissions: attempt.toObject() } },
+  );
+
+  if (result.modifiedCount === 0) {
+    quiz.quizSubmissions.pull(attempt._id);
+    return false;
+  }
+  return true;
+};
+
+// Write the given fields of an existing attempt. With onlyInProgress nothing
+// is written once the attempt was closed elsewhere (e.g. by the auto-submit
+// job). Resolves to whether the attempt was updated.
+const saveAttempt = async (
+  quiz,
+  attempt,
+  { fields = ATTEMPT_FIELDS, onlyInProgress = false } = {},
+) => {
+  const values = attempt.toObject();
+  const update = {};
+  fields.forEach((field) => {
+    if (values[field] !== undefined) {
+      update[`quizSubmissions.$.${field}`] = values[field];
+    }
+  });
+
+  const match = { _id: attempt._id };
+  if (onlyInProgress) match.status = "in_progress";
+
+  const result = await Quiz.updateOne(
+    { _id: quiz._id, quizSubmissions: { $elemMatch: match } },
+    { $set: update },
+  );
+  return result.matchedCount > 0;
+};
+
+module.exports = {
+  insertAttempt,
+  saveAttempt,
+};
@@ -0,0 +1,412 @@
+// utils/quizExporters.js
+// Render a quiz as a QTI 2.1 content package, a GIFT file or printable HTML
+// (student copy or answer key) for offline exams.
+const escapeHtml = require("./escapeHtml");
+
+const EXPORT_FORMATS = ["qti", "gift", "paper"];
+const PAPER_VERSIONS = ["student", "key"];
+
+const QTI_NAMESPACE = "http://www.imsglobal.org/xsd/imsqti_v2p1";
+const QTI_TEMPLATES = "http://www.imsglobal.org/question/qti_v2p1/rptemplates";
+const CHOICE_TYPES = ["multiple_choice", "true_false", "multiple_answers"];
+
+const escapeXml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+
+const getPoints = (question) => question.itemPoints ?? 1;
+
+const formatPoints = (points) => `${points} ${points === 1 ? "pt" : "pts"}`;
+
+// Letter labels for options: A, B, C...
+const optionLabel = (index) => String.fromCharCode(65 + index);
+
+// File name safe version of the quiz title
+const getExportBaseName = (quiz) =>
+  String(quiz.title || "Quiz").replace(/[^A-Za-z0-9-]+/g, "") || "Quiz";
+
+// ─── QTI 2.1 ─────────────────────────────────────────────────────────────────
+
+const renderQtiItem = (question, index) => {
+  const identifier = `item${index + 1}`;
+  const points = getPoints(question);
+  const images = (question.images || [])
+    .map((url) => `<p><img src="${escapeXml(url)}" alt="" /></p>`)
+    .join("");
+
+  let responseDeclaration = "";
+  let interaction = "";
+  let responseProcessing = "";
+
+  if (CHOICE_TYPES.includes(question.type)) {
+    const isMultiple = question.type === "multiple_answers";
+    const correct = question.options
+      .map((option, i) => (option.isCorrect ? `<value>C${i + 1}</value>` : ""))
+      .join("");
+    const choices = question.options
+      .map(
+        (option, i) =>
+          `<simpleChoice identifier="C${i + 1}">${escapeXml(
+            option.text,
+          )}</simpleChoice>`,
+      )
+      .join("\n      ");
+
+    responseDeclaration = `<responseDeclaration identifier="RESPONSE" cardinality="${
+      isMultiple ? "multiple" : "single"
+    }" baseType="identifier">
+    <correctResponse>${correct}</correctResponse>
+  </responseDeclaration>`;
+    interaction = `<choiceInteraction responseIdentifier="RESPONSE" shuffle="false" maxChoices="${
+      isMultiple ? 0 : 1
+    }">
+      ${choices}
+    </choiceInteraction>`;
+    responseProcessing = `<responseProcessing template="${QTI_TEMPLATES}/match_correct" />`;
+  } else if (question.type === "short_answer") {
+    const answers = question.correctAnswers || [];
+    const baseType = question.answerMatching === "numeric" ? "float" : "string";
+    const mapEntries = answers
+      .map(
+        (answer) =>
+          `<mapEntry mapKey="${escapeXml(answer)}" mappedValue="${points}" caseSensitive="${!!question.caseSensitive}" />`,
+      )
+      .join("");
+
+    responseDeclaration = `<responseDeclaration identifier="RESPONSE" cardinality="single" baseType="${baseType}">
+    <correctResponse><value>${escapeXml(answers[0] || "")}</value></correctResponse>
+    <mapping defaultValue="0">${mapEntries}</mapping>
+  </responseDeclaration>`;
+    interaction = `<p><textEntryInteraction responseIdentifier="RESPONSE" expectedLength="20" /></p>`;
+    responseProcessing = `<responseProcessing template="${QTI_TEMPLATES}/map_response" />`;
+  } else {
+    responseDeclaration = `<responseDeclaration identifier="RESPONSE" cardinality="single" baseType="string" />`;
+    interaction = `<extendedTextInteraction responseIdentifier="RESPONSE" />`;
+  }
+
+  const xml = `<?xml version="1.0" encoding="UTF-8"?>
+<assessmentItem xmlns="${QTI_NAMESPACE}" identifier="${identifier}" title="${escapeXml(
+    `Question ${index + 1}`,
+  )}" adaptive="false" timeDependent="false">
+  ${responseDeclaration}
+  <outcomeDeclaration identifier="SCORE" cardinality="single" baseType="float" normalMaximum="${points}">
+    <defaultValue><value>0</value></defaultValue>
+  </outcomeDeclaration>
+  <itemBody>
+    <p>${escapeXml(question.text)}</p>${images}
+    ${interaction}
+  </itemBody>
+  ${responseProcessing}
+</assessmentItem>
+`;
+
+  return { identifier, href: `items/${identifier}.xml`, xml };
+};
+
+// Files of an IMS content package: manifest, assessment test and one file
+// per item
+const buildQtiPackage = (quiz) => {
+  const items = quiz.questions.map(renderQtiItem);
+
+  const test = `<?xml version="1.0" encoding="UTF-8"?>
+<assessmentTest xmlns="${QTI_NAMESPACE}" identifier="test" title="${escapeXml(
+    quiz.title,
+  )}">
+  <testPart identifier="part1" navigationMode="nonlinear" submissionMode="simultaneous">
+    <assessmentSection identifier="section1" title="${escapeXml(
+      quiz.sectionHeader || quiz.title,
+    )}" visible="true">
+${items
+  .map(
+    (item) =>
+      `      <assessmentItemRef identifier="${item.identifier}" href="${item.href}" />`,
+  )
+  .join("\n")}
+    </assessmentSection>
+  </testPart>
+</assessmentTest>
+`;
+
+  const manifest = `<?xml version="1.0" encoding="UTF-8"?>
+<manifest xmlns="http://www.imsglobal.org/xsd/imscp_v1p1" identifier="manifest-${quiz._id}">
+  <metadata>
+    <schema>QTIv2.1 Package</schema>
+    <schemaversion>1.0.0</schemaversion>
+  </metadata>
+  <organizations />
+  <resources>
+    <resource identifier="test" type="imsqti_test_xmlv2p1" href="assessmentTest.xml">
+      <file href="assessmentTest.xml" />
+${items
+  .map((item) => `      <dependency identifierref="${item.identifier}" />`)
+  .join("\n")}
+    </resource>
+${items
+  .map(
+    (
+      item,
+    ) => `    <resource identifier="${item.identifier}" type="imsqti_item_xmlv2p1" href="${item.href}">
+      <file href="${item.href}" />
+    </resource>`,
+  )
+  .join("\n")}
+  </resources>
+</manifest>
+`;
+
+  return [
+    { name: "imsmanifest.xml", content: manifest },
+    { name: "assessmentTest.xml", content: test },
+    ...items.map((item) => ({ name: item.href, content: item.xml })),
+  ];
+};
+
+// ─── GIFT ────────────────────────────────────────────────────────────────────
+
+const escapeGift = (value) =>
+  String(value ?? "")
+    .replace(/([~=#{}:\\])/g, "\\$1")
+    .replace(/\r?\n/g, "\\n");
+
+// Moodle only accepts a fixed set of percentages, so keep 5 decimals
+const formatWeight = (value) => String(Math.round(value * 100000) / 100000);
+
+const renderGiftAnswers = (question) => {
+  switch (question.type) {
+    case "true_false": {
+      const trueOption = question.options.find((o) => /^true$/i.test(o.text));
+      return trueOption && trueOption.isCorrect ? "{T}" : "{F}";
+    }
+    case "multiple_choice":
+      return `{\n${question.options
+        .map(
+          (option) =>
+            `\t${option.isCorrect ? "=" : "~"}${escapeGift(option.text)}`,
+        )
+        .join("\n")}\n}`;
+    case "multiple_answers": {
+      const correctCount = question.options.filter((o) => o.isCorrect).length;
+      const weight = formatWeight(100 / Math.max(1, correctCount));
+      return `{\n${question.options
+        .map(
+          (option) =>
+            `\t~%${option.isCorrect ? weight : "-100"}%${escapeGift(option.text)}`,
+        )
+        .join("\n")}\n}`;
+    }
+    case "short_answer":
+      if (question.answerMatching === "numeric") {
+        return `{#${question.correctAnswers
+          .map(
+            (answer) =>
+              `=${answer}${
+                question.numericTolerance ? `:${question.numericTolerance}` : ""
+              }`,
+          )
+          .join(" ")}}`;
+      }
+      return `{${question.correctAnswers
+        .map((answer) => `=${escapeGift(answer)}`)
+        .join(" ")}}`;
+    default:
+      return "{}";
+  }
+};
+
+// GIFT has no points field, so each question carries them in a comment
+const renderGift = (quiz) => {
+  const header = [
+    `// ${quiz.title}`,
+    `// Total points: ${quiz.quizPoints ?? ""}`,
+    "",
+  ];
+
+  const questions = quiz.questions.map((question, index) => {
+    const lines = [`// points: ${getPoints(question)}`];
+    if (
+      question.type === "short_answer" &&
+      question.answerMatching === "regex"
+    ) {
+      lines.push("// answers were regular expressions in the original quiz");
+    }
+    lines.push(
+      `::Q${index + 1}:: ${escapeGift(question.text)} ${renderGiftAnswers(
+        question,
+      )}`,
+    );
+    return lines.join("\n");
+  });
+
+  return `${header.join("\n")}\n${questions.join("\n\n")}\n`;
+};
+
+// ─── Printable paper ─────────────────────────────────────────────────────────
+
+const renderStudentQuestion = (question) => {
+  switch (question.type) {
+    case "multiple_choice":
+    case "multiple_answers":
+      return `${
+        question.type === "multiple_answers"
+          ? '<p class="hint">Select all that apply.</p>'
+          : ""
+      }<ol class="options">${question.options
+        .map(
+          (option, i) =>
+            `<li><span class="box">${
+              question.type === "multiple_answers" ? "&#9744;" : "&#9675;"
+            }</span> ${optionLabel(i)}. ${escapeHtml(option.text)}</li>`,
+        )
+        .join("")}</ol>`;
+    case "true_false":
+      return '<p class="options">&#9675; True &nbsp;&nbsp;&nbsp; &#9675; False</p>';
+    case "short_answer":
+      return '<p class="blank">Answer: ________________________________</p>';
+    default:
+      return '<div class="essay"></div>';
+  }
+};
+
+const describeCorrectAnswer = (question) => {
+  if (CHOICE_TYPES.includes(question.type)) {
+    return question.options
+      .map((option, i) =>
+        option.isCorrect
+          ? question.type === "true_false"
+            ? escapeHtml(option.text)
+            : `${optionLabel(i)}. ${escapeHtml(option.text)}`
+          : null,
+      )
+      .filter(Boolean)
+      .join("<br />");
+  }
+
+  if (question.type === "short_answer") {
+    const answers = question.correctAnswers.map(escapeHtml).join(" / ");
+    if (question.answerMatching === "numeric" && question.numericTolerance) {
+      return `${answers} (&plusmn; ${escapeHtml(question.numericTolerance)})`;
+    }
+    return answers;
+  }
+
+  return "<em>Manually graded</em>";
+};
+
+// Build a printable, self-contained HTML quiz: the student copy or the
+// answer key with the points of every item
+const renderQuizPaper = (quiz, version = "student") => {
+  const isKey = version === "key";
+  const subject = quiz.subject || {};
+
+  const body = isKey
+    ? `<table class="key">
+      <thead><tr><th>#</th><th>Correct Answer</th><th>Points</th></tr></thead>
+      <tbody>${quiz.questions
+        .map(
+          (question, index) => `
+        <tr>
+          <td>${index + 1}</td>
+          <td class="answer">${describeCorrectAnswer(question)}</td>
+          <td>${getPoints(question)}</td>
+        </tr>`,
+        )
+        .join("")}
+        <tr class="total"><td colspan="2">Total</td><td>${escapeHtml(
+          quiz.quizPoints,
+        )}</td></tr>
+      </tbody>
+    </table>`
+    : quiz.questions
+        .map(
+          (question, index) => `
+    <div class="question">
+      <p><strong>${index + 1}.</strong> ${escapeHtml(
+        question.text,
+      )} <span class="points">(${formatPoints(getPoints(question))})</span></p>
+      ${(question.images || [])
+        .map((url) => `<img src="${escapeHtml(url)}" alt="" />`)
+        .join("")}
+      ${renderStudentQuestion(question)}
+    </div>`,
+        )
+        .join("");
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8" />
+  <title>${escapeHtml(quiz.title)}${isKey ? " - Answer Key" : ""}</title>
+  <style>
+    body { font-family: Arial, Helvetica, sans-serif; margin: 24px; color: #000; }
+    h1, h2 { text-align: center; margin: 4px 0; }
+    h1 { font-size: 18px; }
+    h2 { font-size: 14px; font-weight: normal; }
+    .info { margin: 16px 0; width: 100%; }
+    .info td { padding: 4px 12px 4px 0; }
+    .question { margin-bottom: 18px; page-break-inside: avoid; }
+    .question img { max-width: 60%; display: block; margin: 6px 0; }
+    .points { color: #444; font-size: 12px; }
+    .hint { font-style: italic; font-size: 12px; margin: 2px 0; }
+    ol.options { list-style: none; padding-left: 16px; }
+    ol.options li { margin: 4px 0; }
+    .blank { margin-left: 16px; }
+    .essay { border: 1px solid #000; height: 160px; margin-left: 16px; }
+    table.key { width: 100%; border-collapse: collapse; }
+    table.key th, table.key td { border: 1px solid #000; padding: 4px; text-align: center; }
+    table.key td.answer { text-align: left; }
+    tr.total td { font-weight: bold; }
+    @media print { body { margin: 0; } }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(quiz.title)}${isKey ? " - Answer Key" : ""}</h1>
+  <h2>${escapeHtml(
+    [subject.subjectName, subject.gradeLevel, subject.section, quiz.quarter]
+      .filter(Boolean)
+      .join(" | "),
+  )}</h2>
+  <table class="info">
+    ${
+      isKey
+        ? ""
+        : `<tr><td>Name: ______________________________</td><td>Date: ______________</td></tr>
+    <tr><td>Section: ___________________________</td><td>Score: ______ / ${escapeHtml(
+      quiz.quizPoints,
+    )}</td></tr>`
+    }
+    ${
+      quiz.timeLimit
+        ? `<tr><td colspan="2">Time limit: ${escapeHtml(
+            quiz.timeLimit,
+          )} minutes</td></tr>`
+        : ""
+    }
+  </table>
+  ${
+    quiz.sectionHeader
+      ? `<h2><strong>${escapeHtml(quiz.sectionHeader)}</strong></h2>`
+      : ""
+  }
+  ${
+    quiz.sectionDescription && !isKey
+      ? `<p>${escapeHtml(quiz.sectionDescription)}</p>`
+      : ""
+  }
+  ${body}
+</body>
+</html>
+`;
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  PAPER_VERSIONS,
+  getExportBaseName,
+  buildQtiPackage,
+  renderGift,
+  renderQuizPaper,
+};
@@ -0,0 +1,74 @@
+// utils/quizGradeLedger.js
+const Grade = require("../models/Grade");
+
+const toId = (value) => (value && value._id ? value._id : value);
+
+const roundTo2 = (value) => Math.round(value * 100) / 100;
+
+// Pick the score that counts under the quiz's scoring policy from a
+// student's graded attempts (sorted by attempt number)
+const resolvePolicyScore = (scoringPolicy, attempts) => {
+  const latest = attempts[attempts.length - 1];
+
+  if (scoringPolicy === "latest") {
+    return { score: latest.quizScore, attempt: latest };
+  }
+
+  if (scoringPolicy === "average") {
+    const total = attempts.reduce((sum, a) => sum + a.quizScore, 0);
+    return { score: roundTo2(total / attempts.length), attempt: latest };
+  }
+
+  const best = attempts.reduce((top, a) =>
+    a.quizScore > top.quizScore ? a : top,
+  );
+  return { score: best.quizScore, attempt: best };
+};
+
+// Write (or refresh) the Grade record of a student's quiz so quiz results
+// live in the same gradebook as activity grades. Only fully graded attempts
+// count; attempts with essays waiting for the teacher are left out until
+// they are graded.
+const syncQuizGrade = async (quiz, submission, gradedBy) => {
+  const studentId = toId(submission.student);
+
+  const gradedAttempts = quiz.quizSubmissions
+    .filter(
+      (s) =>
+        toId(s.student).toString() === studentId.toString() &&
+        s.status === "graded" &&
+        s.quizScore !== null &&
+        s.quizScore !== undefined,
+    )
+    .sort((a, b) => (a.attemptNumber || 1) - (b.attemptNumber || 1));
+
+  if (gradedAttempts.length === 0) {
+    return null;
+  }
+
+  const { score, attempt } = resolvePolicyScore(
+    quiz.scoringPolicy,
+    gradedAttempts,
+  );
+
+  return Grade.findOneAndUpdate(
+    { student: studentId, quiz: quiz._id },
+    {
+      sourceType: "Quiz",
+      student: studentId,
+      quiz: quiz._id,
+      quizSubmission: attempt._id,
+      subject: toId(quiz.subject),
+      quarter: quiz.quarter,
+      score,
+      comments: attempt.feedback || undefined,
+      gradedBy: toId(gradedBy || quiz.createdBy),
+    },
+    { new: true, upsert: true, runValidators: true },
+  );
+};
+
+module.exports = {
+  resolvePolicyScore,
+  syncQuizGrade,
+};
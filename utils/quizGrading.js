@@ -0,0 +1,286 @@
+// utils/quizGrading.js
+const vm = require("vm");
+
+// Extra time accepted after the deadline to absorb network latency
+const ATTEMPT_GRACE_SECONDS = 30;
+
+// Limits for regex short answers: longer patterns are refused when the quiz
+// is saved, longer student answers never match
+const MAX_ANSWER_PATTERN_LENGTH = 200;
+const MAX_REGEX_ANSWER_LENGTH = 500;
+// A regex match taking longer than this counts as no match. Teacher patterns
+// like (a|a)* backtrack exponentially, so matches run in a VM context whose
+// timeout can stop them instead of blocking the event loop.
+const REGEX_MATCH_TIMEOUT_MS = 25;
+const regexContext = vm.createContext({});
+const regexTest = new vm.Script("pattern.test(answer)");
+
+const toId = (value) => (value && value._id ? value._id : value);
+
+const roundTo2 = (value) => Math.round(value * 100) / 100;
+
+// Drop punctuation and collapse whitespace for lenient short answer matching
+const normalizeAnswer = (value) =>
+  value.replace(/\p{P}/gu, "").replace(/\s+/g, " ").trim();
+
+// Accepted answer pattern of a regex short answer, matched as a whole
+const compileAnswerPattern = (pattern, caseSensitive) =>
+  new RegExp(`^(?:${pattern})$`, caseSensitive ? "u" : "iu");
+
+// Why a regex accepted answer can't be used, or null when it is fine
+const getAnswerPatternError = (pattern) => {
+  const source = String(pattern);
+  if (source.length > MAX_ANSWER_PATTERN_LENGTH) {
+    return `Answer pattern "${source.slice(0, 30)}..." is longer than ${MAX_ANSWER_PATTERN_LENGTH} characters`;
+  }
+  try {
+    compileAnswerPattern(source, false);
+  } catch (error) {
+    return `Answer pattern "${source}" is not a valid regular expression`;
+  }
+  return null;
+};
+
+// Match a student answer against an accepted answer pattern within
+// REGEX_MATCH_TIMEOUT_MS; a timed out match is logged and fails
+const matchesAnswerPattern = (pattern, studentAnswer, caseSensitive) => {
+  regexContext.pattern = compileAnswerPattern(pattern, caseSensitive);
+  regexContext.answer = studentAnswer;
+  try {
+    return regexTest.runInContext(regexContext, {
+      timeout: REGEX_MATCH_TIMEOUT_MS,
+    });
+  } catch (error) {
+    if (error.code !== "ERR_SCRIPT_EXECUTION_TIMEOUT") throw error;
+    console.warn(`Answer pattern "${pattern}" timed out, counted as no match`);
+    return false;
+  } finally {
+    regexContext.pattern = null;
+    regexContext.answer = null;
+  }
+};
+
+// Check a short answer against the question's accepted answers using its
+// matching mode: exact, normalized, numeric (with tolerance) or regex
+const matchesShortAnswer = (question, studentAnswer) => {
+  const correctAnswers = question.correctAnswers || [];
+  const matching = question.answerMatching || "exact";
+
+  if (matching === "numeric") {
+    const value = Number(studentAnswer.replace(/,/g, ""));
+    if (studentAnswer === "" || isNaN(value)) return false;
+    const tolerance = Math.abs(question.numericTolerance || 0);
+    return correctAnswers.some((ans) => {
+      const expected = Number(String(ans).replace(/,/g, ""));
+      return !isNaN(expected) && Math.abs(value - expected) <= tolerance + 1e-9;
+    });
+  }
+
+  if (matching === "regex") {
+    if (studentAnswer.length > MAX_REGEX_ANSWER_LENGTH) return false;
+    return correctAnswers.some((pattern) => {
+      // Patterns are checked when the quiz is saved; this only skips ones
+      // stored before that check existed
+      if (getAnswerPatternError(pattern)) {
+        console.warn(`Skipped unusable answer pattern "${pattern}"`);
+        return false;
+      }
+      return matchesAnswerPattern(
+        pattern,
+        studentAnswer,
+        question.caseSensitive,
+      );
+    });
+  }
+
+  const prepare = (value) => {
+    const prepared =
+      matching === "normalized" ? normalizeAnswer(value) : value.trim();
+    return question.caseSensitive ? prepared : prepared.toLowerCase();
+  };
+  const preparedAnswer = prepare(studentAnswer);
+  return correctAnswers.some((ans) => prepare(ans) === preparedAnswer);
+};
+
+// Question as shown to a student taking the quiz (no answer key)
+const toStudentQuestion = (question) => ({
+  _id: question._id,
+  text: question.text,
+  type: question.type,
+  options: (question.options || []).map((option) => ({
+    _id: option._id,
+    text: option.text,
+  })),
+  images: question.images,
+  itemPoints: question.itemPoints,
+  isRequired: question.isRequired,
+});
+
+// Seconds left in a timed attempt, or null when the quiz has no time limit
+const getRemainingSeconds = (submission, now = new Date()) => {
+  if (!submission.expiresAt) return null;
+  return Math.max(
+    0,
+    Math.ceil((submission.expiresAt.getTime() - now.getTime()) / 1000),
+  );
+};
+
+// When an attempt started at startedAt runs out: the time limit plus any
+// extra minutes from the student's extension, or null for untimed quizzes
+const getAttemptExpiresAt = (quiz, startedAt, extraMinutes = 0) =>
+  quiz.timeLimit
+    ? new Date(
+        new Date(startedAt).getTime() +
+          (quiz.timeLimit + (extraMinutes || 0)) * 60 * 1000,
+      )
+    : null;
+
+// An attempt is expired once its deadline plus the grace period has passed
+const isAttemptExpired = (submission, now = new Date()) =>
+  !!submission.expiresAt &&
+  now.getTime() > submission.expiresAt.getTime() + ATTEMPT_GRACE_SECONDS * 1000;
+
+// Grade a list of { questionId, answer } against the quiz's answer key
+const gradeAnswers = (quiz, submittedAnswers) => {
+  let totalScore = 0;
+  let hasEssay = false;
+
+  const gradedAnswers = (submittedAnswers || []).map((submittedAnswer) => {
+    const baseAnswer = {
+      questionId: toId(submittedAnswer.questionId),
+      answer: submittedAnswer.answer,
+    };
+    const question = quiz.questions.id(baseAnswer.questionId);
+    if (!question) {
+      return { ...baseAnswer, isCorrect: false, pointsEarned: 0 };
+    }
+
+    let isCorrect = false;
+    let partiallyCorrect = false;
+    let pointsEarned = 0;
+    let manuallyGraded = false;
+
+    if (question.type === "essay") {
+      // Essay questions need manual grading
+      hasEssay = true;
+      manuallyGraded = false;
+      isCorrect = false;
+      pointsEarned = 0;
+    } else if (
+      question.type === "multiple_choice" ||
+      question.type === "true_false"
+    ) {
+      // For multiple choice and true/false, compare the selected option text with correct option
+      const correctOption = question.options.find((opt) => opt.isCorrect);
+      if (correctOption) {
+        // Student's answer is the option text they selected
+        isCorrect = baseAnswer.answer === correctOption.text;
+      }
+
+      if (isCorrect) {
+        pointsEarned = question.itemPoints || 1;
+        totalScore += pointsEarned;
+      }
+    } else if (question.type === "multiple_answers") {
+      // Get all correct options
+      const correctOptions = question.options
+        .filter((opt) => opt.isCorrect)
+        .map((opt) => opt.text);
+
+      // Get student's picks (each option counts once)
+      const userAnswers = Array.isArray(baseAnswer.answer)
+        ? [...new Set(baseAnswer.answer)]
+        : [];
+      const rightPicks = userAnswers.filter((answer) =>
+        correctOptions.includes(answer),
+      ).length;
+      const wrongPicks = userAnswers.length - rightPicks;
+
+      // Full credit only when every correct option and nothing else is picked
+      isCorrect =
+        correctOptions.length > 0 &&
+        rightPicks === correctOptions.length &&
+        wrongPicks === 0;
+
+      if (isCorrect) {
+        pointsEarned = question.itemPoints || 1;
+      } else if (
+        question.scoringMode === "partial" &&
+        correctOptions.length > 0
+      ) {
+        // Proportional credit; each wrong pick cancels `wrongAnswerPenalty`
+        // of a right pick, never going below zero
+        const penalty = question.wrongAnswerPenalty ?? 1;
+        const ratio = Math.max(
+          0,
+          (rightPicks - penalty * wrongPicks) / correctOptions.length,
+        );
+        pointsEarned = roundTo2(ratio * (question.itemPoints || 1));
+        partiallyCorrect = pointsEarned > 0;
+      }
+      totalScore += pointsEarned;
+    } else if (question.type === "short_answer") {
+      // Handle short answer grading
+      const studentAnswer = baseAnswer.answer?.toString().trim() || "";
+      const correctAnswers = question.correctAnswers || [];
+
+      if (correctAnswers.length === 0) {
+        isCorrect = false;
+      } else {
+        isCorrect = matchesShortAnswer(question, studentAnswer);
+
+        if (!question.markOthersIncorrect && studentAnswer.length > 0) {
+          isCorrect = true;
+        }
+      }
+
+      if (isCorrect) {
+        pointsEarned = question.itemPoints || 1;
+        totalScore += pointsEarned;
+      }
+    }
+
+    return {
+      ...baseAnswer,
+      isCorrect,
+      partiallyCorrect,
+      pointsEarned,
+      manuallyGraded,
+    };
+  });
+
+  return { gradedAnswers, totalScore: roundTo2(totalScore), hasEssay };
+};
+
+// Grade the answers and close the submission. Mutates the submission; the
+// caller saves the quiz.
+const finalizeSubmission = (
+  quiz,
+  submission,
+  submittedAnswers,
+  options = {},
+) => {
+  const { gradedAnswers, totalScore, hasEssay } = gradeAnswers(
+    quiz,
+    submittedAnswers,
+  );
+
+  submission.submittedAnswers = gradedAnswers;
+  submission.quizScore = totalScore;
+  submission.status = hasEssay ? "partial" : "graded"; // Mark as partial if has essay
+  submission.submissionDate = options.submissionDate || new Date();
+  submission.autoSubmitted = !!options.autoSubmitted;
+
+  return { totalScore, hasEssay };
+};
+
+module.exports = {
+  ATTEMPT_GRACE_SECONDS,
+  getAnswerPatternError,
+  toStudentQuestion,
+  getRemainingSeconds,
+  getAttemptExpiresAt,
+  isAttemptExpired,
+  gradeAnswers,
+  finalizeSubmission,
+};
@@ -0,0 +1,585 @@
+// utils/quizImporters.js
+// Parsers turning GIFT, Aiken and IMS QTI 2.1 files into the Quiz
+// questionSchema shape. Each parser returns { questions, unsupported } where
+// unsupported lists the items that could not be mapped and why.
+const { XMLParser } = require("fast-xml-parser");
+
+const IMPORT_FORMATS = ["gift", "aiken", "qti"];
+
+// Helper function to build a question with the schema defaults filled in
+const makeQuestion = (fields) => ({
+  options: [],
+  correctAnswers: [],
+  caseSensitive: false,
+  markOthersIncorrect: true,
+  itemPoints: 1,
+  isRequired: true,
+  ...fields,
+});
+
+const TRUE_FALSE_OPTIONS = (answerIsTrue) => [
+  { text: "True", isCorrect: answerIsTrue },
+  { text: "False", isCorrect: !answerIsTrue },
+];
+
+// ─── GIFT (Moodle) ───────────────────────────────────────────────────────────
+
+// Escaped GIFT control characters are swapped for private-use placeholders
+// while parsing and restored afterwards
+const GIFT_ESCAPES = ["~", "=", "#", "{", "}", ":"];
+const escapeGift = (text) =>
+  text.replace(/\\([~=#{}:])/g, (_, char) =>
+    String.fromCharCode(0xe000 + GIFT_ESCAPES.indexOf(char)),
+  );
+const unescapeGift = (text) =>
+  text
+    .replace(
+      /[\ue000-\ue005]/g,
+      (char) => GIFT_ESCAPES[char.charCodeAt(0) - 0xe000],
+    )
+    .replace(/\\n/g, "\n")
+    .trim();
+
+// Strip Moodle text format markers such as [html] or [markdown]
+const stripGiftFormat = (text) =>
+  text.replace(/^\s*\[(html|moodle|plain|markdown)\]/i, "");
+
+const cleanGiftText = (text) =>
+  unescapeGift(stripGiftFormat(text).replace(/<[^>]+>/g, ""));
+
+// Split the inside of an answer block into { marker, weight, text } entries
+const parseGiftAnswers = (block) =>
+  block
+    .split(/(?=[=~])/)
+    .map((token) => token.trim())
+    .filter((token) => /^[=~]/.test(token))
+    .map((token) => {
+      const marker = token[0];
+      let body = token.slice(1).trim();
+      let weight = null;
+      const weightMatch = body.match(/^%(-?\d+(?:\.\d+)?)%/);
+      if (weightMatch) {
+        weight = Number(weightMatch[1]);
+        body = body.slice(weightMatch[0].length);
+      }
+      // Drop per-answer feedback
+      body = body.split("#")[0];
+      return { marker, weight, text: cleanGiftText(body) };
+    });
+
+const parseGiftNumeric = (block) => {
+  const entries = block.includes("=")
+    ? block
+        .split("=")
+        .slice(1)
+        .map((entry) =>
+          entry
+            .split("#")[0]
+            .replace(/^%\d+%/, "")
+            .trim(),
+        )
+    : [block.split("#")[0].trim()];
+
+  const answers = [];
+  let tolerance = 0;
+  for (const entry of entries) {
+    const range = entry.match(/^(-?[\d.]+)\.\.(-?[\d.]+)$/);
+    const withTolerance = entry.match(/^(-?[\d.]+)(?::([\d.]+))?$/);
+    if (range) {
+      const low = Number(range[1]);
+      const high = Number(range[2]);
+      answers.push(String((low + high) / 2));
+      tolerance = Math.max(tolerance, Math.abs(high - low) / 2);
+    } else if (withTolerance) {
+      answers.push(withTolerance[1]);
+      tolerance = Math.max(tolerance, Number(withTolerance[2] || 0));
+    } else {
+      return null;
+    }
+  }
+
+  return answers.length > 0 ? { answers, tolerance } : null;
+};
+
+// Map one GIFT question block to a question (or an unsupported reason)
+const parseGiftItem = (raw) => {
+  let source = escapeGift(raw).trim();
+
+  let title = null;
+  const titleMatch = source.match(/^::(.*?)::/s);
+  if (titleMatch) {
+    title = unescapeGift(titleMatch[1]);
+    source = source.slice(titleMatch[0].length);
+  }
+
+  const open = source.indexOf("{");
+  const close = source.indexOf("}", open);
+  if (open === -1 || close === -1) {
+    return { title, reason: "No answer block found (description item)" };
+  }
+
+  const before = source.slice(0, open).trim();
+  const after = source.slice(close + 1).trim();
+  const block = source.slice(open + 1, close).trim();
+  const text = cleanGiftText(after ? `${before} _____ ${after}` : before);
+
+  if (!text) {
+    return { title, reason: "Question text is empty" };
+  }
+
+  if (block === "") {
+    return { question: makeQuestion({ text, type: "essay" }) };
+  }
+
+  const booleanMatch = block.match(/^(T|TRUE|F|FALSE)\b/i);
+  if (booleanMatch) {
+    return {
+      question: makeQuestion({
+        text,
+        type: "true_false",
+        options: TRUE_FALSE_OPTIONS(booleanMatch[1].toUpperCase()[0] === "T"),
+      }),
+    };
+  }
+
+  if (block.startsWith("#")) {
+    const numeric = parseGiftNumeric(block.slice(1));
+    if (!numeric) {
+      return { title, reason: "Numeric answer format is not supported" };
+    }
+    return {
+      question: makeQuestion({
+        text,
+        type: "short_answer",
+        correctAnswers: numeric.answers,
+        answerMatching: "numeric",
+        numericTolerance: numeric.tolerance,
+      }),
+    };
+  }
+
+  if (block.includes("->")) {
+    return { title, reason: "Matching questions are not supported" };
+  }
+
+  const answers = parseGiftAnswers(block);
+  if (answers.length === 0) {
+    return { title, reason: "Could not read the answers" };
+  }
+
+  const hasWrongOptions = answers.some((answer) => answer.marker === "~");
+
+  // Only "=" answers: short answer with every accepted variant
+  if (!hasWrongOptions) {
+    return {
+      question: makeQuestion({
+        text,
+        type: "short_answer",
+        correctAnswers: answers.map((answer) => answer.text),
+      }),
+    };
+  }
+
+  const isCorrect = (answer) =>
+    answer.marker === "=" || (answer.weight !== null && answer.weight > 0);
+  const options = answers.map((answer) => ({
+    text: answer.text,
+    isCorrect: isCorrect(answer),
+  }));
+  const correctCount = options.filter((option) => option.isCorrect).length;
+
+  if (correctCount === 0) {
+    return { title, reason: "No correct answer is marked" };
+  }
+
+  const isMultipleAnswers =
+    correctCount > 1 ||
+    answers.some((answer) => answer.weight !== null && answer.weight < 100);
+
+  return {
+    question: makeQuestion({
+      text,
+      type: isMultipleAnswers ? "multiple_answers" : "multiple_choice",
+      options,
+      ...(isMultipleAnswers && { scoringMode: "partial" }),
+    }),
+  };
+};
+
+const parseGift = (content) => {
+  const lines = content
+    .replace(/\r\n?/g, "\n")
+    .split("\n")
+    .filter((line) => !line.trim().startsWith("//"))
+    .filter((line) => !line.trim().startsWith("$CATEGORY:"));
+
+  const blocks = lines
+    .join("\n")
+    .split(/\n\s*\n/)
+    .map((block) => block.trim())
+    .filter(Boolean);
+
+  const questions = [];
+  const unsupported = [];
+  blocks.forEach((block, index) => {
+    const result = parseGiftItem(block);
+    if (result.question) {
+      questions.push(result.question);
+    } else {
+      unsupported.push({
+        item: index + 1,
+        title: result.title || block.slice(0, 60),
+        reason: result.reason,
+      });
+    }
+  });
+
+  return { questions, unsupported };
+};
+
+// ─── Aiken ───────────────────────────────────────────────────────────────────
+
+const parseAiken = (content) => {
+  const lines = content.replace(/\r\n?/g, "\n").split("\n");
+  const questions = [];
+  const unsupported = [];
+
+  let current = null;
+  let itemNumber = 0;
+
+  const startItem = (line) => {
+    itemNumber += 1;
+    current = { number: itemNumber, textLines: [line.trim()], options: [] };
+  };
+
+  const flushUnfinished = () => {
+    if (current) {
+      unsupported.push({
+        item: current.number,
+        title: current.textLines.join(" ").slice(0, 60),
+        reason: "Missing ANSWER line",
+      });
+    }
+    current = null;
+  };
+
+  for (const line of lines) {
+    if (!line.trim()) continue;
+
+    const optionMatch = line.match(/^\s*([A-Z])[.)]\s+(.*)$/);
+    const answerMatch = line.match(/^\s*ANSWER:\s*([A-Z])\s*$/i);
+
+    if (answerMatch && current) {
+      const letter = answerMatch[1].toUpperCase();
+      const options = current.options.map((option) => ({
+        text: option.text,
+        isCorrect: option.letter === letter,
+      }));
+      const text = current.textLines.join(" ");
+
+      if (!options.some((option) => option.isCorrect)) {
+        unsupported.push({
+          item: current.number,
+          title: text.slice(0, 60),
+          reason: `ANSWER ${letter} does not match any option`,
+        });
+      } else if (options.length < 2) {
+        unsupported.push({
+          item: current.number,
+          title: text.slice(0, 60),
+          reason: "At least two options are required",
+        });
+      } else {
+        const isTrueFalse =
+          options.length === 2 &&
+          options.every((o) => /^(true|false)$/i.test(o.text));
+        questions.push(
+          makeQuestion({
+            text,
+            type: isTrueFalse ? "true_false" : "multiple_choice",
+            options: isTrueFalse
+              ? TRUE_FALSE_OPTIONS(
+                  /^true$/i.test(options.find((o) => o.isCorrect).text),
+                )
+              : options,
+          }),
+        );
+      }
+      current = null;
+    } else if (optionMatch && current) {
+      current.options.push({
+        letter: optionMatch[1],
+        text: optionMatch[2].trim(),
+      });
+    } else if (current && current.options.length === 0) {
+      // Question text spanning several lines
+      current.textLines.push(line.trim());
+    } else {
+      flushUnfinished();
+      startItem(line);
+    }
+  }
+  flushUnfinished();
+
+  return { questions, unsupported };
+};
+
+// ─── IMS QTI 2.1 ─────────────────────────────────────────────────────────────
+
+const SUPPORTED_INTERACTIONS = [
+  "choiceInteraction",
+  "textEntryInteraction",
+  "extendedTextInteraction",
+];
+
+const getTag = (node) => Object.keys(node).find((key) => key !== ":@");
+const getAttrs = (node) => node[":@"] || {};
+const getChildren = (node) => node[getTag(node)] || [];
+
+// Depth-first search for every element with the given tag
+const findAll = (nodes, tag, found = []) => {
+  for (const node of nodes) {
+    const nodeTag = getTag(node);
+    if (nodeTag === tag) found.push(node);
+    if (Array.isArray(node[nodeTag])) findAll(node[nodeTag], tag, found);
+  }
+  return found;
+};
+
+// Every *Interaction element of an item body
+const findAllInteractions = (nodes, found = []) => {
+  for (const node of nodes) {
+    const tag = getTag(node);
+    if (tag && tag.endsWith("Interaction")) {
+      found.push(node);
+    } else if (Array.isArray(node[tag])) {
+      findAllInteractions(node[tag], found);
+    }
+  }
+  return found;
+};
+
+// Plain text of an element tree, leaving out the given tags
+const textOf = (nodes, skipTags = []) =>
+  nodes
+    .map((node) => {
+      const tag = getTag(node);
+      if (tag === "#text") return String(node["#text"]);
+      if (skipTags.includes(tag)) return "";
+      const text = textOf(getChildren(node), skipTags);
+      return ["p", "div", "br", "li"].includes(tag) ? ` ${text} ` : text;
+    })
+    .join("")
+    .replace(/\s+/g, " ")
+    .trim();
+
+const getItemPoints = (item) => {
+  const score = findAll(getChildren(item), "outcomeDeclaration").find(
+    (declaration) => getAttrs(declaration).identifier === "SCORE",
+  );
+  const maximum = score ? Number(getAttrs(score).normalMaximum) : NaN;
+  return maximum > 0 ? maximum : 1;
+};
+
+const parseQtiItem = (item) => {
+  const attrs = getAttrs(item);
+  const title = attrs.title || attrs.identifier || null;
+  const itemBody = findAll(getChildren(item), "itemBody")[0];
+
+  if (!itemBody) {
+    return { title, reason: "Item has no itemBody" };
+  }
+
+  const interactions = findAllInteractions(getChildren(itemBody));
+
+  if (interactions.length === 0) {
+    return { title, reason: "Item has no interaction" };
+  }
+  if (interactions.length > 1) {
+    return {
+      title,
+      reason: "Items with several interactions are not supported",
+    };
+  }
+
+  const interaction = interactions[0];
+  const interactionTag = getTag(interaction);
+  if (!SUPPORTED_INTERACTIONS.includes(interactionTag)) {
+    return { title, reason: `${interactionTag} is not supported` };
+  }
+
+  const interactionAttrs = getAttrs(interaction);
+  const responseId = interactionAttrs.responseIdentifier;
+  const declaration = findAll(getChildren(item), "responseDeclaration").find(
+    (decl) => getAttrs(decl).identifier === responseId,
+  );
+  const declarationAttrs = declaration ? getAttrs(declaration) : {};
+  const correctValues = declaration
+    ? findAll(getChildren(declaration), "correctResponse").flatMap((correct) =>
+        findAll(getChildren(correct), "value").map((value) =>
+          textOf(getChildren(value)),
+        ),
+      )
+    : [];
+
+  const prompt = findAll(getChildren(interaction), "prompt")[0];
+  const text = [
+    textOf(getChildren(itemBody), SUPPORTED_INTERACTIONS),
+    prompt ? textOf(getChildren(prompt)) : "",
+  ]
+    .filter(Boolean)
+    .join(" ");
+
+  if (!text) {
+    return { title, reason: "Question text is empty" };
+  }
+
+  const itemPoints = getItemPoints(item);
+
+  if (interactionTag === "extendedTextInteraction") {
+    return { question: makeQuestion({ text, type: "essay", itemPoints }) };
+  }
+
+  if (interactionTag === "textEntryInteraction") {
+    const mappedAnswers = declaration
+      ? findAll(getChildren(declaration), "mapEntry")
+          .filter((entry) => Number(getAttrs(entry).mappedValue) > 0)
+          .map((entry) => String(getAttrs(entry).mapKey))
+      : [];
+    const correctAnswers = [...new Set([...correctValues, ...mappedAnswers])];
+    if (correctAnswers.length === 0) {
+      return { title, reason: "No correct response is declared" };
+    }
+    const isNumeric = ["float", "integer"].includes(declarationAttrs.baseType);
+    return {
+      question: makeQuestion({
+        text,
+        type: "short_answer",
+        correctAnswers,
+        answerMatching: isNumeric ? "numeric" : "exact",
+        itemPoints,
+      }),
+    };
+  }
+
+  // choiceInteraction
+  const options = findAll(getChildren(interaction), "simpleChoice").map(
+    (choice) => ({
+      text: textOf(getChildren(choice), ["feedbackInline"]),
+      isCorrect: correctValues.includes(getAttrs(choice).identifier),
+    }),
+  );
+  const correctCount = options.filter((option) => option.isCorrect).length;
+
+  if (options.length < 2) {
+    return { title, reason: "At least two choices are required" };
+  }
+  if (correctCount === 0) {
+    return { title, reason: "No correct response is declared" };
+  }
+
+  const isMultiple =
+    declarationAttrs.cardinality === "multiple" || correctCount > 1;
+  const isTrueFalse =
+    !isMultiple &&
+    options.length === 2 &&
+    options.every((option) => /^(true|false)$/i.test(option.text));
+
+  return {
+    question: makeQuestion({
+      text,
+      type: isMultiple
+        ? "multiple_answers"
+        : isTrueFalse
+          ? "true_false"
+          : "multiple_choice",
+      options: isTrueFalse
+        ? TRUE_FALSE_OPTIONS(
+            /^true$/i.test(options.find((o) => o.isCorrect).text),
+          )
+        : options,
+      itemPoints,
+    }),
+  };
+};
+
+const parseQti = (content) => {
+  const parser = new XMLParser({
+    preserveOrder: true,
+    ignoreAttributes: false,
+    attributeNamePrefix: "",
+    removeNSPrefix: true,
+    parseTagValue: false,
+    parseAttributeValue: false,
+    trimValues: false,
+  });
+
+  let tree;
+  try {
+    tree = parser.parse(content);
+  } catch (error) {
+    return {
+      questions: [],
+      unsupported: [{ item: 1, title: null, reason: "File is not valid XML" }],
+    };
+  }
+
+  const questions = [];
+  const unsupported = [];
+  const items = findAll(tree, "assessmentItem");
+
+  items.forEach((item, index) => {
+    const result = parseQtiItem(item);
+    if (result.question) {
+      questions.push(result.question);
+    } else {
+      unsupported.push({
+        item: index + 1,
+        title: result.title,
+        reason: result.reason,
+      });
+    }
+  });
+
+  // Tests that only reference item files can't be resolved from one file
+  findAll(tree, "assessmentItemRef").forEach((ref) => {
+    unsupported.push({
+      item: items.length + unsupported.length + 1,
+      title: getAttrs(ref).identifier || getAttrs(ref).href || null,
+      reason: "Referenced item files must be uploaded as well",
+    });
+  });
+
+  if (items.length === 0 && unsupported.length === 0) {
+    unsupported.push({
+      item: 1,
+      title: null,
+      reason: "No QTI 2.1 assessmentItem found",
+    });
+  }
+
+  return { questions, unsupported };
+};
+
+// ─── Format detection ────────────────────────────────────────────────────────
+
+// Guess the format of an uploaded file from its name and content
+const detectImportFormat = (fileName, content) => {
+  const extension = (fileName || "").split(".").pop().toLowerCase();
+  if (extension === "xml" || /^\s*<\?xml|<assessmentItem/i.test(content)) {
+    return "qti";
+  }
+  if (extension === "gift") return "gift";
+  if (/^\s*ANSWER:\s*[A-Z]\s*$/im.test(content)) return "aiken";
+  return "gift";
+};
+
+const PARSERS = { gift: parseGift, aiken: parseAiken, qti: parseQti };
+
+const parseQuizFile = (content, format) => PARSERS[format](content);
+
+module.exports = {
+  IMPORT_FORMATS,
+  detectImportFormat,
+  parseQuizFile,
+};
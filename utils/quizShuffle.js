@@ -0,0 +1,62 @@
+// utils/quizShuffle.js
+const crypto = require("crypto");
+
+// Deterministic 32-bit seed from any string
+const seedFrom = (value) =>
+  crypto.createHash("sha256").update(String(value)).digest().readUInt32LE(0);
+
+// Small seeded PRNG (mulberry32) returning numbers in [0, 1)
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Fisher-Yates shuffle driven by a seed key, leaving the input untouched
+const seededShuffle = (items, seedKey) => {
+  const random = createRandom(seedFrom(seedKey));
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+};
+
+// Order a quiz's questions (plain objects) for one student. The order only
+// depends on the student and quiz ids, so the student always sees the same
+// quiz; options are seeded per question so they stay put if questions move.
+// Grading compares option text, so the order has no effect on scoring.
+const orderQuestionsForStudent = (quiz, studentId, questions) => {
+  const seedKey = `${studentId}:${quiz._id}`;
+
+  let ordered = quiz.shuffleQuestions
+    ? seededShuffle(questions, seedKey)
+    : [...questions];
+
+  if (quiz.shuffleOptions) {
+    ordered = ordered.map((question) =>
+      question.type === "true_false" || !question.options?.length
+        ? question
+        : {
+            ...question,
+            options: seededShuffle(
+              question.options,
+              `${seedKey}:${question._id}`,
+            ),
+          },
+    );
+  }
+
+  return ordered;
+};
+
+module.exports = {
+  seededShuffle,
+  orderQuestionsForStudent,
+};
@@ -0,0 +1,303 @@
+// utils/reportCardGenerator.js
+const ExcelJS = require("exceljs");
+const Subject = require("../models/Subject");
+const Section = require("../models/Section");
+const School = require("../models/School");
+const {
+  QUARTERS,
+  PASSING_GRADE,
+  computeSubjectQuarterGrades,
+} = require("./gradingEngine");
+const escapeHtml = require("./escapeHtml");
+
+// DepEd descriptors for the learner's progress and achievement
+const GRADE_DESCRIPTORS = [
+  { min: 90, descriptor: "Outstanding" },
+  { min: 85, descriptor: "Very Satisfactory" },
+  { min: 80, descriptor: "Satisfactory" },
+  { min: 75, descriptor: "Fairly Satisfactory" },
+  { min: 0, descriptor: "Did Not Meet Expectations" },
+];
+
+const getDescriptor = (grade) => {
+  if (grade === null || grade === undefined) return null;
+  return GRADE_DESCRIPTORS.find((row) => grade >= row.min).descriptor;
+};
+
+const getRemarks = (grade) => {
+  if (grade === null || grade === undefined) return null;
+  return grade >= PASSING_GRADE ? "Passed" : "Failed";
+};
+
+const formatName = (person) =>
+  person
+    ? [person.firstName, person.middleName, person.lastName]
+        .filter(Boolean)
+        .join(" ")
+    : null;
+
+// Gather everything that goes on a student's Form 138 for one school year
+const buildReportCard = async (student, schoolYear) => {
+  const subjects = await Subject.find({
+    students: student._id,
+    schoolYear,
+    isArchived: false,
+  }).sort({ subjectName: 1 });
+
+  const section = await Section.findOne({
+    students: student._id,
+    schoolYear,
+    isArchived: false,
+  }).populate("adviser", "firstName middleName lastName");
+
+  const school = await School.findOne().select("name contact");
+
+  const learningAreas = [];
+  for (const subject of subjects) {
+    const { results } = await computeSubjectQuarterGrades(subject, [
+      student._id,
+    ]);
+    const { quarters, finalGrade } = results.get(student._id.toString());
+
+    learningAreas.push({
+      subjectId: subject._id,
+      subjectName: subject.subjectName,
+      quarterlyGrades: quarters.map((q) => ({
+        quarter: q.quarter,
+        grade: q.quarterlyGrade,
+      })),
+      finalGrade,
+      remarks: getRemarks(finalGrade),
+    });
+  }
+
+  const finalGrades = learningAreas.map((area) => area.finalGrade);
+  const generalAverage =
+    finalGrades.length > 0 && finalGrades.every((grade) => grade !== null)
+      ? Math.round(
+          finalGrades.reduce((sum, grade) => sum + grade, 0) /
+            finalGrades.length,
+        )
+      : null;
+
+  return {
+    school: school ? school.name : null,
+    schoolYear,
+    student: {
+      _id: student._id,
+      userId: student.userId,
+      name: formatName(student),
+      firstName: student.firstName,
+      lastName: student.lastName,
+      sex: student.sex,
+    },
+    gradeLevel: section
+      ? section.gradeLevel
+      : subjects[0]
+        ? subjects[0].gradeLevel
+        : null,
+    section: section ? section.sectionName : null,
+    adviser: section ? formatName(section.adviser) : null,
+    learningAreas,
+    generalAverage,
+    descriptor: getDescriptor(generalAverage),
+    remarks: getRemarks(generalAverage),
+    generatedAt: new Date(),
+  };
+};
+
+// Build a one-sheet Form 138 workbook
+const renderReportCardWorkbook = (reportCard) => {
+  const workbook = new ExcelJS.Workbook();
+  workbook.created = reportCard.generatedAt;
+  const sheet = workbook.addWorksheet("Report Card", {
+    pageSetup: { paperSize: 9, orientation: "portrait", fitToPage: true },
+  });
+
+  sheet.columns = [
+    { width: 32 },
+    ...QUARTERS.map(() => ({ width: 10 })),
+    { width: 12 },
+    { width: 12 },
+  ];
+
+  // Learning area, one per quarter, final grade, remarks
+  const lastColumn = sheet.columns.length;
+  const addTitle = (text, size) => {
+    const row = sheet.addRow([text]);
+    sheet.mergeCells(row.number, 1, row.number, lastColumn);
+    row.getCell(1).font = { bold: true, size };
+    row.getCell(1).alignment = { horizontal: "center" };
+  };
+
+  addTitle(reportCard.school || "", 14);
+  addTitle("REPORT ON LEARNING PROGRESS AND ACHIEVEMENT (SF9 / Form 138)", 12);
+  sheet.addRow([]);
+
+  sheet.addRow(["Name:", reportCard.student.name]);
+  sheet.addRow(["LRN / User ID:", reportCard.student.userId]);
+  sheet.addRow(["Sex:", reportCard.student.sex || ""]);
+  sheet.addRow(["Grade Level:", reportCard.gradeLevel || ""]);
+  sheet.addRow(["Section:", reportCard.section || ""]);
+  sheet.addRow(["School Year:", reportCard.schoolYear]);
+  sheet.addRow(["Adviser:", reportCard.adviser || ""]);
+  sheet.addRow([]);
+
+  const header = sheet.addRow([
+    "Learning Areas",
+    ...QUARTERS.map((_, index) => `Q${index + 1}`),
+    "Final Grade",
+    "Remarks",
+  ]);
+  header.eachCell((cell) => {
+    cell.font = { bold: true };
+    cell.alignment = { horizontal: "center" };
+    cell.border = { bottom: { style: "thin" } };
+  });
+
+  for (const area of reportCard.learningAreas) {
+    const row = sheet.addRow([
+      area.subjectName,
+      ...area.quarterlyGrades.map((q) => q.grade ?? ""),
+      area.finalGrade ?? "",
+      area.remarks || "",
+    ]);
+    for (let col = 2; col <= lastColumn; col++) {
+      row.getCell(col).alignment = { horizontal: "center" };
+    }
+  }
+
+  const average = sheet.addRow([
+    "General Average",
+    ...QUARTERS.map(() => ""),
+    reportCard.generalAverage ?? "",
+    reportCard.remarks || "",
+  ]);
+  average.font = { bold: true };
+  average.getCell(lastColumn - 1).alignment = { horizontal: "center" };
+  average.getCell(lastColumn).alignment = { horizontal: "center" };
+
+  sheet.addRow([]);
+  sheet.addRow(["Descriptors", "Grading Scale"]).font = { bold: true };
+  GRADE_DESCRIPTORS.forEach((row, index) => {
+    const upper = index === 0 ? 100 : GRADE_DESCRIPTORS[index - 1].min - 1;
+    sheet.addRow([
+      row.descriptor,
+      row.min === 0 ? `Below ${PASSING_GRADE}` : `${row.min}-${upper}`,
+    ]);
+  });
+
+  sheet.addRow([]);
+  sheet.addRow([]);
+  sheet.addRow(["", reportCard.adviser || ""]);
+  sheet.addRow(["", "Adviser"]);
+
+  return workbook;
+};
+
+// Build a printable, self-contained HTML Form 138
+const renderReportCardHtml = (reportCard) => {
+  const rows = reportCard.learningAreas
+    .map(
+      (area) => `
+        <tr>
+          <td class="subject">${escapeHtml(area.subjectName)}</td>
+          ${area.quarterlyGrades
+            .map((q) => `<td>${escapeHtml(q.grade)}</td>`)
+            .join("")}
+          <td>${escapeHtml(area.finalGrade)}</td>
+          <td>${escapeHtml(area.remarks)}</td>
+        </tr>`,
+    )
+    .join("");
+
+  const descriptorRows = GRADE_DESCRIPTORS.map((row, index) => {
+    const upper = index === 0 ? 100 : GRADE_DESCRIPTORS[index - 1].min - 1;
+    const scale =
+      row.min === 0 ? `Below ${PASSING_GRADE}` : `${row.min}-${upper}`;
+    return `<tr><td class="subject">${escapeHtml(
+      row.descriptor,
+    )}</td><td>${scale}</td></tr>`;
+  }).join("");
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8" />
+  <title>Report Card - ${escapeHtml(reportCard.student.name)} - ${escapeHtml(
+    reportCard.schoolYear,
+  )}</title>
+  <style>
+    body { font-family: Arial, Helvetica, sans-serif; margin: 24px; color: #000; }
+    h1, h2 { text-align: center; margin: 4px 0; }
+    h1 { font-size: 18px; }
+    h2 { font-size: 14px; font-weight: normal; }
+    .info { margin: 16px 0; border-collapse: collapse; }
+    .info td { padding: 2px 12px 2px 0; }
+    table.grades { width: 100%; border-collapse: collapse; margin-top: 8px; }
+    table.grades th, table.grades td { border: 1px solid #000; padding: 4px; text-align: center; }
+    table.grades td.subject { text-align: left; }
+    tr.average td { font-weight: bold; }
+    .signature { margin-top: 48px; width: 240px; text-align: center; border-top: 1px solid #000; }
+    @media print { body { margin: 0; } }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(reportCard.school)}</h1>
+  <h2>Report on Learning Progress and Achievement (SF9 / Form 138)</h2>
+  <table class="info">
+    <tr><td>Name:</td><td>${escapeHtml(reportCard.student.name)}</td></tr>
+    <tr><td>LRN / User ID:</td><td>${escapeHtml(
+      reportCard.student.userId,
+    )}</td></tr>
+    <tr><td>Sex:</td><td>${escapeHtml(reportCard.student.sex)}</td></tr>
+    <tr><td>Grade Level:</td><td>${escapeHtml(reportCard.gradeLevel)}</td></tr>
+    <tr><td>Section:</td><td>${escapeHtml(reportCard.section)}</td></tr>
+    <tr><td>School Year:</td><td>${escapeHtml(reportCard.schoolYear)}</td></tr>
+    <tr><td>Adviser:</td><td>${escapeHtml(reportCard.adviser)}</td></tr>
+  </table>
+  <table class="grades">
+    <thead>
+      <tr>
+        <th rowspan="2">Learning Areas</th>
+        <th colspan="${QUARTERS.length}">Quarter</th>
+        <th rowspan="2">Final Grade</th>
+        <th rowspan="2">Remarks</th>
+      </tr>
+      <tr>${QUARTERS.map((_, index) => `<th>${index + 1}</th>`).join("")}</tr>
+    </thead>
+    <tbody>${rows}
+      <tr class="average">
+        <td class="subject" colspan="${QUARTERS.length + 1}">General Average</td>
+        <td>${escapeHtml(reportCard.generalAverage)}</td>
+        <td>${escapeHtml(reportCard.remarks)}</td>
+      </tr>
+    </tbody>
+  </table>
+  <table class="grades" style="width: auto; margin-top: 16px;">
+    <thead><tr><th>Descriptors</th><th>Grading Scale</th></tr></thead>
+    <tbody>${descriptorRows}</tbody>
+  </table>
+  <div class="signature">${escapeHtml(reportCard.adviser)}<br />Adviser</div>
+</body>
+</html>
+`;
+};
+
+// File name used for downloads, e.g. "DelaCruz_Juan_2024-000123_2024-2025"
+const getReportCardFileName = (reportCard, extension) => {
+  const clean = (value) => String(value || "").replace(/[^A-Za-z0-9-]+/g, "");
+  return `${clean(reportCard.student.lastName)}_${clean(
+    reportCard.student.firstName,
+  )}_${clean(reportCard.student.userId)}_${clean(
+    reportCard.schoolYear,
+  )}.${extension}`;
+};
+
+module.exports = {
+  GRADE_DESCRIPTORS,
+  buildReportCard,
+  renderReportCardWorkbook,
+  renderReportCardHtml,
+  getReportCardFileName,
+};
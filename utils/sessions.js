@@ -0,0 +1,189 @@
+// utils/sessions.js
+// Login sessions. Every login creates a Session; the short-lived access token
+// carries its id (sid) and the refresh token ("<sessionId>.<secret>") is
+// rotated each time it is used. Presenting an already rotated refresh token
+// revokes the session, since it means the token was copied.
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const jwtConfig = require("../config/jwt");
+const Session = require("../models/Session");
+const { ErrorResponse } = require("./errorResponse");
+
+// Only write lastSeenAt once a minute per session
+const LAST_SEEN_INTERVAL_MS = 60 * 1000;
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+const newRefreshToken = (sessionId) =>
+  `${sessionId}.${crypto.randomBytes(32).toString("hex")}`;
+
+const getRefreshExpiry = () =>
+  new Date(Date.now() + jwtConfig.refreshExpiresInDays * 24 * 60 * 60 * 1000);
+
+const signAccessToken = (userId, sessionId) =>
+  jwt.sign({ id: userId, sid: sessionId }, jwtConfig.secret, {
+    expiresIn: jwtConfig.expiresIn,
+  });
+
+// Client address as Express resolves it. X-Forwarded-For is only used when
+// the app trusts the proxy that sent it (TRUST_PROXY in server.js); reading
+// the header directly would let clients pick any IP they like.
+const getClientIp = (req) =>
+  req.ip || (req.socket && req.socket.remoteAddress) || "";
+
+// Short readable name for a user agent, e.g. "Chrome on Windows"
+const describeDevice = (userAgent) => {
+  if (!userAgent) return "Unknown device";
+
+  const browsers = [
+    ["Edge", /Edg\//],
+    ["Opera", /OPR\//],
+    ["Chrome", /Chrome\//],
+    ["Firefox", /Firefox\//],
+    ["Safari", /Safari\//],
+  ];
+  const systems = [
+    ["Android", /Android/],
+    ["iOS", /iPhone|iPad|iPod/],
+    ["Windows", /Windows/],
+    ["macOS", /Mac OS X/],
+    ["Linux", /Linux/],
+  ];
+
+  const browser = browsers.find(([, pattern]) => pattern.test(userAgent));
+  const system = systems.find(([, pattern]) => pattern.test(userAgent));
+
+  if (!browser && !system) {
+    return userAgent.slice(0, 60);
+  }
+  if (!system) return browser[0];
+  if (!browser) return system[0];
+  return `${browser[0]} on ${system[0]}`;
+};
+
+// Tokens handed to the client for a session
+const issueTokens = (session, refreshToken) => ({
+  token: signAccessToken(session.user, session._id),
+  refreshToken,
+  sessionId: session._id,
+  expiresIn: jwtConfig.expiresIn,
+  refreshExpiresAt: session.expiresAt,
+  twoFactorSetupRequired: session.twoFactorSetupRequired,
+});
+
+// Start a session for a user that just logged in
+const createSession = async (user, req, { twoFactorSetupRequired } = {}) => {
+  const session = new Session({
+    user: user._id,
+    twoFactorSetupRequired: !!twoFactorSetupRequired,
+  });
+  const refreshToken = newRefreshToken(session._id);
+  const userAgent = (req.headers && req.headers["user-agent"]) || "";
+
+  session.refreshTokenHash = hashToken(refreshToken);
+  session.ip = getClientIp(req);
+  session.userAgent = userAgent;
+  session.device = (req.body && req.body.device) || describeDevice(userAgent);
+  session.expiresAt = getRefreshExpiry();
+  await session.save();
+
+  return issueTokens(session, refreshToken);
+};
+
+const revokeSession = async (session, reason = "revoked") => {
+  if (session.revokedAt) return session;
+  session.revokedAt = new Date();
+  session.revokedReason = reason;
+  await session.save();
+  return session;
+};
+
+// Exchange a refresh token for a new access token and refresh token
+const rotateSession = async (refreshToken, req) => {
+  const [sessionId] = String(refreshToken || "").split(".");
+  if (!sessionId || !/^[a-f\d]{24}$/i.test(sessionId)) {
+    throw new ErrorResponse("Invalid refresh token", 401);
+  }
+
+  // Check and replace the hash in one step, so a refresh token can only be
+  // rotated once even when two refreshes arrive together
+  const now = new Date();
+  const nextRefreshToken = newRefreshToken(sessionId);
+  const openSession = {
+    _id: sessionId,
+    revokedAt: null,
+    expiresAt: { $gt: now },
+  };
+  const session = await Session.findOneAndUpdate(
+    { ...openSession, refreshTokenHash: hashToken(refreshToken) },
+    {
+      $set: {
+        refreshTokenHash: hashToken(nextRefreshToken),
+        ip: getClientIp(req),
+        lastSeenAt: now,
+        expiresAt: getRefreshExpiry(),
+      },
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    // An open session with another hash means this token was already
+    // rotated, so it was copied: end the session
+    await Session.updateOne(openSession, {
+      revokedAt: now,
+      revokedReason: "refresh_token_reuse",
+    });
+    throw new ErrorResponse("Session expired, please log in again", 401);
+  }
+
+  return { session, tokens: issueTokens(session, nextRefreshToken) };
+};
+
+// Revoke every open session of a user, optionally keeping one (the current one)
+const revokeUserSessions = async (userId, reason = "revoked_all", exceptId) => {
+  const filter = { user: userId, revokedAt: null };
+  if (exceptId) {
+    filter._id = { $ne: exceptId };
+  }
+
+  const result = await Session.updateMany(filter, {
+    revokedAt: new Date(),
+    revokedReason: reason,
+  });
+  return result.modifiedCount || 0;
+};
+
+// Session an access token belongs to, or null when it was revoked or expired
+const findActiveSession = async (sessionId, userId) => {
+  const session = await Session.findById(sessionId);
+  if (
+    !session ||
+    session.revokedAt ||
+    session.expiresAt <= new Date() ||
+    !session.user.equals(userId)
+  ) {
+    return null;
+  }
+
+  if (Date.now() - session.lastSeenAt.getTime() > LAST_SEEN_INTERVAL_MS) {
+    session.lastSeenAt = new Date();
+    await Session.updateOne(
+      { _id: session._id },
+      { lastSeenAt: session.lastSeenAt }
+    );
+  }
+  return session;
+};
+
+module.exports = {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeUserSessions,
+  findActiveSession,
+  signAccessToken,
+  describeDevice,
+  getClientIp,
+};
@@ -0,0 +1,70 @@
+// utils/storage.js
+// Read access to uploaded files. Documents store the public URL of a file;
+// getStorage().openFile(url) resolves to { name, contentType, size,
+// createReadStream } or null when the file is gone. Firebase Storage is the
+// default backend, setStorage swaps in another one (e.g. local disk in dev).
+const path = require("path");
+
+let activeStorage = null;
+
+// Storage path of a public Firebase Storage URL, or null for other URLs
+const getFirebasePath = (fileUrl, bucketName) => {
+  if (!fileUrl || !fileUrl.includes("storage.googleapis.com")) {
+    return null;
+  }
+
+  const urlParts = fileUrl.split("/");
+  const pathIndex = urlParts.findIndex((part) => part === bucketName);
+  if (pathIndex === -1 || !urlParts[pathIndex + 1]) {
+    return null;
+  }
+  return decodeURIComponent(urlParts.slice(pathIndex + 1).join("/"));
+};
+
+// Uploads are saved as "<timestamp>-<original name>"
+const stripUploadPrefix = (fileName) => fileName.replace(/^\d+-/, "");
+
+const createFirebaseStorage = (bucket) => ({
+  name: "firebase",
+  getPath: (fileUrl) => getFirebasePath(fileUrl, bucket.name),
+  openFile: async (fileUrl) => {
+    const storagePath = getFirebasePath(fileUrl, bucket.name);
+    if (!storagePath) return null;
+
+    const file = bucket.file(storagePath);
+    const [exists] = await file.exists();
+    if (!exists) return null;
+
+    const [metadata] = await file.getMetadata();
+    return {
+      name:
+        (metadata.metadata && metadata.metadata.originalName) ||
+        stripUploadPrefix(path.basename(storagePath)),
+      contentType: metadata.contentType || "application/octet-stream",
+      size: Number(metadata.size) || null,
+      createReadStream: () => file.createReadStream(),
+    };
+  },
+});
+
+// Storage used to read uploaded files, Firebase unless replaced
+const getStorage = () => {
+  if (!activeStorage) {
+    // Required lazily so the rest of this module works without credentials
+    const { bucket } = require("../config/firebaseService");
+    activeStorage = createFirebaseStorage(bucket);
+  }
+  return activeStorage;
+};
+
+// Replace the active storage; pass null to go back to Firebase
+const setStorage = (storage) => {
+  activeStorage = storage;
+};
+
+module.exports = {
+  getStorage,
+  setStorage,
+  createFirebaseStorage,
+  getFirebasePath,
+};
@@ -0,0 +1,101 @@
+// utils/totp.js
+// Time-based one-time passwords (RFC 6238, HMAC-SHA1, 6 digits, 30 second
+// steps) as used by Google Authenticator, Authy, Microsoft Authenticator...
+const crypto = require("crypto");
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+const base32Encode = (buffer) => {
+  let bits = "";
+  for (const byte of buffer) {
+    bits += byte.toString(2).padStart(8, "0");
+  }
+  let output = "";
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, "0"), 2)];
+  }
+  return output;
+};
+
+const base32Decode = (text) => {
+  const clean = String(text)
+    .toUpperCase()
+    .replace(/[\s=-]/g, "");
+  let bits = "";
+  for (const char of clean) {
+    const value = BASE32_ALPHABET.indexOf(char);
+    if (value === -1) {
+      throw new Error("Invalid base32 character in TOTP secret");
+    }
+    bits += value.toString(2).padStart(5, "0");
+  }
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+};
+
+// New random secret, base32 encoded (160 bits as recommended by RFC 4226)
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+const getStep = (time = Date.now()) => Math.floor(time / 1000 / STEP_SECONDS);
+
+// Code for a secret at a time step
+const generateCode = (secret, step = getStep()) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto
+    .createHmac("sha1", base32Decode(secret))
+    .update(counter)
+    .digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, "0");
+};
+
+// Time step a code matches (allowing `window` steps of clock drift either
+// way), or null. Steps up to lastUsedStep are refused so a code can't be
+// used twice.
+const verifyCode = (secret, code, { window = 1, lastUsedStep = -1 } = {}) => {
+  const candidate = String(code || "").replace(/\s/g, "");
+  if (!/^\d{6}$/.test(candidate)) return null;
+
+  const currentStep = getStep();
+  for (let step = currentStep - window; step <= currentStep + window; step++) {
+    if (step <= lastUsedStep) continue;
+    const expected = generateCode(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(candidate))) {
+      return step;
+    }
+  }
+  return null;
+};
+
+// otpauth:// URI an authenticator app reads from a QR code
+const getProvisioningUri = ({ secret, accountName, issuer }) => {
+  const label = `${encodeURIComponent(issuer)}:${encodeURIComponent(
+    accountName
+  )}`;
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+module.exports = {
+  generateSecret,
+  generateCode,
+  verifyCode,
+  getProvisioningUri,
+  base32Encode,
+  base32Decode,
+};
@@ -0,0 +1,156 @@
+// utils/twoFactor.js
+// Two-factor authentication for Admin and Teacher accounts. The TOTP secret
+// is stored encrypted (AES-256-GCM with TWO_FACTOR_ENCRYPTION_KEY, falling
+// back to the JWT secret); recovery codes are stored as hashes and work once.
+// Login with 2FA is two steps: the password check returns a short-lived
+// challenge token, which is exchanged for a session together with a code.
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const jwtConfig = require("../config/jwt");
+const School = require("../models/School");
+const User = require("../models/User");
+const { verifyCode } = require("./totp");
+
+const TWO_FACTOR_ROLES = ["Admin", "Teacher"];
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_EXPIRES_IN = "5m";
+const ISSUER = process.env.TWO_FACTOR_ISSUER || "GracEdLMS";
+
+const getEncryptionKey = () =>
+  crypto
+    .createHash("sha256")
+    .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || jwtConfig.secret)
+    .digest();
+
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", getEncryptionKey(), iv);
+  const encrypted = Buffer.concat([
+    cipher.update(secret, "utf8"),
+    cipher.final(),
+  ]);
+  return [iv, cipher.getAuthTag(), encrypted]
+    .map((part) => part.toString("hex"))
+    .join(":");
+};
+
+const decryptSecret = (stored) => {
+  const [iv, tag, encrypted] = String(stored)
+    .split(":")
+    .map((part) => Buffer.from(part, "hex"));
+  const decipher = crypto.createDecipheriv(
+    "aes-256-gcm",
+    getEncryptionKey(),
+    iv
+  );
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString(
+    "utf8"
+  );
+};
+
+// Recovery codes are compared without dashes, spaces or case
+const hashRecoveryCode = (code) =>
+  crypto
+    .createHash("sha256")
+    .update(String(code).toLowerCase().replace(/[\s-]/g, ""))
+    .digest("hex");
+
+// New set of recovery codes, e.g. "3f9a2-c81d0"; only the hashes are stored
+const generateRecoveryCodes = () => {
+  const codes = [];
+  for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+    const code = crypto.randomBytes(5).toString("hex");
+    codes.push(`${code.slice(0, 5)}-${code.slice(5)}`);
+  }
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+};
+
+// Whether the school requires 2FA for the user's role
+const isTwoFactorRequired = async (user) => {
+  if (user.role !== "Admin") return false;
+  const school = await School.findOne().select("security");
+  return !!(
+    school &&
+    school.security &&
+    school.security.requireTwoFactorForAdmins
+  );
+};
+
+// Token proving the password step of a 2FA login was passed
+const signChallengeToken = (user) =>
+  jwt.sign({ id: user._id, purpose: "2fa" }, jwtConfig.secret, {
+    expiresIn: CHALLENGE_EXPIRES_IN,
+  });
+
+// User id of a valid challenge token, or null
+const verifyChallengeToken = (token) => {
+  try {
+    const decoded = jwt.verify(String(token), jwtConfig.secret);
+    return decoded.purpose === "2fa" ? decoded.id : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Check an authenticator code or a recovery code of a user loaded with
+// +twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep.
+// A code is used up with a conditional update, so two requests racing with
+// the same code can't both pass; the loaded user is updated to match (without
+// marking it modified, so saving it can't bring a used code back). Resolves
+// to "totp", "recovery" or null.
+const checkSecondFactor = async (user, { code, recoveryCode }) => {
+  const twoFactor = user.twoFactor;
+
+  if (code) {
+    const step = verifyCode(decryptSecret(twoFactor.secret), code, {
+      lastUsedStep: twoFactor.lastUsedStep,
+    });
+    if (step === null) return null;
+
+    const result = await User.updateOne(
+      {
+        _id: user._id,
+        $or: [
+          { "twoFactor.lastUsedStep": { $lt: step } },
+          { "twoFactor.lastUsedStep": null },
+        ],
+      },
+      { $set: { "twoFactor.lastUsedStep": step } }
+    );
+    if (result.modifiedCount !== 1) return null;
+
+    twoFactor.lastUsedStep = step;
+    user.unmarkModified("twoFactor.lastUsedStep");
+    return "totp";
+  }
+
+  if (recoveryCode) {
+    const hash = hashRecoveryCode(recoveryCode);
+    if (!twoFactor.recoveryCodes.includes(hash)) return null;
+
+    const result = await User.updateOne(
+      { _id: user._id, "twoFactor.recoveryCodes": hash },
+      { $pull: { "twoFactor.recoveryCodes": hash } }
+    );
+    if (result.modifiedCount !== 1) return null;
+
+    twoFactor.recoveryCodes.pull(hash);
+    user.unmarkModified("twoFactor.recoveryCodes");
+    return "recovery";
+  }
+
+  return null;
+};
+
+module.exports = {
+  TWO_FACTOR_ROLES,
+  ISSUER,
+  encryptSecret,
+  decryptSecret,
+  generateRecoveryCodes,
+  isTwoFactorRequired,
+  signChallengeToken,
+  verifyChallengeToken,
+  checkSecondFactor,
+};